@@ -0,0 +1,28 @@
+// --- Jetons d'API personnels ---
+// Les jetons d'API se reconnaissent à leur préfixe. Ils ne donnent accès qu'aux tableaux et aux
+// tâches (ni au compte, ni aux réglages, ni aux abonnements push) ; un jeton en lecture seule ne
+// permet que les requêtes GET. Même en écriture, un jeton ne permet pas les actions réservées au
+// propriétaire d'un tableau : le modifier, l'archiver, le supprimer ou gérer ses membres.
+export const API_TOKEN_PREFIX = 'kbn_';
+export const API_TOKEN_SCOPES = ['read', 'write'];
+const API_TOKEN_READ_METHODS = ['GET', 'HEAD'];
+const API_TOKEN_ALLOWED_PATHS = ['/api/boards', '/api/tasks'];
+// Routes dont seule la lecture est permise : un tableau et ses membres
+const API_TOKEN_OWNER_PATHS = [/^\/api\/boards\/[^/]+$/, /^\/api\/boards\/[^/]+\/members(\/|$)/];
+
+export const isApiToken = (token) => token.startsWith(API_TOKEN_PREFIX);
+
+// Renvoie le message du refus (403) si un jeton de cette portée ne permet pas la requête, sinon null
+export const apiTokenAccessError = (scope, method, path) => {
+  if (!API_TOKEN_ALLOWED_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`))) {
+    return "Cette route n'est pas accessible avec un jeton d'API.";
+  }
+  if (API_TOKEN_READ_METHODS.includes(method)) return null;
+  if (scope === 'read') {
+    return "Ce jeton d'API ne permet que la lecture.";
+  }
+  if (API_TOKEN_OWNER_PATHS.some(pattern => pattern.test(path))) {
+    return "La gestion du tableau et de ses membres n'est pas accessible avec un jeton d'API.";
+  }
+  return null;
+};
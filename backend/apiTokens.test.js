@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isApiToken, apiTokenAccessError } from './apiTokens.js';
+
+test('reconnaît les jetons d\'API à leur préfixe', () => {
+  assert.equal(isApiToken('kbn_abc'), true);
+  assert.equal(isApiToken('eyJhbGciOiJIUzI1NiJ9.e30.sig'), false);
+});
+
+test('refuse les routes du compte, des réglages et des notifications push', () => {
+  const routes = [
+    ['GET', '/api/me'],
+    ['PATCH', '/api/me'],
+    ['POST', '/api/me/tokens'],
+    ['DELETE', '/api/me/2fa'],
+    ['POST', '/api/auth/logout-all'],
+    ['GET', '/api/settings'],
+    ['PUT', '/api/settings'],
+    ['GET', '/api/push/subscriptions'],
+    ['POST', '/api/push/subscriptions'],
+    ['POST', '/api/push/test'],
+    ['GET', '/api/boardsx'],
+  ];
+  for (const [method, path] of routes) {
+    for (const scope of ['read', 'write']) {
+      assert.equal(
+        apiTokenAccessError(scope, method, path),
+        "Cette route n'est pas accessible avec un jeton d'API.",
+        `${scope} ${method} ${path}`
+      );
+    }
+  }
+});
+
+test('un jeton en écriture accède aux tableaux et aux tâches', () => {
+  assert.equal(apiTokenAccessError('write', 'GET', '/api/boards'), null);
+  assert.equal(apiTokenAccessError('write', 'POST', '/api/tasks'), null);
+  assert.equal(apiTokenAccessError('write', 'DELETE', '/api/tasks/5'), null);
+});
+
+test('un jeton en écriture ne permet pas de gérer un tableau ni ses membres', () => {
+  const msg = "La gestion du tableau et de ses membres n'est pas accessible avec un jeton d'API.";
+  for (const [method, path] of [
+    ['PUT', '/api/boards/3'],
+    ['DELETE', '/api/boards/3'],
+    ['POST', '/api/boards/3/members'],
+    ['PUT', '/api/boards/3/members/4'],
+    ['DELETE', '/api/boards/3/members/4'],
+  ]) {
+    assert.equal(apiTokenAccessError('write', method, path), msg, `${method} ${path}`);
+  }
+  assert.equal(apiTokenAccessError('write', 'GET', '/api/boards/3/members'), null);
+  assert.equal(apiTokenAccessError('write', 'POST', '/api/boards'), null);
+  assert.equal(apiTokenAccessError('write', 'POST', '/api/boards/3/columns'), null);
+});
+
+test('un jeton en lecture seule ne permet que GET et HEAD', () => {
+  assert.equal(apiTokenAccessError('read', 'GET', '/api/tasks/5'), null);
+  assert.equal(apiTokenAccessError('read', 'HEAD', '/api/boards'), null);
+  for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+    assert.equal(apiTokenAccessError('read', method, '/api/tasks'), "Ce jeton d'API ne permet que la lecture.");
+  }
+});
@@ -0,0 +1,29 @@
+// --- Politique de mot de passe ---
+const PASSWORD_MIN_LENGTH = 10;
+// bcrypt ignore ce qui dépasse 72 octets
+const PASSWORD_MAX_BYTES = 72;
+
+// Renvoie le message d'erreur si le mot de passe ne respecte pas la politique, sinon null
+export const validatePassword = (password, email = '') => {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Le mot de passe doit contenir au moins ${PASSWORD_MIN_LENGTH} caractères.`;
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    return `Le mot de passe ne doit pas dépasser ${PASSWORD_MAX_BYTES} octets.`;
+  }
+  if (!/\p{L}/u.test(password) || !/[^\p{L}]/u.test(password)) {
+    return "Le mot de passe doit contenir des lettres et au moins un chiffre ou un symbole.";
+  }
+  const emailName = (email || '').split('@')[0].toLowerCase();
+  if (emailName.length >= 3 && password.toLowerCase().includes(emailName)) {
+    return "Le mot de passe ne doit pas contenir votre adresse email.";
+  }
+  return null;
+};
+
+// --- Délai après un échec de connexion ---
+const LOGIN_MAX_BACKOFF_SECONDS = 15 * 60;
+
+// Délai imposé après `failures` échecs : aucun pendant les essais libres, puis 1 s, 2 s, 4 s...
+export const loginBackoffSeconds = (failures, freeAttempts) =>
+  failures < freeAttempts ? 0 : Math.min(2 ** (failures - freeAttempts), LOGIN_MAX_BACKOFF_SECONDS);
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePassword, loginBackoffSeconds } from './loginPolicy.js';
+
+test('accepte un mot de passe conforme', () => {
+  assert.equal(validatePassword('cheval-batterie', 'alice@example.com'), null);
+  assert.equal(validatePassword('motdepasse1'), null);
+  assert.equal(validatePassword('émeraude 42'), null);
+});
+
+test('exige au moins 10 caractères', () => {
+  assert.equal(validatePassword('court1'), 'Le mot de passe doit contenir au moins 10 caractères.');
+  assert.equal(validatePassword(undefined), 'Le mot de passe doit contenir au moins 10 caractères.');
+  assert.equal(validatePassword(12345678901), 'Le mot de passe doit contenir au moins 10 caractères.');
+});
+
+test('refuse ce que bcrypt tronquerait (plus de 72 octets)', () => {
+  assert.equal(validatePassword(`a1${'b'.repeat(70)}`), null);
+  assert.equal(validatePassword(`a1${'b'.repeat(71)}`), 'Le mot de passe ne doit pas dépasser 72 octets.');
+  // 40 caractères accentués font 80 octets en UTF-8
+  assert.equal(validatePassword(`1${'é'.repeat(40)}`), 'Le mot de passe ne doit pas dépasser 72 octets.');
+});
+
+test('exige des lettres et un chiffre ou un symbole', () => {
+  const msg = "Le mot de passe doit contenir des lettres et au moins un chiffre ou un symbole.";
+  assert.equal(validatePassword('seulementdeslettres'), msg);
+  assert.equal(validatePassword('1234567890'), msg);
+  assert.equal(validatePassword('--------!!'), msg);
+});
+
+test('refuse un mot de passe qui contient le nom de l\'adresse email', () => {
+  const msg = "Le mot de passe ne doit pas contenir votre adresse email.";
+  assert.equal(validatePassword('Alice-2026!', 'alice@example.com'), msg);
+  // Un nom de moins de 3 caractères n'est pas vérifié
+  assert.equal(validatePassword('bob-bob-2026', 'bo@example.com'), null);
+});
+
+test('le délai double après les essais libres, jusqu\'à 15 minutes', () => {
+  assert.deepEqual([0, 4, 5, 6, 7, 10].map(failures => loginBackoffSeconds(failures, 5)), [0, 0, 1, 2, 4, 32]);
+  assert.equal(loginBackoffSeconds(14, 5), 512);
+  assert.equal(loginBackoffSeconds(15, 5), 15 * 60);
+  assert.equal(loginBackoffSeconds(100, 5), 15 * 60);
+});
@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import nodemailer from 'nodemailer';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// --- Envoi des emails ---
+// Le transport est choisi par MAIL_TRANSPORT :
+//   smtp    : serveur SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    : chaque message est écrit dans MAIL_DIR (fichier .eml), pour le développement
+//   console : le message est affiché dans les logs, pour le développement
+// Par défaut : smtp si SMTP_HOST est défini, console sinon.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Gestion de tâches <no-reply@localhost>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox');
+
+const createTransport = () => {
+  switch (MAIL_TRANSPORT) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`MAIL_TRANSPORT inconnu : ${MAIL_TRANSPORT}`);
+  }
+};
+
+const transport = createTransport();
+
+// Envoie un email ({ to, subject, text, html }) ; rejette la promesse si l'envoi échoue
+export const sendMail = async (message) => {
+  const info = await transport.sendMail({ from: MAIL_FROM, ...message });
+
+  if (MAIL_TRANSPORT === 'file') {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.writeFile(path.join(MAIL_DIR, fileName), info.message);
+    console.log(`📧 Email écrit dans ${path.join(MAIL_DIR, fileName)}`);
+  } else if (MAIL_TRANSPORT === 'console') {
+    console.log('📧 Email (console):', { to: message.to, subject: message.subject, text: message.text });
+  } else {
+    console.log(`📧 Email envoyé à ${[].concat(message.to).join(', ')} (${info.messageId})`);
+  }
+  return info;
+};
+
+console.log(`ℹ️ Transport des emails : ${MAIL_TRANSPORT}`);
@@ -0,0 +1,41 @@
+import webpush from 'web-push';
+
+// --- Notifications push (Web Push) ---
+// Les clés VAPID se génèrent avec `npx web-push generate-vapid-keys`.
+// Sans VAPID_PUBLIC_KEY et VAPID_PRIVATE_KEY, les notifications push sont désactivées.
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || null;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || null;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost';
+// Durée pendant laquelle le service push garde la notification d'un appareil hors ligne
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+// Réponses du service push pour un abonnement expiré ou révoqué
+const GONE_STATUS_CODES = [404, 410];
+
+export const isPushEnabled = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+export const vapidPublicKey = VAPID_PUBLIC_KEY;
+
+if (isPushEnabled) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+// Envoie une notification (payload JSON) à un abonnement ({ endpoint, p256dh, auth }).
+// Résout à false si l'abonnement n'existe plus et doit être supprimé ; rejette pour les autres erreurs.
+export const sendPush = async (subscription, payload) => {
+  try {
+    await webpush.sendNotification(
+      { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+      JSON.stringify(payload),
+      { TTL: PUSH_TTL_SECONDS }
+    );
+    return true;
+  } catch (err) {
+    if (GONE_STATUS_CODES.includes(err.statusCode)) {
+      return false;
+    }
+    throw err;
+  }
+};
+
+console.log(isPushEnabled
+  ? 'ℹ️ Notifications push activées'
+  : 'ℹ️ Notifications push désactivées (VAPID_PUBLIC_KEY et VAPID_PRIVATE_KEY non définies)');
@@ -0,0 +1,120 @@
+// --- Récurrence ---
+// Sous-ensemble de RRULE (RFC 5545) : FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL=n,
+// BYDAY=MO,TU,... (hebdomadaire uniquement) et UNTIL=AAAAMMJJ. Exemple :
+// « FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH » pour un lundi et un jeudi toutes les deux semaines.
+// Les dates sont calculées dans le fuseau horaire de l'utilisateur, et non dans celui du serveur :
+// une tâche quotidienne à 9 h reste à 9 h (heure locale) après un changement d'heure.
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RECURRENCE_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_RECURRENCE_INTERVAL = 365;
+
+// Analyse une règle (préfixe « RRULE: » accepté) ; renvoie null si elle est invalide
+export const parseRecurrenceRule = (text) => {
+  if (typeof text !== 'string') return null;
+  const parts = {};
+  for (const part of text.trim().replace(/^RRULE:/i, '').split(';')) {
+    const [key, value, ...rest] = part.split('=');
+    const name = key.trim().toUpperCase();
+    if (!name || value === undefined || rest.length > 0 || parts[name] !== undefined) return null;
+    parts[name] = value.trim().toUpperCase();
+  }
+
+  const { FREQ, INTERVAL, BYDAY, UNTIL, ...unsupported } = parts;
+  if (Object.keys(unsupported).length > 0 || !RECURRENCE_FREQUENCIES.includes(FREQ)) return null;
+
+  const interval = INTERVAL === undefined ? 1 : Number(INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_RECURRENCE_INTERVAL) return null;
+
+  const byDay = BYDAY === undefined ? [] : [...new Set(BYDAY.split(','))];
+  if (byDay.length > 0 && (FREQ !== 'WEEKLY' || !byDay.every(day => RECURRENCE_WEEKDAYS.includes(day)))) return null;
+  byDay.sort((a, b) => RECURRENCE_WEEKDAYS.indexOf(a) - RECURRENCE_WEEKDAYS.indexOf(b));
+
+  if (UNTIL !== undefined) {
+    const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(UNTIL);
+    if (!match) return null;
+    const until = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (until.getUTCMonth() !== Number(match[2]) - 1) return null;
+  }
+
+  return { freq: FREQ, interval, byDay, until: UNTIL === undefined ? null : UNTIL.slice(0, 8) };
+};
+
+// Forme normalisée enregistrée en base
+export const formatRecurrenceRule = (rule) => [
+  `FREQ=${rule.freq}`,
+  rule.interval > 1 ? `INTERVAL=${rule.interval}` : null,
+  rule.byDay.length > 0 ? `BYDAY=${rule.byDay.join(',')}` : null,
+  rule.until ? `UNTIL=${rule.until}` : null
+].filter(Boolean).join(';');
+
+// Date et heure affichées dans le fuseau timeZone, sous la forme d'une date UTC : les calculs de
+// calendrier se font ensuite avec les méthodes getUTC*/setUTC*, sans changement d'heure
+const toWallClock = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).map(({ type, value }) => [type, Number(value)])
+  );
+  return new Date(Date.UTC(
+    parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()
+  ));
+};
+
+// Inverse de toWallClock. Une heure qui n'existe pas (passage à l'heure d'été) est décalée
+// d'autant que le changement d'heure.
+const fromWallClock = (wallClock, timeZone) => {
+  const offsetAt = (date) => toWallClock(date, timeZone) - date;
+  const guess = new Date(wallClock - offsetAt(wallClock));
+  return new Date(wallClock - offsetAt(guess));
+};
+
+// Ajoute des mois en restant sur le dernier jour du mois quand le jour n'existe pas (31 -> 30, 29 février...)
+const addMonths = (date, months) => {
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+};
+
+const formatCompactDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Date de l'occurrence qui suit from (heure locale conservée dans timeZone), ou null au-delà de
+// UNTIL (jour inclus, dans timeZone)
+export const nextOccurrence = (rule, from, timeZone = 'UTC') => {
+  const next = toWallClock(new Date(from), timeZone);
+  switch (rule.freq) {
+    case 'DAILY':
+      next.setUTCDate(next.getUTCDate() + rule.interval);
+      break;
+    case 'WEEKLY': {
+      if (rule.byDay.length === 0) {
+        next.setUTCDate(next.getUTCDate() + 7 * rule.interval);
+        break;
+      }
+      // Jour suivant dans la même semaine (du lundi au dimanche), sinon premier jour de la semaine
+      // qui vient INTERVAL semaines plus tard
+      const days = rule.byDay.map(day => RECURRENCE_WEEKDAYS.indexOf(day));
+      const current = (next.getUTCDay() + 6) % 7;
+      const laterDay = days.find(day => day > current);
+      next.setUTCDate(next.getUTCDate() + (laterDay !== undefined
+        ? laterDay - current
+        : 7 * rule.interval - current + days[0]));
+      break;
+    }
+    case 'MONTHLY':
+      addMonths(next, rule.interval);
+      break;
+    default:
+      addMonths(next, 12 * rule.interval);
+  }
+  if (rule.until && formatCompactDate(next) > rule.until) return null;
+  return fromWallClock(next, timeZone);
+};
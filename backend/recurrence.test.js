@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRecurrenceRule, formatRecurrenceRule, nextOccurrence } from './recurrence.js';
+
+const next = (rule, from, timeZone) => nextOccurrence(parseRecurrenceRule(rule), new Date(from), timeZone)?.toISOString() ?? null;
+
+test('analyse et normalise une règle', () => {
+  const rule = parseRecurrenceRule('rrule:freq=weekly;interval=2;byday=th,mo,th;until=20271231T000000Z');
+  assert.deepEqual(rule, { freq: 'WEEKLY', interval: 2, byDay: ['MO', 'TH'], until: '20271231' });
+  assert.equal(formatRecurrenceRule(rule), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20271231');
+  assert.equal(formatRecurrenceRule(parseRecurrenceRule('FREQ=DAILY;INTERVAL=1')), 'FREQ=DAILY');
+});
+
+test('refuse les règles invalides ou non prises en charge', () => {
+  for (const text of [
+    null,
+    '',
+    'FREQ=HOURLY',
+    'INTERVAL=2',
+    'FREQ=DAILY;FREQ=WEEKLY',
+    'FREQ=DAILY;COUNT=3',
+    'FREQ=DAILY;INTERVAL=0',
+    'FREQ=DAILY;INTERVAL=366',
+    'FREQ=DAILY;INTERVAL=1.5',
+    'FREQ=DAILY;BYDAY=MO',
+    'FREQ=WEEKLY;BYDAY=XX',
+    'FREQ=DAILY;UNTIL=2027-01-01',
+    'FREQ=DAILY;UNTIL=20271301',
+    'FREQ=DAILY;UNTIL=20270230',
+  ]) {
+    assert.equal(parseRecurrenceRule(text), null, String(text));
+  }
+});
+
+test('décale selon la fréquence et l\'intervalle', () => {
+  assert.equal(next('FREQ=DAILY;INTERVAL=3', '2026-10-19T09:00:00Z'), '2026-10-22T09:00:00.000Z');
+  assert.equal(next('FREQ=WEEKLY', '2026-10-19T09:00:00Z'), '2026-10-26T09:00:00.000Z');
+  assert.equal(next('FREQ=YEARLY', '2026-10-19T09:00:00Z'), '2027-10-19T09:00:00.000Z');
+});
+
+test('BYDAY passe au jour suivant de la semaine, puis à la semaine de l\'intervalle', () => {
+  // Le 19 octobre 2026 est un lundi
+  const rule = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH';
+  assert.equal(next(rule, '2026-10-19T09:00:00Z'), '2026-10-22T09:00:00.000Z');
+  assert.equal(next(rule, '2026-10-22T09:00:00Z'), '2026-11-02T09:00:00.000Z');
+  assert.equal(next(rule, '2026-10-25T09:00:00Z'), '2026-11-02T09:00:00.000Z');
+});
+
+test('les échéances mensuelles restent au dernier jour quand le jour n\'existe pas', () => {
+  assert.equal(next('FREQ=MONTHLY', '2027-01-31T12:00:00Z'), '2027-02-28T12:00:00.000Z');
+  assert.equal(next('FREQ=MONTHLY', '2028-01-31T12:00:00Z'), '2028-02-29T12:00:00.000Z');
+  assert.equal(next('FREQ=YEARLY', '2028-02-29T12:00:00Z'), '2029-02-28T12:00:00.000Z');
+});
+
+test('l\'heure locale est conservée lors des changements d\'heure', () => {
+  // 9 h à Paris : 7 h UTC en heure d'été, 8 h UTC en heure d'hiver
+  assert.equal(next('FREQ=DAILY', '2026-10-24T07:00:00Z', 'Europe/Paris'), '2026-10-25T08:00:00.000Z');
+  assert.equal(next('FREQ=WEEKLY', '2026-03-23T08:00:00Z', 'Europe/Paris'), '2026-03-30T07:00:00.000Z');
+  assert.equal(next('FREQ=MONTHLY', '2026-10-15T13:00:00Z', 'America/New_York'), '2026-11-15T14:00:00.000Z');
+});
+
+test('le jour de la semaine est celui du fuseau de l\'utilisateur', () => {
+  // Lundi 1 h 30 à Paris, encore dimanche en UTC
+  assert.equal(next('FREQ=WEEKLY;BYDAY=MO,TH', '2026-10-18T23:30:00Z', 'Europe/Paris'), '2026-10-21T23:30:00.000Z');
+  assert.equal(next('FREQ=WEEKLY;BYDAY=MO,TH', '2026-10-18T23:30:00Z'), '2026-10-19T23:30:00.000Z');
+});
+
+test('UNTIL inclut le dernier jour, dans le fuseau de l\'utilisateur', () => {
+  assert.equal(next('FREQ=DAILY;UNTIL=20261020', '2026-10-19T21:00:00Z'), '2026-10-20T21:00:00.000Z');
+  assert.equal(next('FREQ=DAILY;UNTIL=20261020', '2026-10-20T09:00:00Z'), null);
+  // 23 h UTC le 19 correspond déjà au 20 à Paris : l'occurrence suivante tomberait le 21
+  assert.equal(next('FREQ=DAILY;UNTIL=20261020', '2026-10-19T23:00:00Z', 'Europe/Paris'), null);
+});
@@ -1,11 +1,22 @@
 import express from 'express';
 import cors from 'cors';
+import cookieParser from 'cookie-parser';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import pkg from 'pg';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { sendMail } from './mailer.js';
+import { isPushEnabled, vapidPublicKey, sendPush } from './push.js';
+import { generateTotpSecret, totpUri, verifyTotp, generateRecoveryCode, normalizeRecoveryCode } from './totp.js';
+import { API_TOKEN_PREFIX, API_TOKEN_SCOPES, isApiToken, apiTokenAccessError } from './apiTokens.js';
+import { parseRecurrenceRule, formatRecurrenceRule, nextOccurrence } from './recurrence.js';
+import { validatePassword, loginBackoffSeconds } from './loginPolicy.js';
+import { isValidId } from './validation.js';
+import { TASK_PRIORITIES, parseTaskFields, taskUpdateAssignments } from './taskFields.js';
 
 dotenv.config();
 const { Pool } = pkg;
@@ -19,13 +30,34 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'votre-super-secret-long-et-complexe';
+// Durée de validité des jetons d'accès ; ils sont renouvelés avec le refresh token (cookie httpOnly)
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+// Durée d'une session sans activité : chaque renouvellement la prolonge d'autant
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+// Durée de conservation des tâches dans la corbeille avant leur suppression définitive
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+// Nombre de jours après lesquels une tâche terminée est archivée (0 désactive l'archivage automatique)
+const AUTO_ARCHIVE_DAYS = Number(process.env.AUTO_ARCHIVE_DAYS ?? 30);
+// Fréquence des tâches de maintenance (purge de la corbeille et des sessions, archivage automatique)
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+// Fréquence de recherche des rappels et des tâches en retard à notifier (email, push)
+const REMINDER_POLL_INTERVAL_MS = Number(process.env.REMINDER_POLL_INTERVAL_MS) || 60 * 1000;
+// Adresse du frontend, utilisée dans les emails
+const APP_URL = process.env.APP_URL || 'https://modernekanban.netlify.app';
+// Nombre de proxys devant l'API (hébergeur, CDN) : req.ip est alors l'adresse du client
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
 
 // --- Middlewares ---
 app.use(cors({
   // Remplacez par l'URL principale de votre site Netlify
-  origin: 'https://modernekanban.netlify.app' 
+  origin: 'https://modernekanban.netlify.app',
+  // Le cookie de session (refresh token) accompagne les requêtes d'authentification
+  credentials: true,
+  exposedHeaders: ['ETag', 'X-Total-Count', 'Retry-After']
 }));
+app.set('trust proxy', TRUST_PROXY_HOPS);
 app.use(express.json());
+app.use(cookieParser());
 
 // --- Connexion PostgreSQL ---
 const pool = new Pool(
@@ -53,19 +85,783 @@ pool.connect((err, client, release) => {
   client.release();
 });
 
+// --- Schéma de la base de données ---
+// Chaque instruction est idempotente : elles sont rejouées à chaque démarrage
+// pour mettre à niveau une base existante (tables users et tasks d'origine).
+const SCHEMA_MIGRATIONS = [
+  // Tableaux
+  `CREATE TABLE IF NOT EXISTS boards (
+     id SERIAL PRIMARY KEY,
+     name VARCHAR(100) NOT NULL,
+     owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     is_archived BOOLEAN NOT NULL DEFAULT false,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS board_id INTEGER REFERENCES boards(id) ON DELETE CASCADE`,
+  `CREATE INDEX IF NOT EXISTS idx_tasks_board_id ON tasks(board_id)`,
+  // Les tâches créées avant l'apparition des tableaux rejoignent un tableau par défaut
+  `INSERT INTO boards (name, owner_id)
+   SELECT DISTINCT 'Mon tableau', t.user_id FROM tasks t
+   WHERE t.board_id IS NULL
+   AND NOT EXISTS (SELECT 1 FROM boards b WHERE b.owner_id = t.user_id)`,
+  `UPDATE tasks t SET board_id = (SELECT MIN(b.id) FROM boards b WHERE b.owner_id = t.user_id)
+   WHERE t.board_id IS NULL`,
+  // Colonnes personnalisables (remplacent les statuts todo / in-progress / done)
+  `CREATE TABLE IF NOT EXISTS board_columns (
+     id SERIAL PRIMARY KEY,
+     board_id INTEGER NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+     name VARCHAR(100) NOT NULL,
+     color VARCHAR(20) NOT NULL DEFAULT 'blue',
+     position INTEGER NOT NULL DEFAULT 0,
+     is_done BOOLEAN NOT NULL DEFAULT false,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_board_columns_board_id ON board_columns(board_id)`,
+  `INSERT INTO board_columns (board_id, name, color, position, is_done)
+   SELECT b.id, d.name, d.color, d.position, d.is_done FROM boards b
+   CROSS JOIN (VALUES
+     ('À faire', 'blue', 0, false),
+     ('En cours', 'yellow', 1, false),
+     ('Terminé', 'green', 2, true)
+   ) AS d(name, color, position, is_done)
+   WHERE NOT EXISTS (SELECT 1 FROM board_columns c WHERE c.board_id = b.id)`,
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS column_id INTEGER REFERENCES board_columns(id)`,
+  `CREATE INDEX IF NOT EXISTS idx_tasks_column_id ON tasks(column_id)`,
+  // Les anciens statuts sont convertis vers les colonnes par défaut, puis supprimés
+  `DO $$
+   BEGIN
+     IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'tasks' AND column_name = 'status') THEN
+       UPDATE tasks t SET column_id = c.id FROM board_columns c
+       WHERE t.column_id IS NULL AND c.board_id = t.board_id
+       AND c.position = CASE t.status WHEN 'in-progress' THEN 1 WHEN 'done' THEN 2 ELSE 0 END;
+       ALTER TABLE tasks DROP COLUMN status;
+     END IF;
+   END $$`,
+  `ALTER TABLE tasks ALTER COLUMN column_id SET NOT NULL`,
+  // Ordre manuel des cartes dans une colonne (positions fractionnaires)
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS position DOUBLE PRECISION`,
+  `UPDATE tasks t SET position = ordered.rank * 1024
+   FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY column_id ORDER BY id) AS rank FROM tasks) ordered
+   WHERE t.id = ordered.id AND t.position IS NULL`,
+  `ALTER TABLE tasks ALTER COLUMN position SET DEFAULT 0`,
+  `ALTER TABLE tasks ALTER COLUMN position SET NOT NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_tasks_column_position ON tasks(column_id, position)`,
+  // Membres des tableaux partagés et leurs rôles
+  `CREATE TABLE IF NOT EXISTS board_members (
+     board_id INTEGER NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     role VARCHAR(10) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+     PRIMARY KEY (board_id, user_id)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_board_members_user_id ON board_members(user_id)`,
+  `INSERT INTO board_members (board_id, user_id, role)
+   SELECT id, owner_id, 'owner' FROM boards
+   ON CONFLICT (board_id, user_id) DO NOTHING`,
+  // Assignation des tâches à un ou plusieurs membres
+  `CREATE TABLE IF NOT EXISTS task_assignees (
+     task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+     PRIMARY KEY (task_id, user_id)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_task_assignees_user_id ON task_assignees(user_id)`,
+  // Version incrémentée à chaque modification (contrôle de concurrence optimiste)
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1`,
+  // Checklists (sous-tâches) des tâches
+  `CREATE TABLE IF NOT EXISTS checklist_items (
+     id SERIAL PRIMARY KEY,
+     task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+     title VARCHAR(255) NOT NULL,
+     is_done BOOLEAN NOT NULL DEFAULT false,
+     position INTEGER NOT NULL DEFAULT 0,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_checklist_items_task_id ON checklist_items(task_id)`,
+  // Commentaires des tâches (conservés si leur auteur supprime son compte)
+  `CREATE TABLE IF NOT EXISTS task_comments (
+     id SERIAL PRIMARY KEY,
+     task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+     user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+     body TEXT NOT NULL,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments(task_id)`,
+  // Libellés propres à chaque tableau, associés aux tâches
+  `CREATE TABLE IF NOT EXISTS labels (
+     id SERIAL PRIMARY KEY,
+     board_id INTEGER NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+     name VARCHAR(50) NOT NULL,
+     color VARCHAR(20) NOT NULL DEFAULT 'gray',
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_board_name ON labels(board_id, LOWER(name))`,
+  `CREATE TABLE IF NOT EXISTS task_labels (
+     task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+     label_id INTEGER NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+     PRIMARY KEY (task_id, label_id)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_task_labels_label_id ON task_labels(label_id)`,
+  // Recherche plein texte sur le titre et la description (même expression que TASK_SEARCH_VECTOR)
+  `CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks
+   USING GIN (to_tsvector('simple', COALESCE(title, '') || ' ' || COALESCE(description, '')))`,
+  // Historique des tâches. task_id n'a pas de clé étrangère : l'historique d'une tâche
+  // supprimée reste consultable dans le fil du tableau.
+  `CREATE TABLE IF NOT EXISTS activity_log (
+     id SERIAL PRIMARY KEY,
+     board_id INTEGER NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+     task_id INTEGER,
+     task_title VARCHAR(255),
+     user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+     action VARCHAR(20) NOT NULL,
+     changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_activity_log_task_id ON activity_log(task_id, id)`,
+  `CREATE INDEX IF NOT EXISTS idx_activity_log_board_id ON activity_log(board_id, id)`,
+  // Corbeille : une tâche supprimée est conservée jusqu'à sa purge (voir TRASH_RETENTION_DAYS)
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`,
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL`,
+  // Archives : completed_at est renseigné à l'arrivée dans une colonne terminée et sert à
+  // l'archivage automatique ; une tâche archivée n'apparaît plus sur le tableau
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP`,
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP`,
+  `UPDATE tasks t SET completed_at = COALESCE(t.updated_at, t.created_at, CURRENT_TIMESTAMP)
+   FROM board_columns c
+   WHERE c.id = t.column_id AND c.is_done = true AND t.completed_at IS NULL`,
+  // Règle de récurrence (sous-ensemble de RRULE, voir recurrence.js)
+  `ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule VARCHAR(255)`,
+  // Notifications push : un abonnement par navigateur (endpoint fourni par le service push)
+  `CREATE TABLE IF NOT EXISTS push_subscriptions (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     endpoint TEXT NOT NULL UNIQUE,
+     p256dh VARCHAR(255) NOT NULL,
+     auth VARCHAR(255) NOT NULL,
+     user_agent VARCHAR(255),
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+     last_used_at TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions(user_id)`,
+  // Paramètres de l'utilisateur (échéance proche, notifications, heures calmes) ;
+  // sans ligne, les valeurs par défaut s'appliquent (voir DEFAULT_USER_SETTINGS)
+  `CREATE TABLE IF NOT EXISTS user_settings (
+     user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+     due_soon_hours INTEGER NOT NULL DEFAULT 24,
+     notify_reminders BOOLEAN NOT NULL DEFAULT true,
+     notify_overdue BOOLEAN NOT NULL DEFAULT true,
+     notify_due_soon BOOLEAN NOT NULL DEFAULT true,
+     channel_in_app BOOLEAN NOT NULL DEFAULT true,
+     channel_email BOOLEAN NOT NULL DEFAULT true,
+     channel_push BOOLEAN NOT NULL DEFAULT true,
+     quiet_hours_start TIME,
+     quiet_hours_end TIME,
+     timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  // Notifications déjà traitées, une par tâche, destinataire et type (reminder, overdue, ou
+  // in_app_reminder pour un rappel affiché dans l'application). reference_date est la date
+  // (rappel, échéance) qui a déclenché la notification : la modifier réarme la notification.
+  // retry_at est renseigné pour un destinataire en attente (heures calmes, échec d'envoi) :
+  // la notification est retentée à partir de cette date.
+  `CREATE TABLE IF NOT EXISTS notification_deliveries (
+     task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     type VARCHAR(20) NOT NULL,
+     reference_date TIMESTAMP NOT NULL,
+     sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+     retry_at TIMESTAMP,
+     PRIMARY KEY (task_id, user_id, type)
+   )`,
+  // Sessions : une par connexion (appareil). Seule l'empreinte SHA-256 du refresh token est
+  // conservée ; previous_token_hash permet de détecter la réutilisation d'un jeton remplacé.
+  `CREATE TABLE IF NOT EXISTS sessions (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+     previous_token_hash VARCHAR(64),
+     rotated_at TIMESTAMP,
+     user_agent VARCHAR(255),
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+     last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+     expires_at TIMESTAMP NOT NULL,
+     revoked_at TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_sessions_previous_token_hash ON sessions(previous_token_hash)`,
+  // Vérification de l'email : les comptes existants sont considérés comme vérifiés
+  // (la valeur par défaut ne s'applique qu'à l'ajout de la colonne, puis est retirée)
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP`,
+  `ALTER TABLE users ALTER COLUMN email_verified_at DROP DEFAULT`,
+  // Jetons à usage unique envoyés par email (vérification de l'email, réinitialisation du mot de passe)
+  `CREATE TABLE IF NOT EXISTS auth_tokens (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     purpose VARCHAR(20) NOT NULL,
+     token_hash VARCHAR(64) NOT NULL UNIQUE,
+     expires_at TIMESTAMP NOT NULL,
+     used_at TIMESTAMP,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_id ON auth_tokens(user_id, purpose)`,
+  // Profil ; pending_email est la nouvelle adresse en attente de confirmation
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name VARCHAR(100)`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255)`,
+  // Échecs de connexion consécutifs et date jusqu'à laquelle le compte refuse les connexions
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP`,
+  // Double authentification (TOTP) : secret en cours d'activation, secret actif et dernier
+  // pas de temps utilisé (un code n'est accepté qu'une fois)
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64)`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64)`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP`,
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step INTEGER`,
+  `CREATE TABLE IF NOT EXISTS recovery_codes (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     code_hash VARCHAR(64) NOT NULL,
+     used_at TIMESTAMP,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id)`,
+  // Jetons d'API personnels (scripts, intégration continue) ; seule leur empreinte est stockée
+  `CREATE TABLE IF NOT EXISTS personal_access_tokens (
+     id SERIAL PRIMARY KEY,
+     user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+     name VARCHAR(100) NOT NULL,
+     scope VARCHAR(10) NOT NULL CHECK (scope IN ('read', 'write')),
+     token_hash VARCHAR(64) NOT NULL UNIQUE,
+     token_hint VARCHAR(20) NOT NULL,
+     expires_at TIMESTAMP,
+     last_used_at TIMESTAMP,
+     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user_id ON personal_access_tokens(user_id)`,
+];
+
+const runMigrations = async () => {
+  for (const statement of SCHEMA_MIGRATIONS) {
+    await pool.query(statement);
+  }
+  console.log('✅ Schéma de la base de données à jour');
+};
+
+// --- Utilitaires ---
+// Exécute fn dans une transaction sur un client dédié du pool
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// --- Colonnes ---
+const COLUMN_COLORS = ['blue', 'yellow', 'green', 'red', 'purple', 'pink', 'indigo', 'gray'];
+// Taille de la colonne board_columns.name
+const COLUMN_NAME_MAX_LENGTH = 100;
+
+const DEFAULT_COLUMNS = [
+  { name: 'À faire', color: 'blue', is_done: false },
+  { name: 'En cours', color: 'yellow', is_done: false },
+  { name: 'Terminé', color: 'green', is_done: true },
+];
+
+const createDefaultColumns = async (client, boardId) => {
+  for (const [position, column] of DEFAULT_COLUMNS.entries()) {
+    await client.query(
+      "INSERT INTO board_columns (board_id, name, color, position, is_done) VALUES ($1, $2, $3, $4, $5)",
+      [boardId, column.name, column.color, position, column.is_done]
+    );
+  }
+};
+
+// --- Positions des cartes ---
+// Les positions sont fractionnaires : insérer une carte entre deux autres ne
+// modifie que la carte déplacée. L'écart par défaut laisse de la place pour
+// de nombreuses insertions avant qu'une renumérotation soit nécessaire.
+const POSITION_STEP = 1024;
+
+// Position en fin de colonne
+const nextPositionInColumn = async (db, columnId) => {
+  const result = await db.query(
+    "SELECT COALESCE(MAX(position), 0) + $2 AS position FROM tasks WHERE column_id = $1",
+    [columnId, POSITION_STEP]
+  );
+  return result.rows[0].position;
+};
+
+// Renumérote les cartes d'une colonne lorsque l'écart entre deux positions est épuisé
+const rebalanceColumn = async (db, columnId) => {
+  await db.query(
+    `UPDATE tasks t SET position = ordered.rank * $2
+     FROM (SELECT id, ROW_NUMBER() OVER (ORDER BY position ASC, id ASC) AS rank FROM tasks WHERE column_id = $1) ordered
+     WHERE t.id = ordered.id`,
+    [columnId, POSITION_STEP]
+  );
+};
+
+// --- Tâches terminées ---
+// completed_at suit la colonne de la tâche : renseigné (une seule fois) dans une colonne
+// terminée, effacé ailleurs. À appeler après tout changement de colonne.
+const syncCompletedAt = async (db, taskIds) => {
+  await db.query(
+    `UPDATE tasks t SET completed_at = CASE WHEN c.is_done THEN COALESCE(t.completed_at, CURRENT_TIMESTAMP) END
+     FROM board_columns c
+     WHERE c.id = t.column_id AND t.id = ANY($1::int[])`,
+    [taskIds]
+  );
+};
+
+// --- Lecture des tâches ---
+// Une tâche est toujours renvoyée avec ses assignés ({ id, email }), ses libellés
+// ({ id, name, color }), l'avancement de sa checklist (checklist_done / checklist_total)
+// et son nombre de commentaires
+const TASK_SELECT = `
+  SELECT t.*,
+    COALESCE((
+      SELECT json_agg(json_build_object('id', u.id, 'email', u.email) ORDER BY u.email)
+      FROM task_assignees ta JOIN users u ON u.id = ta.user_id
+      WHERE ta.task_id = t.id
+    ), '[]'::json) AS assignees,
+    COALESCE((
+      SELECT json_agg(json_build_object('id', l.id, 'name', l.name, 'color', l.color) ORDER BY l.name)
+      FROM task_labels tl JOIN labels l ON l.id = tl.label_id
+      WHERE tl.task_id = t.id
+    ), '[]'::json) AS labels,
+    (SELECT COUNT(*)::int FROM checklist_items ci WHERE ci.task_id = t.id) AS checklist_total,
+    (SELECT COUNT(*)::int FROM checklist_items ci WHERE ci.task_id = t.id AND ci.is_done) AS checklist_done,
+    (SELECT COUNT(*)::int FROM task_comments tc WHERE tc.task_id = t.id) AS comment_count
+  FROM tasks t`;
+
+const fetchTask = async (db, taskId) => {
+  const result = await db.query(`${TASK_SELECT} WHERE t.id = $1`, [taskId]);
+  return result.rows[0];
+};
+
+// --- Versions des tâches ---
+// Chaque modification incrémente tasks.version. Une mise à jour doit indiquer la
+// version sur laquelle elle se base (en-tête If-Match ou champ version du corps) :
+// si la tâche a changé entre-temps, elle est refusée avec un 409.
+
+const taskETag = (task) => `"${task.version}"`;
+
+// Renvoie la version attendue, null si elle est absente ou NaN si elle est mal formée
+const readExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    const match = ifMatch.trim().match(/^(?:W\/)?"(\d+)"$/);
+    return match ? Number(match[1]) : NaN;
+  }
+  const version = req.body?.version;
+  if (version === undefined || version === null) return null;
+  return isValidId(version) ? Number(version) : NaN;
+};
+
+// Réponse 409 accompagnée de la copie actuelle de la tâche, pour que le client puisse fusionner
+const sendVersionConflict = async (res, taskId) => {
+  const current = await fetchTask(pool, taskId);
+  if (!current) {
+    return res.status(404).json({ msg: "Tâche non trouvée ou non autorisée." });
+  }
+  res.set('ETag', taskETag(current));
+  res.status(409).json({ msg: "La tâche a été modifiée entre-temps par quelqu'un d'autre.", current });
+};
+
+// --- Assignés ---
+
+// Vérifie que assignee_ids est une liste d'identifiants de membres du tableau
+const validateAssigneeIds = async (boardId, assigneeIds) => {
+  if (!Array.isArray(assigneeIds) || !assigneeIds.every(isValidId)) return false;
+  const uniqueIds = [...new Set(assigneeIds.map(Number))];
+  if (uniqueIds.length === 0) return true;
+  const result = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM board_members WHERE board_id = $1 AND user_id = ANY($2::int[])",
+    [boardId, uniqueIds]
+  );
+  return result.rows[0].count === uniqueIds.length;
+};
+
+// Remplace les assignés d'une tâche
+const setTaskAssignees = async (db, taskId, assigneeIds) => {
+  const uniqueIds = [...new Set(assigneeIds.map(Number))];
+  await db.query("DELETE FROM task_assignees WHERE task_id = $1", [taskId]);
+  if (uniqueIds.length > 0) {
+    await db.query(
+      "INSERT INTO task_assignees (task_id, user_id) SELECT $1, UNNEST($2::int[])",
+      [taskId, uniqueIds]
+    );
+  }
+};
+
+// --- Libellés ---
+const LABEL_COLORS = ['gray', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
+// Vérifie que label_ids est une liste d'identifiants de libellés du tableau
+const validateLabelIds = async (boardId, labelIds) => {
+  if (!Array.isArray(labelIds) || !labelIds.every(isValidId)) return false;
+  const uniqueIds = [...new Set(labelIds.map(Number))];
+  if (uniqueIds.length === 0) return true;
+  const result = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM labels WHERE board_id = $1 AND id = ANY($2::int[])",
+    [boardId, uniqueIds]
+  );
+  return result.rows[0].count === uniqueIds.length;
+};
+
+// Remplace les libellés d'une tâche
+const setTaskLabels = async (db, taskId, labelIds) => {
+  const uniqueIds = [...new Set(labelIds.map(Number))];
+  await db.query("DELETE FROM task_labels WHERE task_id = $1", [taskId]);
+  if (uniqueIds.length > 0) {
+    await db.query(
+      "INSERT INTO task_labels (task_id, label_id) SELECT $1, UNNEST($2::int[])",
+      [taskId, uniqueIds]
+    );
+  }
+};
+
+// Récupère une colonne à condition qu'elle appartienne au tableau donné
+const findBoardColumn = async (boardId, columnId) => {
+  if (!isValidId(columnId)) return null;
+  const result = await pool.query(
+    "SELECT * FROM board_columns WHERE id = $1 AND board_id = $2",
+    [columnId, boardId]
+  );
+  return result.rows[0] || null;
+};
+
+// --- Historique des tâches ---
+// Chaque entrée indique l'action (created, updated, moved, deleted) et, pour chaque champ
+// concerné, ses valeurs avant / après : changes = { priority: { from, to }, ... }.
+// La colonne, les assignés et les libellés sont enregistrés avec leur nom pour rester
+// lisibles après leur suppression.
+
+// Valeurs suivies d'une tâche renvoyée par fetchTask
+const activitySnapshot = async (db, task) => {
+  const column = await db.query("SELECT id, name FROM board_columns WHERE id = $1", [task.column_id]);
+  return {
+    title: task.title,
+    description: task.description || null,
+    column: column.rows[0] || null,
+    priority: task.priority,
+    due_date: task.due_date,
+    reminder_date: task.reminder_date,
+    recurrence_rule: task.recurrence_rule,
+    assignees: task.assignees.map(a => ({ id: a.id, email: a.email })).sort((a, b) => a.id - b.id),
+    labels: task.labels.map(l => ({ id: l.id, name: l.name })).sort((a, b) => a.id - b.id)
+  };
+};
+
+const isEmptyActivityValue = (value) =>
+  value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+
+// Champs qui diffèrent entre deux instantanés (before ou after vaut null à la création / suppression)
+const diffActivitySnapshots = (before, after) => {
+  const changes = {};
+  for (const field of Object.keys(before || after)) {
+    const from = before ? before[field] : null;
+    const to = after ? after[field] : null;
+    if (isEmptyActivityValue(from) && isEmptyActivityValue(to)) continue;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from ?? null, to: to ?? null };
+    }
+  }
+  return changes;
+};
+
+// Enregistre une entrée d'historique ; une modification sans effet n'est pas enregistrée
+const logTaskActivity = async (db, { task, userId, action, changes }) => {
+  if (action === 'updated' && Object.keys(changes).length === 0) return;
+  await db.query(
+    `INSERT INTO activity_log (board_id, task_id, task_title, user_id, action, changes)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [task.board_id, task.id, task.title, userId, action, JSON.stringify(changes)]
+  );
+};
+
+// --- Récurrence ---
+// Lorsqu'une tâche récurrente passe d'une colonne non terminée à une colonne terminée, crée
+// son occurrence suivante en tête du tableau (première colonne non terminée), avec les mêmes
+// assignés, libellés et checklist (décochée) et des dates décalées. La règle passe à la nouvelle
+// tâche : rouvrir puis terminer à nouveau l'ancienne ne crée pas de doublon. Les dates sont
+// calculées dans le fuseau horaire du créateur de la tâche (réglage timezone).
+// Renvoie la nouvelle tâche, ou null si aucune occurrence n'est créée.
+const spawnNextOccurrence = async (db, task, { from, to, userId }) => {
+  if (!task.recurrence_rule || from?.is_done || !to.is_done) return null;
+  await db.query("UPDATE tasks SET recurrence_rule = NULL WHERE id = $1", [task.id]);
+
+  const rule = parseRecurrenceRule(task.recurrence_rule);
+  if (!rule) return null;
+  // Les dates se décalent ensemble ; une tâche sans date reçoit une échéance
+  const base = task.due_date || task.reminder_date || new Date();
+  const { timezone } = await fetchUserSettings(db, task.user_id);
+  const nextBase = nextOccurrence(rule, base, timezone);
+  if (!nextBase) return null;
+  const shift = (date) => (date ? new Date(date.getTime() + (nextBase - base)) : null);
+  const dueDate = task.due_date || task.reminder_date ? shift(task.due_date) : nextBase;
+
+  const column = (await db.query(
+    `SELECT * FROM board_columns WHERE board_id = $1
+     ORDER BY is_done ASC, position ASC, id ASC LIMIT 1`,
+    [task.board_id]
+  )).rows[0];
+  const result = await db.query(
+    `INSERT INTO tasks (title, description, user_id, board_id, column_id, position, due_date, reminder_date, priority, recurrence_rule)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+    [
+      task.title,
+      task.description,
+      task.user_id,
+      task.board_id,
+      column.id,
+      await nextPositionInColumn(db, column.id),
+      dueDate,
+      shift(task.reminder_date),
+      task.priority,
+      formatRecurrenceRule(rule)
+    ]
+  );
+  const nextId = result.rows[0].id;
+  await setTaskAssignees(db, nextId, task.assignees.map(a => a.id));
+  await setTaskLabels(db, nextId, task.labels.map(l => l.id));
+  await db.query(
+    `INSERT INTO checklist_items (task_id, title, position)
+     SELECT $1, title, position FROM checklist_items WHERE task_id = $2`,
+    [nextId, task.id]
+  );
+  await syncCompletedAt(db, [nextId]);
+
+  const nextTask = await fetchTask(db, nextId);
+  await logTaskActivity(db, {
+    task: nextTask,
+    userId,
+    action: 'created',
+    changes: diffActivitySnapshots(null, await activitySnapshot(db, nextTask))
+  });
+  return nextTask;
+};
+
 // --- Middleware d’auth ---
+// La date de dernière utilisation n'est réécrite qu'au plus une fois par minute
+const API_TOKEN_LAST_USED_PRECISION_SECONDS = 60;
+
+const authenticateApiToken = async (req, res, next, token) => {
+  try {
+    const result = await pool.query(
+      `SELECT p.id, p.user_id, p.scope, u.email
+       FROM personal_access_tokens p JOIN users u ON u.id = p.user_id
+       WHERE p.token_hash = $1 AND (p.expires_at IS NULL OR p.expires_at > NOW())`,
+      [hashToken(token)]
+    );
+    const apiToken = result.rows[0];
+    if (!apiToken) {
+      return res.status(401).json({ msg: "Jeton d'API invalide, expiré ou révoqué." });
+    }
+    const accessError = apiTokenAccessError(apiToken.scope, req.method, req.path);
+    if (accessError) {
+      return res.status(403).json({ msg: accessError });
+    }
+    await pool.query(
+      `UPDATE personal_access_tokens SET last_used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $2))`,
+      [apiToken.id, API_TOKEN_LAST_USED_PRECISION_SECONDS]
+    );
+    req.user = { id: apiToken.user_id, email: apiToken.email, apiTokenId: apiToken.id, scope: apiToken.scope };
+    next();
+  } catch (err) {
+    console.error("❌ Erreur lors de la vérification d'un jeton d'API:", err.message);
+    res.status(500).send("Erreur serveur");
+  }
+};
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
   if (!token) return res.sendStatus(401);
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) return res.sendStatus(403);
-    req.user = user;
-    next();
+  if (isApiToken(token)) {
+    return authenticateApiToken(req, res, next, token);
+  }
+
+  // 401 : le frontend renouvelle alors son jeton d'accès avec POST /api/auth/refresh
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err) return res.status(401).json({ msg: "Jeton d'accès invalide ou expiré." });
+    try {
+      // Le jeton n'est accepté que tant que sa session est active : une déconnexion ou un
+      // changement de mot de passe le révoque sans attendre son expiration
+      const session = await pool.query(
+        "SELECT 1 FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()",
+        [user.sid, user.id]
+      );
+      if (session.rows.length === 0) {
+        return res.status(401).json({ msg: "Session expirée ou révoquée." });
+      }
+      req.user = user;
+      next();
+    } catch (err) {
+      console.error("❌ Erreur lors de la vérification de la session:", err.message);
+      res.status(500).send("Erreur serveur");
+    }
   });
 };
 
+// --- Middlewares d'autorisation ---
+
+// Rôles des membres d'un tableau, du moins au plus privilégié
+const BOARD_ROLES = ['viewer', 'editor', 'owner'];
+const hasBoardRole = (role, minRole) => BOARD_ROLES.indexOf(role) >= BOARD_ROLES.indexOf(minRole);
+
+const forbiddenForRole = (res) =>
+  res.status(403).json({ msg: "Votre rôle sur ce tableau ne permet pas cette action." });
+
+// Vérifie que l'utilisateur connecté est membre du tableau ciblé (paramètre
+// :boardId, board_id du corps ou de la query string) avec au moins le rôle
+// minRole, puis place le tableau dans req.board et le rôle dans req.boardRole.
+const authorizeBoard = (minRole = 'viewer', { optional = false } = {}) => async (req, res, next) => {
+  const boardId = req.params.boardId ?? req.body?.board_id ?? req.query.board_id;
+  if (boardId === undefined || boardId === null || boardId === '') {
+    if (optional) return next();
+    return res.status(400).json({ msg: "Tableau requis." });
+  }
+  if (!isValidId(boardId)) {
+    return res.status(400).json({ msg: "Identifiant de tableau invalide." });
+  }
+  try {
+    const result = await pool.query(
+      `SELECT b.*, m.role FROM boards b
+       JOIN board_members m ON m.board_id = b.id AND m.user_id = $2
+       WHERE b.id = $1`,
+      [boardId, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ msg: "Tableau non trouvé ou non autorisé." });
+    }
+    const { role, ...board } = result.rows[0];
+    if (!hasBoardRole(role, minRole)) {
+      return forbiddenForRole(res);
+    }
+    req.board = board;
+    req.boardRole = role;
+    next();
+  } catch (err) {
+    console.error('❌ Erreur lors de la vérification du tableau:', err.message);
+    res.status(500).json({ msg: "Erreur serveur" });
+  }
+};
+
+// Vérifie que la tâche :id appartient à un tableau dont l'utilisateur connecté
+// est membre avec au moins le rôle minRole, puis la place dans req.task.
+// Les tâches de la corbeille sont ignorées, sauf avec { trashed: true } qui ne retient qu'elles.
+const authorizeTask = (minRole = 'viewer', { trashed = false } = {}) => async (req, res, next) => {
+  const { id } = req.params;
+  if (!isValidId(id)) {
+    return res.status(400).json({ msg: "Identifiant de tâche invalide." });
+  }
+  try {
+    const result = await pool.query(
+      `SELECT t.*, m.role AS member_role FROM tasks t
+       JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $2
+       WHERE t.id = $1 AND t.deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`,
+      [id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ msg: "Tâche non trouvée ou non autorisée." });
+    }
+    const { member_role, ...task } = result.rows[0];
+    if (!hasBoardRole(member_role, minRole)) {
+      return forbiddenForRole(res);
+    }
+    req.task = task;
+    req.boardRole = member_role;
+    next();
+  } catch (err) {
+    console.error('❌ Erreur lors de la vérification de la tâche:', err.message);
+    res.status(500).json({ msg: "Erreur serveur" });
+  }
+};
+
+// --- Temps réel (Server-Sent Events) ---
+
+// Connexions ouvertes par tableau : boardId -> Set de { res, userId, sessionId, apiTokenId }
+// (session ou jeton d'API avec lequel le flux a été ouvert).
+// Les événements ne sont diffusés qu'aux clients de cette instance du serveur.
+const boardClients = new Map();
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// EventSource ne permet pas d'envoyer d'en-têtes : pour le flux d'événements,
+// le jeton peut aussi être passé dans ?access_token=
+const authenticateStreamToken = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  authenticateToken(req, res, next);
+};
+
+// Envoie un événement à tous les clients connectés au tableau
+const broadcast = (boardId, type, payload) => {
+  const clients = boardClients.get(Number(boardId));
+  if (!clients) return;
+  const message = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const client of clients) {
+    client.res.write(message);
+  }
+};
+
+// Rediffuse une tâche dont les données dérivées (checklist, commentaires...) ont changé
+// (les tâches de la corbeille ne sont pas rediffusées)
+const broadcastTaskUpdate = async (taskId) => {
+  const task = await fetchTask(pool, taskId);
+  if (task && !task.deleted_at) {
+    broadcast(task.board_id, 'task:updated', task);
+  }
+};
+
+// Ferme les flux des sessions révoquées, dont le jeton d'accès n'est plus accepté
+const disconnectSessionClients = (sessionIds) => {
+  const revokedIds = new Set(sessionIds);
+  for (const clients of boardClients.values()) {
+    for (const client of clients) {
+      if (revokedIds.has(client.sessionId)) {
+        client.res.end();
+      }
+    }
+  }
+};
+
+// Ferme les flux ouverts avec un jeton d'API révoqué
+const disconnectApiTokenClients = (tokenId) => {
+  for (const clients of boardClients.values()) {
+    for (const client of clients) {
+      if (client.apiTokenId === tokenId) {
+        client.res.end();
+      }
+    }
+  }
+};
+
+// Ferme les flux d'un utilisateur qui n'a plus accès au tableau
+const disconnectBoardClient = (boardId, userId) => {
+  const clients = boardClients.get(Number(boardId));
+  if (!clients) return;
+  for (const client of clients) {
+    if (client.userId === Number(userId)) {
+      client.res.end();
+    }
+  }
+};
+
 // --- Route de test ---
 app.get('/api/health', (req, res) => {
   console.log('ℹ️ Requête reçue sur /api/health');
@@ -76,277 +872,3466 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// --- Routes d'Authentification ---
+// --- Sessions ---
+// Le refresh token est un jeton opaque envoyé dans un cookie httpOnly limité aux routes
+// /api/auth ; il change à chaque renouvellement (rotation). Un jeton déjà remplacé qui revient
+// après REFRESH_REUSE_GRACE_SECONDS a pu être volé : la session est alors révoquée.
+const REFRESH_COOKIE = 'refresh_token';
+// Plusieurs onglets peuvent renouveler en même temps avec le même cookie
+const REFRESH_REUSE_GRACE_SECONDS = 30;
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  // En production, le frontend (Netlify) et l'API sont sur des sites différents
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+  path: '/api/auth',
+});
+
+// Jetons opaques (sessions, liens envoyés par email) : seule leur empreinte est stockée
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, email: user.email, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Crée une session et renvoie son identifiant et son refresh token
+const createSession = async (db, userId, userAgent) => {
+  const refreshToken = generateToken();
+  const session = await db.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4)) RETURNING id`,
+    [userId, hashToken(refreshToken), (userAgent || '').slice(0, 255) || null, SESSION_TTL_DAYS]
+  );
+  return { sessionId: session.rows[0].id, refreshToken };
+};
+
+// Réponse d'une connexion ou d'un renouvellement : jeton d'accès, et nouveau cookie si le refresh token a changé
+const sendSession = (res, user, sessionId, refreshToken) => {
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(), maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000 });
+  }
+  const payload = { id: user.id, email: user.email };
+  res.json({ token: signAccessToken(user, sessionId), user: payload });
+};
+
+const clearSessionCookie = (res) => res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+
+const purgeExpiredSessions = async () => {
+  try {
+    const result = await pool.query(
+      "DELETE FROM sessions WHERE expires_at < NOW() OR revoked_at < NOW() - make_interval(days => $1)",
+      [SESSION_TTL_DAYS]
+    );
+    if (result.rowCount > 0) {
+      console.log(`✅ ${result.rowCount} session(s) expirée(s) supprimée(s)`);
+    }
+  } catch (err) {
+    console.error('❌ Erreur lors de la purge des sessions:', err.message);
+  }
+};
+
+// --- Liens envoyés par email ---
+// Vérification de l'email à l'inscription et réinitialisation du mot de passe. Les liens pointent
+// vers le frontend (APP_URL), qui renvoie le jeton à l'API.
+const AUTH_TOKEN_PURPOSES = {
+  verify_email: { ttlMinutes: 48 * 60, param: 'verify_email' },
+  reset_password: { ttlMinutes: 60, param: 'reset_password' },
+  change_email: { ttlMinutes: 48 * 60, param: 'change_email' },
+  // Étape du code de double authentification, entre le mot de passe et l'ouverture de la session
+  login_challenge: { ttlMinutes: 5 },
+};
+
+// Crée un jeton pour l'utilisateur ; un nouveau lien remplace les précédents de même usage
+const createAuthToken = async (db, userId, purpose) => {
+  await db.query("DELETE FROM auth_tokens WHERE user_id = $1 AND purpose = $2", [userId, purpose]);
+  const token = generateToken();
+  await db.query(
+    `INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [userId, purpose, hashToken(token), AUTH_TOKEN_PURPOSES[purpose].ttlMinutes]
+  );
+  return token;
+};
+
+// Consomme un jeton ; renvoie l'utilisateur, ou null si le jeton est inconnu, expiré ou déjà utilisé
+const consumeAuthToken = async (db, purpose, token) => {
+  if (typeof token !== 'string' || !token) return null;
+  const result = await db.query(
+    `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+  return result.rows[0]?.user_id ?? null;
+};
+
+const authTokenLink = (purpose, token) => `${APP_URL}/?${AUTH_TOKEN_PURPOSES[purpose].param}=${encodeURIComponent(token)}`;
+
+const authEmails = {
+  verify_email: (link) => ({
+    subject: 'Confirmez votre adresse email',
+    text: [
+      'Bienvenue dans Gestion de tâches !',
+      '',
+      'Pour activer votre compte, confirmez votre adresse email en ouvrant ce lien (valable 48 heures) :',
+      link,
+      '',
+      "Si vous n'avez pas créé de compte, ignorez cet email.",
+    ].join('\n'),
+  }),
+  reset_password: (link) => ({
+    subject: 'Réinitialisation de votre mot de passe',
+    text: [
+      'Une réinitialisation du mot de passe de votre compte a été demandée.',
+      '',
+      'Pour choisir un nouveau mot de passe, ouvrez ce lien (valable 1 heure, utilisable une seule fois) :',
+      link,
+      '',
+      "Si vous n'êtes pas à l'origine de cette demande, ignorez cet email : votre mot de passe reste inchangé.",
+    ].join('\n'),
+  }),
+  change_email: (link) => ({
+    subject: 'Confirmez votre nouvelle adresse email',
+    text: [
+      'Cette adresse a été indiquée comme nouvelle adresse email de votre compte Gestion de tâches.',
+      '',
+      'Pour confirmer le changement, ouvrez ce lien (valable 48 heures) :',
+      link,
+      '',
+      "Si vous n'êtes pas à l'origine de cette demande, ignorez cet email : l'adresse du compte reste inchangée.",
+    ].join('\n'),
+  }),
+};
+
+// Crée un jeton et envoie le lien ; un échec d'envoi est journalisé sans interrompre la requête
+const sendAuthTokenEmail = async (user, purpose) => {
+  try {
+    const token = await createAuthToken(pool, user.id, purpose);
+    await sendMail({ to: user.email, ...authEmails[purpose](authTokenLink(purpose, token)) });
+  } catch (err) {
+    console.error(`❌ Échec de l'envoi de l'email ${purpose} à l'utilisateur ${user.id}:`, err.message);
+  }
+};
+
+const purgeExpiredAuthTokens = async () => {
+  try {
+    await pool.query("DELETE FROM auth_tokens WHERE expires_at < NOW() OR used_at IS NOT NULL");
+  } catch (err) {
+    console.error('❌ Erreur lors de la purge des jetons:', err.message);
+  }
+};
+
+// --- Protection contre les attaques par force brute ---
+// Chaque échec de connexion est compté pour le compte (en base) et pour l'adresse IP (en mémoire).
+// Passé quelques essais libres, il faut attendre un délai qui double à chaque échec (voir
+// loginBackoffSeconds dans loginPolicy.js) ; après LOGIN_LOCKOUT_THRESHOLD échecs, le compte
+// est verrouillé LOGIN_LOCKOUT_MINUTES minutes.
+// Une connexion réussie ou une réinitialisation du mot de passe remet le compteur du compte à zéro.
+const LOGIN_FREE_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_THRESHOLD = 10;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Une même adresse IP peut servir plusieurs utilisateurs (NAT, réseau d'entreprise)
+const IP_FREE_ATTEMPTS = 20;
+// Les échecs d'une adresse IP sont oubliés après cette durée sans nouvel échec
+const IP_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+const loginFailuresByIp = new Map();
+
+// Secondes à attendre avant que cette adresse IP puisse retenter une connexion (0 si aucune)
+const ipLoginDelay = (ip) => {
+  const entry = loginFailuresByIp.get(ip);
+  if (!entry) return 0;
+  const waitMs = entry.lastFailureAt + loginBackoffSeconds(entry.failures, IP_FREE_ATTEMPTS) * 1000 - Date.now();
+  return Math.max(0, Math.ceil(waitMs / 1000));
+};
+
+const recordIpLoginFailure = (ip) => {
+  const entry = loginFailuresByIp.get(ip);
+  const isExpired = !entry || Date.now() - entry.lastFailureAt > IP_FAILURE_WINDOW_MS;
+  loginFailuresByIp.set(ip, { failures: isExpired ? 1 : entry.failures + 1, lastFailureAt: Date.now() });
+};
+
+const purgeLoginFailures = () => {
+  for (const [ip, entry] of loginFailuresByIp) {
+    if (Date.now() - entry.lastFailureAt > IP_FAILURE_WINDOW_MS) {
+      loginFailuresByIp.delete(ip);
+    }
+  }
+};
+
+// Compte un échec pour le compte ; renvoie le délai imposé en secondes et si c'est un verrouillage
+const recordAccountLoginFailure = async (userId) => {
+  const result = await pool.query(
+    "UPDATE users SET failed_login_attempts = failed_login_attempts + 1 WHERE id = $1 RETURNING failed_login_attempts",
+    [userId]
+  );
+  const failures = result.rows[0].failed_login_attempts;
+  const locked = failures >= LOGIN_LOCKOUT_THRESHOLD;
+  const delaySeconds = locked ? LOGIN_LOCKOUT_MINUTES * 60 : loginBackoffSeconds(failures, LOGIN_FREE_ATTEMPTS);
+  if (delaySeconds > 0) {
+    await pool.query(
+      "UPDATE users SET locked_until = NOW() + make_interval(secs => $2) WHERE id = $1",
+      [userId, delaySeconds]
+    );
+  }
+  return { delaySeconds, locked };
+};
+
+const formatWaitDuration = (seconds) => (seconds < 60
+  ? `${seconds} seconde${seconds > 1 ? 's' : ''}`
+  : `${Math.ceil(seconds / 60)} minute${seconds > 60 ? 's' : ''}`);
+
+const tooManyLoginAttempts = (res, seconds, locked = false) => {
+  res.set('Retry-After', String(seconds));
+  if (locked) {
+    return res.status(429).json({
+      msg: `Compte temporairement verrouillé après plusieurs tentatives échouées. Réessayez dans ${formatWaitDuration(seconds)} ou réinitialisez votre mot de passe.`,
+      code: 'account_locked',
+      retry_after: seconds
+    });
+  }
+  return res.status(429).json({
+    msg: `Trop de tentatives de connexion. Réessayez dans ${formatWaitDuration(seconds)}.`,
+    code: 'too_many_attempts',
+    retry_after: seconds
+  });
+};
+
+// Échec d'authentification : compté pour l'adresse IP et pour le compte
+const rejectFailedLogin = async (req, res, userId, msg, status = 400) => {
+  recordIpLoginFailure(req.ip);
+  const { delaySeconds, locked } = await recordAccountLoginFailure(userId);
+  if (locked) {
+    console.error(`❌ Compte de l'utilisateur ${userId} verrouillé après ${LOGIN_LOCKOUT_THRESHOLD} échecs de connexion`);
+    return tooManyLoginAttempts(res, delaySeconds, true);
+  }
+  return res.status(status).json({ msg });
+};
+
+const clearLoginFailures = (userId) => pool.query(
+  "UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1 AND failed_login_attempts > 0",
+  [userId]
+);
+
+// Connexion réussie (mot de passe, et code si la double authentification est activée)
+const completeLogin = async (req, res, user) => {
+  await clearLoginFailures(user.id);
+  const { sessionId, refreshToken } = await createSession(pool, user.id, req.get('User-Agent'));
+  sendSession(res, user, sessionId, refreshToken);
+};
+
+// --- Double authentification (TOTP) ---
+// Une fois activée, la connexion se fait en deux étapes : le mot de passe donne un jeton de
+// vérification (login_challenge), échangé contre la session avec un code de l'application
+// d'authentification ou un code de secours. Les échecs comptent comme des échecs de connexion.
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_COLUMNS = 'id, email, totp_secret, totp_enabled_at, totp_last_step';
+
+// Remplace les codes de secours du compte ; les nouveaux codes ne sont renvoyés qu'une fois
+const createRecoveryCodes = async (db, userId) => {
+  await db.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  for (const code of codes) {
+    await db.query(
+      "INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)",
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+};
+
+// Vérifie un code de l'application ou, à défaut, un code de secours (qui est alors utilisé).
+// Renvoie 'totp', 'recovery_code' ou null.
+const verifySecondFactor = async (db, user, code) => {
+  const step = verifyTotp(user.totp_secret, code, user.totp_last_step);
+  if (step !== null) {
+    // En cas de requêtes simultanées avec le même code, seule la première l'emporte
+    const updated = await db.query(
+      "UPDATE users SET totp_last_step = $2 WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2) RETURNING id",
+      [user.id, step]
+    );
+    return updated.rows.length > 0 ? 'totp' : null;
+  }
+  const recoveryCode = normalizeRecoveryCode(code);
+  if (recoveryCode.length !== 10) return null;
+  const used = await db.query(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id`,
+    [user.id, hashToken(recoveryCode)]
+  );
+  return used.rows.length > 0 ? 'recovery_code' : null;
+};
+
+// --- Routes d'Authentification ---
+
+// POST /api/auth/register
+app.post('/api/auth/register', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/register');
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ msg: "Email et mot de passe requis." });
+    }
+    const passwordError = validatePassword(password, email);
+    if (passwordError) {
+      return res.status(400).json({ msg: passwordError });
+    }
+    const existing = await pool.query("SELECT 1 FROM users WHERE LOWER(email) = LOWER($1)", [email]);
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ msg: "Un compte existe déjà avec cet email." });
+    }
+    const salt = await bcrypt.genSalt(10);
+    const password_hash = await bcrypt.hash(password, salt);
+    const newUser = await pool.query(
+      "INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email",
+      [email, password_hash]
+    );
+    // Le compte ne permet de se connecter qu'une fois l'email confirmé
+    await sendAuthTokenEmail(newUser.rows[0], 'verify_email');
+    res.status(201).json(newUser.rows[0]);
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/register:', err.message);
+    res.status(500).json({ msg: "Erreur serveur ou l'email existe déjà." });
+  }
+});
+
+// POST /api/auth/login
+app.post('/api/auth/login', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/login');
+  try {
+    const { email, password } = req.body;
+    const ipDelay = ipLoginDelay(req.ip);
+    if (ipDelay > 0) {
+      return tooManyLoginAttempts(res, ipDelay);
+    }
+    // Comme partout ailleurs, l'email est comparé sans tenir compte de la casse (l'adresse exacte
+    // l'emporte si d'anciens comptes ne diffèrent que par la casse)
+    const userResult = await pool.query(
+      `SELECT *, CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS locked_seconds
+       FROM users WHERE LOWER(email) = LOWER($1)
+       ORDER BY email = $1 DESC LIMIT 1`,
+      [email]
+    );
+    if (userResult.rows.length === 0) {
+      recordIpLoginFailure(req.ip);
+      return res.status(400).json({ msg: "Email ou mot de passe incorrect." });
+    }
+    const user = userResult.rows[0];
+    // Le mot de passe n'est même pas vérifié pendant le délai imposé
+    if (user.locked_seconds > 0) {
+      return tooManyLoginAttempts(res, user.locked_seconds, user.failed_login_attempts >= LOGIN_LOCKOUT_THRESHOLD);
+    }
+    const isMatch = await bcrypt.compare(password || '', user.password_hash);
+    if (!isMatch) {
+      return rejectFailedLogin(req, res, user.id, "Email ou mot de passe incorrect.");
+    }
+    if (!user.email_verified_at) {
+      return res.status(403).json({
+        msg: "Veuillez confirmer votre adresse email avant de vous connecter.",
+        code: 'email_not_verified'
+      });
+    }
+    // Le compteur d'échecs n'est remis à zéro qu'une fois le code vérifié
+    if (user.totp_enabled_at) {
+      const challenge = await createAuthToken(pool, user.id, 'login_challenge');
+      return res.json({ two_factor_required: true, challenge });
+    }
+    await completeLogin(req, res, user);
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/login:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/auth/login/2fa - Deuxième étape de la connexion : échange le jeton de vérification
+// et un code (application d'authentification ou code de secours) contre la session
+app.post('/api/auth/login/2fa', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/login/2fa');
+  const { challenge, code } = req.body;
+  try {
+    const ipDelay = ipLoginDelay(req.ip);
+    if (ipDelay > 0) {
+      return tooManyLoginAttempts(res, ipDelay);
+    }
+    const userResult = await pool.query(
+      `SELECT u.*, CEIL(EXTRACT(EPOCH FROM (u.locked_until - NOW())))::int AS locked_seconds
+       FROM auth_tokens t JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 AND t.purpose = 'login_challenge' AND t.used_at IS NULL AND t.expires_at > NOW()
+       AND u.totp_enabled_at IS NOT NULL`,
+      [typeof challenge === 'string' ? hashToken(challenge) : '']
+    );
+    if (userResult.rows.length === 0) {
+      return res.status(400).json({ msg: "Vérification expirée, veuillez vous reconnecter.", code: 'challenge_expired' });
+    }
+    const user = userResult.rows[0];
+    if (user.locked_seconds > 0) {
+      return tooManyLoginAttempts(res, user.locked_seconds, user.failed_login_attempts >= LOGIN_LOCKOUT_THRESHOLD);
+    }
+
+    const method = await verifySecondFactor(pool, user, code);
+    if (!method) {
+      return rejectFailedLogin(req, res, user.id, "Code de vérification incorrect.");
+    }
+    if (!await consumeAuthToken(pool, 'login_challenge', challenge)) {
+      return res.status(400).json({ msg: "Vérification expirée, veuillez vous reconnecter.", code: 'challenge_expired' });
+    }
+    if (method === 'recovery_code') {
+      console.log(`ℹ️ Connexion de l'utilisateur ${user.id} avec un code de secours`);
+    }
+    await completeLogin(req, res, user);
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/login/2fa:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// Réponse identique que le compte existe ou non, pour ne pas révéler les emails inscrits
+const AUTH_EMAIL_SENT_MSG = "Si un compte correspond à cette adresse, un email vient de lui être envoyé.";
+
+// POST /api/auth/verify-email - Confirme l'adresse email avec le jeton du lien
+app.post('/api/auth/verify-email', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/verify-email');
+  try {
+    const userId = await consumeAuthToken(pool, 'verify_email', req.body.token);
+    if (!userId) {
+      return res.status(400).json({ msg: "Lien de confirmation invalide ou expiré." });
+    }
+    await pool.query(
+      "UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1",
+      [userId]
+    );
+    res.json({ msg: "Adresse email confirmée, vous pouvez vous connecter." });
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/verify-email:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/auth/resend-verification - Renvoie le lien de confirmation d'un compte non vérifié
+app.post('/api/auth/resend-verification', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/resend-verification');
+  const { email } = req.body;
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ msg: "Email requis." });
+  }
+  try {
+    const userResult = await pool.query(
+      "SELECT id, email FROM users WHERE LOWER(email) = LOWER($1) AND email_verified_at IS NULL",
+      [email.trim()]
+    );
+    if (userResult.rows.length > 0) {
+      await sendAuthTokenEmail(userResult.rows[0], 'verify_email');
+    }
+    res.json({ msg: AUTH_EMAIL_SENT_MSG });
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/resend-verification:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/auth/forgot-password - Envoie un lien de réinitialisation du mot de passe
+app.post('/api/auth/forgot-password', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/forgot-password');
+  const { email } = req.body;
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ msg: "Email requis." });
+  }
+  try {
+    const userResult = await pool.query("SELECT id, email FROM users WHERE LOWER(email) = LOWER($1)", [email.trim()]);
+    if (userResult.rows.length > 0) {
+      await sendAuthTokenEmail(userResult.rows[0], 'reset_password');
+    }
+    res.json({ msg: AUTH_EMAIL_SENT_MSG });
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/forgot-password:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/auth/reset-password - Change le mot de passe avec le jeton du lien.
+// Toutes les sessions sont fermées et le compte est déverrouillé ; l'email est confirmé
+// puisque le lien y a été reçu.
+app.post('/api/auth/reset-password', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/reset-password');
+  const { token, password } = req.body;
+  if (!password) {
+    return res.status(400).json({ msg: "Mot de passe requis." });
+  }
+  try {
+    // Le jeton n'est consommé qu'une fois le nouveau mot de passe accepté
+    const tokenUser = await pool.query(
+      `SELECT u.email FROM auth_tokens t JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = $1 AND t.purpose = 'reset_password' AND t.used_at IS NULL AND t.expires_at > NOW()`,
+      [typeof token === 'string' ? hashToken(token) : '']
+    );
+    const passwordError = validatePassword(password, tokenUser.rows[0]?.email);
+    if (passwordError) {
+      return res.status(400).json({ msg: passwordError });
+    }
+    const salt = await bcrypt.genSalt(10);
+    const password_hash = await bcrypt.hash(password, salt);
+    const revokedSessionIds = await withTransaction(async (client) => {
+      const resetUserId = await consumeAuthToken(client, 'reset_password', token);
+      if (!resetUserId) return null;
+      await client.query(
+        `UPDATE users
+         SET password_hash = $2, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+             failed_login_attempts = 0, locked_until = NULL
+         WHERE id = $1`,
+        [resetUserId, password_hash]
+      );
+      const revoked = await client.query(
+        "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL RETURNING id",
+        [resetUserId]
+      );
+      return revoked.rows.map(row => row.id);
+    });
+    if (!revokedSessionIds) {
+      return res.status(400).json({ msg: "Lien de réinitialisation invalide ou expiré." });
+    }
+    disconnectSessionClients(revokedSessionIds);
+    res.json({ msg: "Mot de passe modifié, vous pouvez vous connecter." });
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/reset-password:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/auth/confirm-email-change - Remplace l'email du compte par la nouvelle adresse confirmée
+app.post('/api/auth/confirm-email-change', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/confirm-email-change');
+  try {
+    const updated = await withTransaction(async (client) => {
+      const userId = await consumeAuthToken(client, 'change_email', req.body.token);
+      if (!userId) return null;
+      const taken = await client.query(
+        `SELECT 1 FROM users u, users me
+         WHERE me.id = $1 AND u.id <> me.id AND LOWER(u.email) = LOWER(me.pending_email)`,
+        [userId]
+      );
+      if (taken.rows.length > 0) return { conflict: true };
+      const result = await client.query(
+        `UPDATE users SET email = pending_email, pending_email = NULL
+         WHERE id = $1 AND pending_email IS NOT NULL RETURNING email`,
+        [userId]
+      );
+      return result.rows[0] || null;
+    });
+    if (!updated) {
+      return res.status(400).json({ msg: "Lien de confirmation invalide ou expiré." });
+    }
+    if (updated.conflict) {
+      return res.status(409).json({ msg: "Cette adresse email est déjà utilisée par un autre compte." });
+    }
+    res.json({ msg: "Nouvelle adresse email confirmée.", email: updated.email });
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/confirm-email-change:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/auth/refresh - Renouvelle le jeton d'accès avec le refresh token du cookie (rotation)
+app.post('/api/auth/refresh', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/refresh');
+  const presentedToken = req.cookies[REFRESH_COOKIE];
+  if (!presentedToken) {
+    return res.status(401).json({ msg: "Session expirée, veuillez vous reconnecter." });
+  }
+  const presentedHash = hashToken(presentedToken);
+
+  try {
+    const renewed = await withTransaction(async (client) => {
+      const found = await client.query(
+        `SELECT s.id, s.user_id, u.email,
+                s.refresh_token_hash = $1 AS is_current,
+                s.rotated_at > NOW() - make_interval(secs => $2) AS in_grace_period,
+                s.revoked_at IS NULL AND s.expires_at > NOW() AS is_active
+         FROM sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+         FOR UPDATE OF s`,
+        [presentedHash, REFRESH_REUSE_GRACE_SECONDS]
+      );
+      const session = found.rows[0];
+      if (!session || !session.is_active) return null;
+      const user = { id: session.user_id, email: session.email };
+
+      if (!session.is_current) {
+        if (!session.in_grace_period) {
+          await client.query("UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1", [session.id]);
+          disconnectSessionClients([session.id]);
+          console.error(`❌ Refresh token réutilisé : session ${session.id} de l'utilisateur ${session.user_id} révoquée`);
+          return null;
+        }
+        // Renouvellement simultané : le cookie a déjà été remplacé par la première requête
+        return { user, sessionId: session.id, refreshToken: null };
+      }
+
+      const refreshToken = generateToken();
+      await client.query(
+        `UPDATE sessions
+         SET refresh_token_hash = $2, previous_token_hash = $3, rotated_at = CURRENT_TIMESTAMP,
+             last_used_at = CURRENT_TIMESTAMP, expires_at = NOW() + make_interval(days => $4)
+         WHERE id = $1`,
+        [session.id, hashToken(refreshToken), presentedHash, SESSION_TTL_DAYS]
+      );
+      return { user, sessionId: session.id, refreshToken };
+    });
+
+    if (!renewed) {
+      clearSessionCookie(res);
+      return res.status(401).json({ msg: "Session expirée, veuillez vous reconnecter." });
+    }
+    sendSession(res, renewed.user, renewed.sessionId, renewed.refreshToken);
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/refresh:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/auth/logout - Révoque la session du cookie
+app.post('/api/auth/logout', async (req, res) => {
+  console.log('ℹ️ Requête reçue sur POST /api/auth/logout');
+  const presentedToken = req.cookies[REFRESH_COOKIE];
+  try {
+    if (presentedToken) {
+      const presentedHash = hashToken(presentedToken);
+      const revoked = await pool.query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE (refresh_token_hash = $1 OR previous_token_hash = $1) AND revoked_at IS NULL
+         RETURNING id`,
+        [presentedHash]
+      );
+      disconnectSessionClients(revoked.rows.map(row => row.id));
+    }
+    clearSessionCookie(res);
+    res.status(204).send();
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/logout:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/auth/logout-all - Révoque toutes les sessions de l'utilisateur (tous les appareils).
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/auth/logout-all pour l'utilisateur ${req.user.id}`);
+  try {
+    const revoked = await pool.query(
+      "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL RETURNING id",
+      [req.user.id]
+    );
+    disconnectSessionClients(revoked.rows.map(row => row.id));
+    clearSessionCookie(res);
+    res.json({ revoked: revoked.rowCount });
+  } catch (err) {
+    console.error('❌ Erreur sur /api/auth/logout-all:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// --- Routes du compte (Protégées) ---
+
+const ACCOUNT_SELECT = "SELECT id, email, display_name, avatar_url, pending_email FROM users";
+const MAX_DISPLAY_NAME_LENGTH = 100;
+const MAX_AVATAR_URL_LENGTH = 2048;
+
+const isValidAvatarUrl = (value) => {
+  if (value.length > MAX_AVATAR_URL_LENGTH) return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// Vérifie le mot de passe actuel avant une action sensible du compte. Les échecs comptent comme des
+// échecs de connexion (délai imposé, verrouillage) ; le compteur est remis à zéro en cas de succès,
+// sauf avec keepFailures quand un code doit encore être vérifié. Renvoie false après avoir répondu.
+const checkCurrentPassword = async (req, res, password, { keepFailures = false } = {}) => {
+  const ipDelay = ipLoginDelay(req.ip);
+  if (ipDelay > 0) {
+    tooManyLoginAttempts(res, ipDelay);
+    return false;
+  }
+  const result = await pool.query(
+    `SELECT password_hash, failed_login_attempts,
+            CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS locked_seconds
+     FROM users WHERE id = $1`,
+    [req.user.id]
+  );
+  const account = result.rows[0];
+  if (!account) {
+    res.status(404).json({ msg: "Compte non trouvé." });
+    return false;
+  }
+  if (account.locked_seconds > 0) {
+    tooManyLoginAttempts(res, account.locked_seconds, account.failed_login_attempts >= LOGIN_LOCKOUT_THRESHOLD);
+    return false;
+  }
+  if (typeof password !== 'string' || !password || !await bcrypt.compare(password, account.password_hash)) {
+    await rejectFailedLogin(req, res, req.user.id, "Mot de passe actuel incorrect.", 403);
+    return false;
+  }
+  if (!keepFailures) {
+    await clearLoginFailures(req.user.id);
+  }
+  return true;
+};
+
+// GET /api/me - Profil de l'utilisateur connecté
+app.get('/api/me', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/me pour l'utilisateur ${req.user.id}`);
+  try {
+    const account = await pool.query(`${ACCOUNT_SELECT} WHERE id = $1`, [req.user.id]);
+    if (account.rows.length === 0) {
+      return res.status(404).json({ msg: "Compte non trouvé." });
+    }
+    res.json(account.rows[0]);
+  } catch (err) {
+    console.error('❌ Erreur sur GET /api/me:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// PATCH /api/me - Met à jour le nom affiché et l'avatar (null ou '' pour les retirer)
+app.patch('/api/me', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PATCH /api/me pour l'utilisateur ${req.user.id}`);
+  const updates = {};
+  for (const field of ['display_name', 'avatar_url']) {
+    if (req.body[field] === undefined) continue;
+    if (req.body[field] !== null && typeof req.body[field] !== 'string') {
+      return res.status(400).json({ msg: `Valeur invalide pour ${field}.` });
+    }
+    updates[field] = (req.body[field] || '').trim() || null;
+  }
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ msg: "Aucune modification fournie." });
+  }
+  if (updates.display_name && updates.display_name.length > MAX_DISPLAY_NAME_LENGTH) {
+    return res.status(400).json({ msg: `Le nom affiché ne doit pas dépasser ${MAX_DISPLAY_NAME_LENGTH} caractères.` });
+  }
+  if (updates.avatar_url && !isValidAvatarUrl(updates.avatar_url)) {
+    return res.status(400).json({ msg: "L'avatar doit être une adresse http(s) valide." });
+  }
+
+  try {
+    const fields = Object.keys(updates);
+    const account = await pool.query(
+      `UPDATE users SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}
+       WHERE id = $1 RETURNING id, email, display_name, avatar_url, pending_email`,
+      [req.user.id, ...fields.map(field => updates[field])]
+    );
+    res.json(account.rows[0]);
+  } catch (err) {
+    console.error('❌ Erreur sur PATCH /api/me:', err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la mise à jour du profil" });
+  }
+});
+
+// PUT /api/me/email - Demande un changement d'email : l'adresse actuelle reste utilisée
+// jusqu'à ce que le lien envoyé à la nouvelle soit ouvert
+app.put('/api/me/email', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PUT /api/me/email pour l'utilisateur ${req.user.id}`);
+  const { email, current_password } = req.body;
+  const newEmail = typeof email === 'string' ? email.trim() : '';
+
+  if (!newEmail || !newEmail.includes('@')) {
+    return res.status(400).json({ msg: "Adresse email invalide." });
+  }
+
+  try {
+    if (!await checkCurrentPassword(req, res, current_password)) return;
+    const taken = await pool.query("SELECT id FROM users WHERE LOWER(email) = LOWER($1)", [newEmail]);
+    if (taken.rows.length > 0) {
+      const msg = taken.rows[0].id === req.user.id
+        ? "C'est déjà l'adresse email de votre compte."
+        : "Cette adresse email est déjà utilisée par un autre compte.";
+      return res.status(409).json({ msg });
+    }
+
+    const account = await pool.query(
+      `UPDATE users SET pending_email = $2 WHERE id = $1 RETURNING id, email, display_name, avatar_url, pending_email`,
+      [req.user.id, newEmail]
+    );
+    await sendAuthTokenEmail({ id: req.user.id, email: newEmail }, 'change_email');
+    res.json(account.rows[0]);
+  } catch (err) {
+    console.error('❌ Erreur sur PUT /api/me/email:', err.message);
+    res.status(500).json({ msg: "Erreur serveur lors du changement d'email" });
+  }
+});
+
+// DELETE /api/me/email - Annule le changement d'email en attente
+app.delete('/api/me/email', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur DELETE /api/me/email pour l'utilisateur ${req.user.id}`);
+  try {
+    await withTransaction(async (client) => {
+      await client.query("UPDATE users SET pending_email = NULL WHERE id = $1", [req.user.id]);
+      await client.query("DELETE FROM auth_tokens WHERE user_id = $1 AND purpose = 'change_email'", [req.user.id]);
+    });
+    const account = await pool.query(`${ACCOUNT_SELECT} WHERE id = $1`, [req.user.id]);
+    res.json(account.rows[0]);
+  } catch (err) {
+    console.error('❌ Erreur sur DELETE /api/me/email:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// PUT /api/me/password - Change le mot de passe ; les autres sessions sont fermées
+app.put('/api/me/password', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PUT /api/me/password pour l'utilisateur ${req.user.id}`);
+  const { current_password, new_password } = req.body;
+
+  if (!new_password) {
+    return res.status(400).json({ msg: "Nouveau mot de passe requis." });
+  }
+
+  try {
+    if (!await checkCurrentPassword(req, res, current_password)) return;
+    const account = await pool.query("SELECT email FROM users WHERE id = $1", [req.user.id]);
+    const passwordError = validatePassword(new_password, account.rows[0]?.email);
+    if (passwordError) {
+      return res.status(400).json({ msg: passwordError });
+    }
+    const salt = await bcrypt.genSalt(10);
+    const password_hash = await bcrypt.hash(new_password, salt);
+    const revoked = await withTransaction(async (client) => {
+      await client.query("UPDATE users SET password_hash = $2 WHERE id = $1", [req.user.id, password_hash]);
+      const result = await client.query(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND revoked_at IS NULL AND id <> $2
+         RETURNING id`,
+        [req.user.id, req.user.sid]
+      );
+      return result.rows.map(row => row.id);
+    });
+    disconnectSessionClients(revoked);
+    res.json({ msg: "Mot de passe modifié.", revoked_sessions: revoked.length });
+  } catch (err) {
+    console.error('❌ Erreur sur PUT /api/me/password:', err.message);
+    res.status(500).json({ msg: "Erreur serveur lors du changement de mot de passe" });
+  }
+});
+
+// --- Double authentification du compte ---
+
+// Ré-authentification exigée pour désactiver la double authentification ou renouveler les codes
+// de secours : mot de passe actuel et code (current_password, code du corps). Les échecs comptent
+// comme des échecs de connexion. Renvoie false après avoir répondu.
+const reauthenticateTwoFactor = async (req, res) => {
+  const { current_password, code } = req.body;
+  if (!await checkCurrentPassword(req, res, current_password, { keepFailures: true })) return false;
+  const result = await pool.query(`SELECT ${TWO_FACTOR_COLUMNS} FROM users WHERE id = $1`, [req.user.id]);
+  const user = result.rows[0];
+  if (!user?.totp_enabled_at) {
+    res.status(400).json({ msg: "La double authentification n'est pas activée." });
+    return false;
+  }
+  if (!await verifySecondFactor(pool, user, code)) {
+    await rejectFailedLogin(req, res, req.user.id, "Code de vérification incorrect.", 403);
+    return false;
+  }
+  await clearLoginFailures(req.user.id);
+  return true;
+};
+
+// GET /api/me/2fa - État de la double authentification
+app.get('/api/me/2fa', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/me/2fa pour l'utilisateur ${req.user.id}`);
+  try {
+    const result = await pool.query(
+      `SELECT u.totp_enabled_at,
+              (SELECT COUNT(*)::int FROM recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL) AS recovery_codes_remaining
+       FROM users u WHERE u.id = $1`,
+      [req.user.id]
+    );
+    const status = result.rows[0];
+    res.json({
+      enabled: Boolean(status?.totp_enabled_at),
+      enabled_at: status?.totp_enabled_at || null,
+      recovery_codes_remaining: status?.recovery_codes_remaining || 0
+    });
+  } catch (err) {
+    console.error('❌ Erreur sur GET /api/me/2fa:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/me/2fa/setup - Génère un secret à scanner ; il ne sera actif qu'après POST /api/me/2fa/enable
+app.post('/api/me/2fa/setup', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/me/2fa/setup pour l'utilisateur ${req.user.id}`);
+  try {
+    if (!await checkCurrentPassword(req, res, req.body.current_password)) return;
+    const secret = generateTotpSecret();
+    const updated = await pool.query(
+      "UPDATE users SET totp_pending_secret = $2 WHERE id = $1 AND totp_enabled_at IS NULL RETURNING email",
+      [req.user.id, secret]
+    );
+    if (updated.rows.length === 0) {
+      return res.status(409).json({ msg: "La double authentification est déjà activée." });
+    }
+    const otpauthUrl = totpUri(secret, updated.rows[0].email);
+    res.json({ secret, otpauth_url: otpauthUrl, qr_code: await QRCode.toDataURL(otpauthUrl) });
+  } catch (err) {
+    console.error('❌ Erreur sur POST /api/me/2fa/setup:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/me/2fa/enable - Active la double authentification avec un premier code de l'application.
+// Renvoie les codes de secours, qui ne seront plus jamais affichés.
+app.post('/api/me/2fa/enable', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/me/2fa/enable pour l'utilisateur ${req.user.id}`);
+  try {
+    const result = await pool.query("SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = $1", [req.user.id]);
+    const account = result.rows[0];
+    if (account.totp_enabled_at) {
+      return res.status(409).json({ msg: "La double authentification est déjà activée." });
+    }
+    if (!account.totp_pending_secret) {
+      return res.status(400).json({ msg: "Aucune activation en cours." });
+    }
+    const step = verifyTotp(account.totp_pending_secret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ msg: "Code de vérification incorrect." });
+    }
+
+    const recoveryCodes = await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+             totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $2
+         WHERE id = $1`,
+        [req.user.id, step]
+      );
+      return createRecoveryCodes(client, req.user.id);
+    });
+    console.log(`✅ Double authentification activée pour l'utilisateur ${req.user.id}`);
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error('❌ Erreur sur POST /api/me/2fa/enable:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/me/2fa/recovery-codes - Remplace les codes de secours (les anciens ne marchent plus)
+app.post('/api/me/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/me/2fa/recovery-codes pour l'utilisateur ${req.user.id}`);
+  try {
+    if (!await reauthenticateTwoFactor(req, res)) return;
+    const recoveryCodes = await withTransaction((client) => createRecoveryCodes(client, req.user.id));
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (err) {
+    console.error('❌ Erreur sur POST /api/me/2fa/recovery-codes:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// DELETE /api/me/2fa - Désactive la double authentification
+app.delete('/api/me/2fa', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur DELETE /api/me/2fa pour l'utilisateur ${req.user.id}`);
+  try {
+    if (!await reauthenticateTwoFactor(req, res)) return;
+    await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE users SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+         WHERE id = $1`,
+        [req.user.id]
+      );
+      await client.query("DELETE FROM recovery_codes WHERE user_id = $1", [req.user.id]);
+    });
+    console.log(`✅ Double authentification désactivée pour l'utilisateur ${req.user.id}`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('❌ Erreur sur DELETE /api/me/2fa:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// --- Jetons d'API personnels ---
+
+const API_TOKEN_SELECT = `
+  SELECT id, name, scope, token_hint, expires_at, last_used_at, created_at
+  FROM personal_access_tokens`;
+const MAX_API_TOKENS_PER_USER = 20;
+const MAX_API_TOKEN_DAYS = 365;
+
+// GET /api/me/tokens - Liste les jetons d'API de l'utilisateur (sans leur valeur)
+app.get('/api/me/tokens', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/me/tokens pour l'utilisateur ${req.user.id}`);
+  try {
+    const tokens = await pool.query(`${API_TOKEN_SELECT} WHERE user_id = $1 ORDER BY created_at DESC`, [req.user.id]);
+    res.json(tokens.rows);
+  } catch (err) {
+    console.error('❌ Erreur sur GET /api/me/tokens:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/me/tokens - Crée un jeton ({ name, scope, expires_in_days }, sans expiration si absent).
+// La valeur du jeton n'est renvoyée qu'à sa création.
+app.post('/api/me/tokens', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/me/tokens pour l'utilisateur ${req.user.id}`);
+  const { name, scope, expires_in_days } = req.body;
+  const tokenName = typeof name === 'string' ? name.trim() : '';
+
+  if (!tokenName || tokenName.length > 100) {
+    return res.status(400).json({ msg: "Le nom du jeton est requis (100 caractères maximum)." });
+  }
+  if (!API_TOKEN_SCOPES.includes(scope)) {
+    return res.status(400).json({ msg: "Portée invalide (read ou write)." });
+  }
+  const hasExpiry = expires_in_days !== undefined && expires_in_days !== null;
+  if (hasExpiry && !(Number.isInteger(expires_in_days) && expires_in_days >= 1 && expires_in_days <= MAX_API_TOKEN_DAYS)) {
+    return res.status(400).json({ msg: `La durée de validité doit être comprise entre 1 et ${MAX_API_TOKEN_DAYS} jours.` });
+  }
+
+  try {
+    const count = await pool.query("SELECT COUNT(*)::int AS count FROM personal_access_tokens WHERE user_id = $1", [req.user.id]);
+    if (count.rows[0].count >= MAX_API_TOKENS_PER_USER) {
+      return res.status(400).json({ msg: `Vous ne pouvez pas avoir plus de ${MAX_API_TOKENS_PER_USER} jetons d'API.` });
+    }
+
+    const token = `${API_TOKEN_PREFIX}${generateToken()}`;
+    const created = await pool.query(
+      `INSERT INTO personal_access_tokens (user_id, name, scope, token_hash, token_hint, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+       RETURNING id, name, scope, token_hint, expires_at, last_used_at, created_at`,
+      [req.user.id, tokenName, scope, hashToken(token), `${token.slice(0, API_TOKEN_PREFIX.length + 4)}…`, hasExpiry ? expires_in_days : null]
+    );
+    console.log(`✅ Jeton d'API ${created.rows[0].id} (${scope}) créé pour l'utilisateur ${req.user.id}`);
+    res.status(201).json({ ...created.rows[0], token });
+  } catch (err) {
+    console.error('❌ Erreur sur POST /api/me/tokens:', err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la création du jeton" });
+  }
+});
+
+// DELETE /api/me/tokens/:tokenId - Révoque un jeton
+app.delete('/api/me/tokens/:tokenId', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur DELETE /api/me/tokens/${req.params.tokenId} pour l'utilisateur ${req.user.id}`);
+  const { tokenId } = req.params;
+
+  if (!isValidId(tokenId)) {
+    return res.status(400).json({ msg: "Identifiant de jeton invalide." });
+  }
+
+  try {
+    const deleted = await pool.query(
+      "DELETE FROM personal_access_tokens WHERE id = $1 AND user_id = $2 RETURNING id",
+      [tokenId, req.user.id]
+    );
+    if (deleted.rows.length === 0) {
+      return res.status(404).json({ msg: "Jeton non trouvé." });
+    }
+    disconnectApiTokenClients(deleted.rows[0].id);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erreur sur DELETE /api/me/tokens/${tokenId}:`, err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// DELETE /api/me - Supprime le compte. Les tableaux dont l'utilisateur est le seul propriétaire
+// sont supprimés avec toutes leurs tâches ; un tableau partagé avec d'autres propriétaires leur
+// est transmis, et les tâches qu'il a créées sur les tableaux des autres leur reviennent.
+app.delete('/api/me', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur DELETE /api/me pour l'utilisateur ${req.user.id}`);
+  try {
+    if (!await checkCurrentPassword(req, res, req.body.current_password)) return;
+
+    const boardIds = await withTransaction(async (client) => {
+      const memberships = await client.query("SELECT board_id FROM board_members WHERE user_id = $1", [req.user.id]);
+      await client.query(
+        `UPDATE boards b SET owner_id = (
+           SELECT m.user_id FROM board_members m
+           WHERE m.board_id = b.id AND m.role = 'owner' AND m.user_id <> $1
+           ORDER BY m.created_at ASC LIMIT 1)
+         WHERE b.owner_id = $1 AND EXISTS (
+           SELECT 1 FROM board_members m WHERE m.board_id = b.id AND m.role = 'owner' AND m.user_id <> $1)`,
+        [req.user.id]
+      );
+      await client.query(
+        `UPDATE tasks t SET user_id = b.owner_id
+         FROM boards b WHERE b.id = t.board_id AND t.user_id = $1 AND b.owner_id <> $1`,
+        [req.user.id]
+      );
+      await client.query("DELETE FROM boards WHERE owner_id = $1", [req.user.id]);
+      await client.query("DELETE FROM tasks WHERE user_id = $1", [req.user.id]);
+      await client.query("DELETE FROM users WHERE id = $1", [req.user.id]);
+      return memberships.rows.map(row => row.board_id);
+    });
+
+    boardIds.forEach(boardId => disconnectBoardClient(boardId, req.user.id));
+    clearSessionCookie(res);
+    console.log(`✅ Compte de l'utilisateur ${req.user.id} supprimé`);
+    res.status(204).send();
+  } catch (err) {
+    console.error('❌ Erreur sur DELETE /api/me:', err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la suppression du compte" });
+  }
+});
+
+// --- Routes des Tableaux (Protégées) ---
+// Taille de la colonne boards.name
+const BOARD_NAME_MAX_LENGTH = 100;
+
+// GET /api/boards - Récupère les tableaux dont l'utilisateur est membre (archivés inclus), avec son rôle
+app.get('/api/boards', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/boards pour l'utilisateur ${req.user.id}`);
+  try {
+    const boards = await pool.query(
+      `SELECT b.*, m.role FROM boards b
+       JOIN board_members m ON m.board_id = b.id AND m.user_id = $1
+       ORDER BY b.is_archived ASC, b.created_at ASC, b.id ASC`,
+      [req.user.id]
+    );
+    res.json(boards.rows);
+  } catch (err) {
+    console.error('❌ Erreur sur GET /api/boards:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/boards - Crée un tableau
+app.post('/api/boards', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/boards pour l'utilisateur ${req.user.id}`);
+  const { name } = req.body;
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ msg: "Le nom du tableau est requis." });
+  }
+  if (name.trim().length > BOARD_NAME_MAX_LENGTH) {
+    return res.status(400).json({ msg: `Le nom du tableau ne doit pas dépasser ${BOARD_NAME_MAX_LENGTH} caractères.` });
+  }
+  try {
+    const newBoard = await withTransaction(async (client) => {
+      const result = await client.query(
+        "INSERT INTO boards (name, owner_id) VALUES ($1, $2) RETURNING *",
+        [name.trim(), req.user.id]
+      );
+      await client.query(
+        "INSERT INTO board_members (board_id, user_id, role) VALUES ($1, $2, 'owner')",
+        [result.rows[0].id, req.user.id]
+      );
+      await createDefaultColumns(client, result.rows[0].id);
+      return { ...result.rows[0], role: 'owner' };
+    });
+    res.status(201).json(newBoard);
+  } catch (err) {
+    console.error('❌ Erreur sur POST /api/boards:', err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la création du tableau" });
+  }
+});
+
+// PUT /api/boards/:boardId - Renomme et/ou archive un tableau
+app.put('/api/boards/:boardId', authenticateToken, authorizeBoard('owner'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PUT /api/boards/${req.params.boardId} pour l'utilisateur ${req.user.id}`);
+  const { name, is_archived } = req.body;
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ msg: "Le nom du tableau est requis." });
+  }
+  if (name !== undefined && name.trim().length > BOARD_NAME_MAX_LENGTH) {
+    return res.status(400).json({ msg: `Le nom du tableau ne doit pas dépasser ${BOARD_NAME_MAX_LENGTH} caractères.` });
+  }
+  if (is_archived !== undefined && typeof is_archived !== 'boolean') {
+    return res.status(400).json({ msg: "Valeur d'archivage invalide." });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE boards SET
+          name = $1,
+          is_archived = $2,
+          updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [
+        name !== undefined ? name.trim() : req.board.name,
+        is_archived !== undefined ? is_archived : req.board.is_archived,
+        req.board.id
+      ]
+    );
+    res.json({ ...result.rows[0], role: req.boardRole });
+  } catch (err) {
+    console.error(`❌ Erreur sur PUT /api/boards/${req.board.id}:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la mise à jour du tableau" });
+  }
+});
+
+// DELETE /api/boards/:boardId - Supprime un tableau et toutes ses tâches
+app.delete('/api/boards/:boardId', authenticateToken, authorizeBoard('owner'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur DELETE /api/boards/${req.params.boardId} pour l'utilisateur ${req.user.id}`);
+  try {
+    await pool.query("DELETE FROM boards WHERE id = $1", [req.board.id]);
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erreur sur DELETE /api/boards/${req.board.id}:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la suppression du tableau" });
+  }
+});
+
+// --- Routes des Membres (Protégées) ---
+
+const MEMBER_SELECT = `
+  SELECT m.user_id, u.email, m.role, m.created_at
+  FROM board_members m JOIN users u ON u.id = m.user_id`;
+
+// Nombre de propriétaires d'un tableau : il doit toujours en rester au moins un
+const countBoardOwners = async (boardId) => {
+  const result = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM board_members WHERE board_id = $1 AND role = 'owner'",
+    [boardId]
+  );
+  return result.rows[0].count;
+};
+
+// GET /api/boards/:boardId/members - Liste les membres d'un tableau
+app.get('/api/boards/:boardId/members', authenticateToken, authorizeBoard(), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/boards/${req.params.boardId}/members pour l'utilisateur ${req.user.id}`);
+  try {
+    const members = await pool.query(
+      `${MEMBER_SELECT} WHERE m.board_id = $1 ORDER BY m.created_at ASC, u.email ASC`,
+      [req.board.id]
+    );
+    res.json(members.rows);
+  } catch (err) {
+    console.error(`❌ Erreur sur GET /api/boards/${req.board.id}/members:`, err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/boards/:boardId/members - Invite un utilisateur existant par son email
+app.post('/api/boards/:boardId/members', authenticateToken, authorizeBoard('owner'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/boards/${req.params.boardId}/members pour l'utilisateur ${req.user.id}`);
+  const { email, role } = req.body;
+
+  if (typeof email !== 'string' || !email.trim()) {
+    return res.status(400).json({ msg: "Email requis." });
+  }
+  if (!BOARD_ROLES.includes(role)) {
+    return res.status(400).json({ msg: "Rôle invalide." });
+  }
+
+  try {
+    const userResult = await pool.query("SELECT id FROM users WHERE LOWER(email) = LOWER($1)", [email.trim()]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ msg: "Aucun compte n'existe avec cet email." });
+    }
+    const invitedId = userResult.rows[0].id;
+
+    const inserted = await pool.query(
+      `INSERT INTO board_members (board_id, user_id, role) VALUES ($1, $2, $3)
+       ON CONFLICT (board_id, user_id) DO NOTHING RETURNING user_id`,
+      [req.board.id, invitedId, role]
+    );
+    if (inserted.rows.length === 0) {
+      return res.status(409).json({ msg: "Cet utilisateur est déjà membre du tableau." });
+    }
+
+    const member = await pool.query(`${MEMBER_SELECT} WHERE m.board_id = $1 AND m.user_id = $2`, [req.board.id, invitedId]);
+    res.status(201).json(member.rows[0]);
+  } catch (err) {
+    console.error(`❌ Erreur sur POST /api/boards/${req.board.id}/members:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de l'ajout du membre" });
+  }
+});
+
+// PUT /api/boards/:boardId/members/:userId - Change le rôle d'un membre
+app.put('/api/boards/:boardId/members/:userId', authenticateToken, authorizeBoard('owner'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PUT /api/boards/${req.params.boardId}/members/${req.params.userId} pour l'utilisateur ${req.user.id}`);
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!isValidId(userId)) {
+    return res.status(400).json({ msg: "Identifiant d'utilisateur invalide." });
+  }
+  if (!BOARD_ROLES.includes(role)) {
+    return res.status(400).json({ msg: "Rôle invalide." });
+  }
+
+  try {
+    const existing = await pool.query(
+      "SELECT role FROM board_members WHERE board_id = $1 AND user_id = $2",
+      [req.board.id, userId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ msg: "Membre non trouvé." });
+    }
+    if (existing.rows[0].role === 'owner' && role !== 'owner' && await countBoardOwners(req.board.id) <= 1) {
+      return res.status(400).json({ msg: "Le tableau doit conserver au moins un propriétaire." });
+    }
+
+    await pool.query(
+      "UPDATE board_members SET role = $1 WHERE board_id = $2 AND user_id = $3",
+      [role, req.board.id, userId]
+    );
+    const member = await pool.query(`${MEMBER_SELECT} WHERE m.board_id = $1 AND m.user_id = $2`, [req.board.id, userId]);
+    res.json(member.rows[0]);
+  } catch (err) {
+    console.error(`❌ Erreur sur PUT /api/boards/${req.board.id}/members/${userId}:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la mise à jour du membre" });
+  }
+});
+
+// DELETE /api/boards/:boardId/members/:userId - Retire un membre (ou quitte le tableau pour soi-même)
+app.delete('/api/boards/:boardId/members/:userId', authenticateToken, authorizeBoard(), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur DELETE /api/boards/${req.params.boardId}/members/${req.params.userId} pour l'utilisateur ${req.user.id}`);
+  const { userId } = req.params;
+
+  if (!isValidId(userId)) {
+    return res.status(400).json({ msg: "Identifiant d'utilisateur invalide." });
+  }
+  if (Number(userId) !== req.user.id && req.boardRole !== 'owner') {
+    return forbiddenForRole(res);
+  }
+
+  try {
+    const existing = await pool.query(
+      "SELECT role FROM board_members WHERE board_id = $1 AND user_id = $2",
+      [req.board.id, userId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ msg: "Membre non trouvé." });
+    }
+    if (existing.rows[0].role === 'owner' && await countBoardOwners(req.board.id) <= 1) {
+      return res.status(400).json({ msg: "Le tableau doit conserver au moins un propriétaire." });
+    }
+
+    const unassignedTaskIds = await withTransaction(async (client) => {
+      await client.query("DELETE FROM board_members WHERE board_id = $1 AND user_id = $2", [req.board.id, userId]);
+      // Un ancien membre ne reste pas assigné aux tâches du tableau
+      const unassigned = await client.query(
+        `UPDATE tasks SET version = version + 1
+         WHERE board_id = $1 AND id IN (SELECT task_id FROM task_assignees WHERE user_id = $2)
+         RETURNING id`,
+        [req.board.id, userId]
+      );
+      await client.query(
+        "DELETE FROM task_assignees WHERE user_id = $2 AND task_id IN (SELECT id FROM tasks WHERE board_id = $1)",
+        [req.board.id, userId]
+      );
+      return unassigned.rows.map(row => row.id);
+    });
+    disconnectBoardClient(req.board.id, userId);
+    // Les autres clients reçoivent les tâches modifiées et leur nouvelle version
+    for (const taskId of unassignedTaskIds) {
+      await broadcastTaskUpdate(taskId);
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erreur sur DELETE /api/boards/${req.board.id}/members/${userId}:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors du retrait du membre" });
+  }
+});
+
+// --- Flux d'événements d'un tableau ---
+
+// GET /api/boards/:boardId/events - Flux SSE des modifications de tâches du tableau
+// Événements : task:created, task:updated, task:moved (tâche complète) et task:deleted ({ id })
+app.get('/api/boards/:boardId/events', authenticateStreamToken, authorizeBoard(), (req, res) => {
+  console.log(`ℹ️ Connexion au flux du tableau ${req.board.id} pour l'utilisateur ${req.user.id}`);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const client = { res, userId: req.user.id, sessionId: req.user.sid, apiTokenId: req.user.apiTokenId };
+  if (!boardClients.has(req.board.id)) {
+    boardClients.set(req.board.id, new Set());
+  }
+  boardClients.get(req.board.id).add(client);
+
+  // Commentaire périodique pour garder la connexion ouverte à travers les proxys
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    const clients = boardClients.get(req.board.id);
+    if (clients) {
+      clients.delete(client);
+      if (clients.size === 0) boardClients.delete(req.board.id);
+    }
+  });
+});
+
+// --- Routes des Colonnes (Protégées) ---
+
+// GET /api/boards/:boardId/columns - Récupère les colonnes d'un tableau, dans l'ordre
+app.get('/api/boards/:boardId/columns', authenticateToken, authorizeBoard(), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/boards/${req.params.boardId}/columns pour l'utilisateur ${req.user.id}`);
+  try {
+    const columns = await pool.query(
+      "SELECT * FROM board_columns WHERE board_id = $1 ORDER BY position ASC, id ASC",
+      [req.board.id]
+    );
+    res.json(columns.rows);
+  } catch (err) {
+    console.error(`❌ Erreur sur GET /api/boards/${req.board.id}/columns:`, err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/boards/:boardId/columns - Ajoute une colonne à la fin du tableau
+app.post('/api/boards/:boardId/columns', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/boards/${req.params.boardId}/columns pour l'utilisateur ${req.user.id}`);
+  const { name, color, is_done } = req.body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ msg: "Le nom de la colonne est requis." });
+  }
+  if (name.trim().length > COLUMN_NAME_MAX_LENGTH) {
+    return res.status(400).json({ msg: `Le nom de la colonne ne doit pas dépasser ${COLUMN_NAME_MAX_LENGTH} caractères.` });
+  }
+  if (color !== undefined && !COLUMN_COLORS.includes(color)) {
+    return res.status(400).json({ msg: "Couleur invalide." });
+  }
+  if (is_done !== undefined && typeof is_done !== 'boolean') {
+    return res.status(400).json({ msg: "Valeur « terminé » invalide." });
+  }
+
+  try {
+    const newColumn = await pool.query(
+      `INSERT INTO board_columns (board_id, name, color, is_done, position)
+       VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(position) + 1, 0) FROM board_columns WHERE board_id = $1))
+       RETURNING *`,
+      [req.board.id, name.trim(), color || 'blue', is_done || false]
+    );
+    res.status(201).json(newColumn.rows[0]);
+  } catch (err) {
+    console.error(`❌ Erreur sur POST /api/boards/${req.board.id}/columns:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la création de la colonne" });
+  }
+});
+
+// PUT /api/boards/:boardId/columns/order - Réordonne les colonnes (column_ids dans le nouvel ordre)
+app.put('/api/boards/:boardId/columns/order', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PUT /api/boards/${req.params.boardId}/columns/order pour l'utilisateur ${req.user.id}`);
+  const { column_ids } = req.body;
+
+  if (!Array.isArray(column_ids) || !column_ids.every(isValidId)) {
+    return res.status(400).json({ msg: "Liste de colonnes invalide." });
+  }
+
+  try {
+    const columns = await withTransaction(async (client) => {
+      const existing = await client.query("SELECT id FROM board_columns WHERE board_id = $1", [req.board.id]);
+      const existingIds = existing.rows.map(c => c.id).sort((a, b) => a - b);
+      const requestedIds = column_ids.map(Number).sort((a, b) => a - b);
+      if (existingIds.length !== requestedIds.length || existingIds.some((id, i) => id !== requestedIds[i])) {
+        return null;
+      }
+      for (const [position, columnId] of column_ids.entries()) {
+        await client.query("UPDATE board_columns SET position = $1 WHERE id = $2", [position, columnId]);
+      }
+      const result = await client.query(
+        "SELECT * FROM board_columns WHERE board_id = $1 ORDER BY position ASC, id ASC",
+        [req.board.id]
+      );
+      return result.rows;
+    });
+
+    if (!columns) {
+      return res.status(400).json({ msg: "La liste doit contenir exactement les colonnes du tableau." });
+    }
+    res.json(columns);
+  } catch (err) {
+    console.error(`❌ Erreur sur PUT /api/boards/${req.board.id}/columns/order:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors du réordonnancement des colonnes" });
+  }
+});
+
+// PUT /api/boards/:boardId/columns/:columnId - Renomme, recolore ou change la sémantique « terminé »
+app.put('/api/boards/:boardId/columns/:columnId', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PUT /api/boards/${req.params.boardId}/columns/${req.params.columnId} pour l'utilisateur ${req.user.id}`);
+  const { name, color, is_done } = req.body;
+
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ msg: "Le nom de la colonne est requis." });
+  }
+  if (name !== undefined && name.trim().length > COLUMN_NAME_MAX_LENGTH) {
+    return res.status(400).json({ msg: `Le nom de la colonne ne doit pas dépasser ${COLUMN_NAME_MAX_LENGTH} caractères.` });
+  }
+  if (color !== undefined && !COLUMN_COLORS.includes(color)) {
+    return res.status(400).json({ msg: "Couleur invalide." });
+  }
+  if (is_done !== undefined && typeof is_done !== 'boolean') {
+    return res.status(400).json({ msg: "Valeur « terminé » invalide." });
+  }
+
+  try {
+    const column = await findBoardColumn(req.board.id, req.params.columnId);
+    if (!column) {
+      return res.status(404).json({ msg: "Colonne non trouvée." });
+    }
+
+    const updatedColumn = await withTransaction(async (client) => {
+      const result = await client.query(
+        "UPDATE board_columns SET name = $1, color = $2, is_done = $3 WHERE id = $4 RETURNING *",
+        [
+          name !== undefined ? name.trim() : column.name,
+          color !== undefined ? color : column.color,
+          is_done !== undefined ? is_done : column.is_done,
+          column.id
+        ]
+      );
+      if (result.rows[0].is_done !== column.is_done) {
+        const columnTasks = await client.query("SELECT id FROM tasks WHERE column_id = $1", [column.id]);
+        await syncCompletedAt(client, columnTasks.rows.map(t => t.id));
+      }
+      return result.rows[0];
+    });
+    res.json(updatedColumn);
+  } catch (err) {
+    console.error(`❌ Erreur sur PUT /api/boards/${req.board.id}/columns/${req.params.columnId}:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la mise à jour de la colonne" });
+  }
+});
+
+// DELETE /api/boards/:boardId/columns/:columnId?move_to= - Supprime une colonne après avoir déplacé ses tâches
+app.delete('/api/boards/:boardId/columns/:columnId', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur DELETE /api/boards/${req.params.boardId}/columns/${req.params.columnId} pour l'utilisateur ${req.user.id}`);
+  const { move_to } = req.query;
+
+  try {
+    const column = await findBoardColumn(req.board.id, req.params.columnId);
+    if (!column) {
+      return res.status(404).json({ msg: "Colonne non trouvée." });
+    }
+
+    // Par défaut, les tâches rejoignent la première colonne restante
+    const target = move_to !== undefined
+      ? await findBoardColumn(req.board.id, move_to)
+      : (await pool.query(
+          "SELECT * FROM board_columns WHERE board_id = $1 AND id != $2 ORDER BY position ASC, id ASC LIMIT 1",
+          [req.board.id, column.id]
+        )).rows[0];
+
+    if (!target) {
+      return res.status(400).json({
+        msg: move_to !== undefined
+          ? "Colonne de destination invalide."
+          : "Impossible de supprimer la dernière colonne du tableau."
+      });
+    }
+    if (target.id === column.id) {
+      return res.status(400).json({ msg: "La colonne de destination doit être différente." });
+    }
+
+    const movedTasks = await withTransaction(async (client) => {
+      // Les tâches déplacées se placent après celles de la colonne de destination, dans leur ordre actuel
+      const moved = await client.query(
+        `UPDATE tasks SET
+            column_id = $1,
+            position = position + (SELECT COALESCE(MAX(position), 0) FROM tasks WHERE column_id = $1),
+            version = version + 1,
+            updated_at = CURRENT_TIMESTAMP
+         WHERE column_id = $2
+         RETURNING id`,
+        [target.id, column.id]
+      );
+      await syncCompletedAt(client, moved.rows.map(t => t.id));
+      await client.query("DELETE FROM board_columns WHERE id = $1", [column.id]);
+      // Les tâches de la corbeille suivent la colonne sans apparaître dans l'historique ni le flux
+      const result = await client.query(
+        `${TASK_SELECT} WHERE t.id = ANY($1::int[]) AND t.deleted_at IS NULL`,
+        [moved.rows.map(t => t.id)]
+      );
+      const nextOccurrences = [];
+      for (const task of result.rows) {
+        await logTaskActivity(client, {
+          task,
+          userId: req.user.id,
+          action: 'moved',
+          changes: {
+            column: { from: { id: column.id, name: column.name }, to: { id: target.id, name: target.name } }
+          }
+        });
+        const nextTask = await spawnNextOccurrence(client, task, { from: column, to: target, userId: req.user.id });
+        if (nextTask) nextOccurrences.push(nextTask);
+      }
+      const refreshed = await client.query(`${TASK_SELECT} WHERE t.id = ANY($1::int[])`, [result.rows.map(t => t.id)]);
+      return { moved: refreshed.rows, created: nextOccurrences };
+    });
+    for (const task of movedTasks.moved) {
+      broadcast(req.board.id, 'task:moved', task);
+    }
+    for (const task of movedTasks.created) {
+      broadcast(req.board.id, 'task:created', task);
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erreur sur DELETE /api/boards/${req.board.id}/columns/${req.params.columnId}:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la suppression de la colonne" });
+  }
+});
+
+// --- Routes des Libellés (Protégées) ---
+
+// Renvoie le message d'erreur d'un nom ou d'une couleur de libellé invalide, sinon null
+const validateLabelFields = ({ name, color }, { partial = false } = {}) => {
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return "Le nom du libellé est requis.";
+  }
+  if (name !== undefined && name.trim().length > 50) {
+    return "Le nom du libellé ne doit pas dépasser 50 caractères.";
+  }
+  if (color !== undefined && !LABEL_COLORS.includes(color)) {
+    return "Couleur invalide.";
+  }
+  return null;
+};
+
+const findBoardLabel = async (boardId, labelId) => {
+  if (!isValidId(labelId)) return null;
+  const result = await pool.query("SELECT * FROM labels WHERE id = $1 AND board_id = $2", [labelId, boardId]);
+  return result.rows[0] || null;
+};
+
+// Les cartes portant un libellé modifié ou supprimé sont rediffusées aux clients du tableau
+const broadcastLabelledTasks = async (taskIds) => {
+  for (const taskId of taskIds) {
+    await broadcastTaskUpdate(taskId);
+  }
+};
+
+// GET /api/boards/:boardId/labels - Récupère les libellés d'un tableau
+app.get('/api/boards/:boardId/labels', authenticateToken, authorizeBoard(), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/boards/${req.params.boardId}/labels pour l'utilisateur ${req.user.id}`);
+  try {
+    const labels = await pool.query(
+      "SELECT * FROM labels WHERE board_id = $1 ORDER BY LOWER(name) ASC, id ASC",
+      [req.board.id]
+    );
+    res.json(labels.rows);
+  } catch (err) {
+    console.error(`❌ Erreur sur GET /api/boards/${req.board.id}/labels:`, err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/boards/:boardId/labels - Crée un libellé
+app.post('/api/boards/:boardId/labels', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/boards/${req.params.boardId}/labels pour l'utilisateur ${req.user.id}`);
+  const { name, color } = req.body;
+
+  const error = validateLabelFields({ name, color });
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    const newLabel = await pool.query(
+      "INSERT INTO labels (board_id, name, color) VALUES ($1, $2, $3) RETURNING *",
+      [req.board.id, name.trim(), color || 'gray']
+    );
+    res.status(201).json(newLabel.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ msg: "Un libellé portant ce nom existe déjà sur ce tableau." });
+    }
+    console.error(`❌ Erreur sur POST /api/boards/${req.board.id}/labels:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la création du libellé" });
+  }
+});
+
+// PUT /api/boards/:boardId/labels/:labelId - Renomme ou recolore un libellé
+app.put('/api/boards/:boardId/labels/:labelId', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PUT /api/boards/${req.params.boardId}/labels/${req.params.labelId} pour l'utilisateur ${req.user.id}`);
+  const { name, color } = req.body;
+
+  const error = validateLabelFields({ name, color }, { partial: true });
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    const label = await findBoardLabel(req.board.id, req.params.labelId);
+    if (!label) {
+      return res.status(404).json({ msg: "Libellé non trouvé." });
+    }
+
+    const result = await pool.query(
+      "UPDATE labels SET name = $1, color = $2 WHERE id = $3 RETURNING *",
+      [name !== undefined ? name.trim() : label.name, color !== undefined ? color : label.color, label.id]
+    );
+    const taskIds = await pool.query("SELECT task_id FROM task_labels WHERE label_id = $1", [label.id]);
+    await broadcastLabelledTasks(taskIds.rows.map(r => r.task_id));
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ msg: "Un libellé portant ce nom existe déjà sur ce tableau." });
+    }
+    console.error(`❌ Erreur sur PUT /api/boards/${req.board.id}/labels/${req.params.labelId}:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la mise à jour du libellé" });
+  }
+});
+
+// DELETE /api/boards/:boardId/labels/:labelId - Supprime un libellé et le retire des tâches
+app.delete('/api/boards/:boardId/labels/:labelId', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur DELETE /api/boards/${req.params.boardId}/labels/${req.params.labelId} pour l'utilisateur ${req.user.id}`);
+  try {
+    const label = await findBoardLabel(req.board.id, req.params.labelId);
+    if (!label) {
+      return res.status(404).json({ msg: "Libellé non trouvé." });
+    }
+
+    const taskIds = await pool.query("SELECT task_id FROM task_labels WHERE label_id = $1", [label.id]);
+    await pool.query("DELETE FROM labels WHERE id = $1", [label.id]);
+    await broadcastLabelledTasks(taskIds.rows.map(r => r.task_id));
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erreur sur DELETE /api/boards/${req.board.id}/labels/${req.params.labelId}:`, err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la suppression du libellé" });
+  }
+});
+
+// --- Routes des Tâches (Protégées) ---
+
+// --- Recherche et filtres des tâches ---
+
+const TASK_SEARCH_VECTOR = `to_tsvector('simple', COALESCE(t.title, '') || ' ' || COALESCE(t.description, ''))`;
+const MAX_TASKS_PAGE_SIZE = 200;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseIdList = (value) => {
+  const ids = String(value).split(',');
+  return ids.every(isValidId) ? ids.map(Number) : null;
+};
+
+// Traduit les paramètres de recherche de GET /api/tasks en conditions SQL.
+// params contient déjà les paramètres de la requête ; les valeurs des filtres y sont ajoutées.
+// Renvoie { error } si un paramètre est invalide, sinon { conditions }.
+const buildTaskFilters = (query, userId, params) => {
+  const conditions = [];
+  const provided = (key) => query[key] !== undefined && query[key] !== '';
+
+  // Les tâches archivées ne sont renvoyées qu'avec ?archived=true
+  if (provided('archived') && !['true', 'false'].includes(query.archived)) {
+    return { error: "Filtre d'archivage invalide." };
+  }
+  conditions.push(query.archived === 'true' ? 't.archived_at IS NOT NULL' : 't.archived_at IS NULL');
+
+  // Recherche plein texte sur le titre et la description, complétée par une recherche
+  // de sous-chaîne pour les mots partiels
+  if (provided('q')) {
+    const text = String(query.q).trim();
+    if (text) {
+      params.push(text);
+      const textParam = params.length;
+      params.push(`%${text.replace(/[\\%_]/g, '\\$&')}%`);
+      const likeParam = params.length;
+      conditions.push(`(${TASK_SEARCH_VECTOR} @@ plainto_tsquery('simple', $${textParam})
+        OR t.title ILIKE $${likeParam} OR t.description ILIKE $${likeParam})`);
+    }
+  }
+
+  if (provided('priority')) {
+    const priorities = String(query.priority).split(',');
+    if (!priorities.every(p => TASK_PRIORITIES.includes(p))) {
+      return { error: "Filtre de priorité invalide." };
+    }
+    params.push(priorities);
+    conditions.push(`t.priority = ANY($${params.length}::text[])`);
+  }
+
+  if (provided('column_id')) {
+    const columnIds = parseIdList(query.column_id);
+    if (!columnIds) return { error: "Filtre de colonnes invalide." };
+    params.push(columnIds);
+    conditions.push(`t.column_id = ANY($${params.length}::int[])`);
+  }
+
+  // Statut : « done » pour les cartes des colonnes terminées, « open » pour les autres
+  if (provided('status')) {
+    if (!['open', 'done'].includes(query.status)) {
+      return { error: "Filtre de statut invalide." };
+    }
+    params.push(query.status === 'done');
+    conditions.push(`EXISTS (SELECT 1 FROM board_columns c WHERE c.id = t.column_id AND c.is_done = $${params.length})`);
+  }
+
+  if (provided('due_from')) {
+    const dueFrom = new Date(query.due_from);
+    if (isNaN(dueFrom.getTime())) return { error: "Date d'échéance de début invalide." };
+    params.push(dueFrom);
+    conditions.push(`t.due_date >= $${params.length}`);
+  }
+
+  // Une date seule (AAAA-MM-JJ) inclut toute la journée
+  if (provided('due_to')) {
+    const dueTo = new Date(query.due_to);
+    if (isNaN(dueTo.getTime())) return { error: "Date d'échéance de fin invalide." };
+    if (DATE_ONLY_PATTERN.test(query.due_to)) {
+      dueTo.setUTCDate(dueTo.getUTCDate() + 1);
+      params.push(dueTo);
+      conditions.push(`t.due_date < $${params.length}`);
+    } else {
+      params.push(dueTo);
+      conditions.push(`t.due_date <= $${params.length}`);
+    }
+  }
+
+  if (query.overdue === 'true') {
+    conditions.push(`t.due_date < NOW()
+      AND EXISTS (SELECT 1 FROM board_columns c WHERE c.id = t.column_id AND c.is_done = false)`);
+  }
+
+  // Assignés et libellés : la tâche doit correspondre à au moins une des valeurs
+  if (provided('assignee')) {
+    const assignees = String(query.assignee).split(',');
+    if (!assignees.every(a => a === 'me' || isValidId(a))) {
+      return { error: "Filtre d'assigné invalide." };
+    }
+    params.push(assignees.map(a => (a === 'me' ? userId : Number(a))));
+    conditions.push(`EXISTS (SELECT 1 FROM task_assignees ta WHERE ta.task_id = t.id AND ta.user_id = ANY($${params.length}::int[]))`);
+  }
+
+  if (provided('labels')) {
+    const labelIds = parseIdList(query.labels);
+    if (!labelIds) return { error: "Filtre de libellés invalide." };
+    params.push(labelIds);
+    conditions.push(`EXISTS (SELECT 1 FROM task_labels tl WHERE tl.task_id = t.id AND tl.label_id = ANY($${params.length}::int[]))`);
+  }
+
+  return { conditions };
+};
+
+// GET /api/tasks - Récupère les tâches d'un tableau (?board_id=) ou de tous les tableaux de l'utilisateur
+// Filtres (cumulables) :
+//   ?q=            texte recherché dans le titre et la description
+//   ?priority=     low,medium,high
+//   ?column_id=    <id>,<id>
+//   ?status=       open | done (selon la colonne de la carte)
+//   ?due_from= / ?due_to=   bornes de la date d'échéance
+//   ?overdue=true  cartes en retard, hors colonnes terminées
+//   ?assignee=     me,<id> ; ?labels= <id>,<id> (au moins un des assignés / libellés)
+//   ?archived=true tâches archivées (exclues par défaut)
+// Pagination : ?limit= (max 200) et ?offset= ; le total est renvoyé dans l'en-tête X-Total-Count
+app.get('/api/tasks', authenticateToken, authorizeBoard('viewer', { optional: true }), async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/tasks pour l'utilisateur ${req.user.id}`);
+  const { limit, offset } = req.query;
+
+  const params = [req.user.id];
+  const conditions = ['t.deleted_at IS NULL'];
+  if (req.board) {
+    params.push(req.board.id);
+    conditions.push(`t.board_id = $${params.length}`);
+  }
+
+  const filters = buildTaskFilters(req.query, req.user.id, params);
+  if (filters.error) {
+    return res.status(400).json({ msg: filters.error });
+  }
+  conditions.push(...filters.conditions);
+
+  if (limit !== undefined && (!isValidId(limit) || Number(limit) < 1 || Number(limit) > MAX_TASKS_PAGE_SIZE)) {
+    return res.status(400).json({ msg: `La limite doit être comprise entre 1 et ${MAX_TASKS_PAGE_SIZE}.` });
+  }
+  if (offset !== undefined && !isValidId(offset)) {
+    return res.status(400).json({ msg: "Décalage invalide." });
+  }
+
+  const fromClause = `
+       JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $1
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+
+  try {
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM tasks t ${fromClause}`, params);
+
+    const pageParams = [...params];
+    let pagination = '';
+    if (limit !== undefined) {
+      pageParams.push(Number(limit));
+      pagination += ` LIMIT $${pageParams.length}`;
+    }
+    if (offset !== undefined) {
+      pageParams.push(Number(offset));
+      pagination += ` OFFSET $${pageParams.length}`;
+    }
+
+    const userTasks = await pool.query(
+      `${TASK_SELECT}
+       ${fromClause}
+       ORDER BY t.position ASC, t.id ASC${pagination}`,
+      pageParams
+    );
+    res.set('X-Total-Count', String(countResult.rows[0].total));
+    res.json(userTasks.rows);
+  } catch (err) {
+    console.error('❌ Erreur sur /api/tasks:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/tasks - Crée une tâche dans un tableau (board_id) de l'utilisateur connecté
+app.post('/api/tasks', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur POST /api/tasks pour l'utilisateur ${req.user.id}`);
+    console.log('📤 Données reçues:', req.body);
+    
+    const { error, fields } = parseTaskFields(req.body, { creating: true });
+    if (error) {
+        console.error('❌ Données invalides:', error);
+        return res.status(400).json({ msg: error });
+    }
+    const { assignee_ids, label_ids } = req.body;
+
+    try {
+        if (assignee_ids !== undefined && !(await validateAssigneeIds(req.board.id, assignee_ids))) {
+            console.error('❌ Assignés invalides:', assignee_ids);
+            return res.status(400).json({ msg: "Les assignés doivent être membres du tableau." });
+        }
+        if (label_ids !== undefined && !(await validateLabelIds(req.board.id, label_ids))) {
+            console.error('❌ Libellés invalides:', label_ids);
+            return res.status(400).json({ msg: "Les libellés doivent appartenir au tableau." });
+        }
+
+        // Sans colonne explicite, la tâche est créée dans la première colonne du tableau
+        const column = fields.column_id !== undefined
+            ? await findBoardColumn(req.board.id, fields.column_id)
+            : (await pool.query(
+                "SELECT * FROM board_columns WHERE board_id = $1 ORDER BY position ASC, id ASC LIMIT 1",
+                [req.board.id]
+              )).rows[0];
+        if (!column) {
+            console.error('❌ Colonne invalide:', fields.column_id);
+            return res.status(400).json({ msg: "Colonne invalide." });
+        }
+
+        const newTask = await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO tasks (title, description, user_id, board_id, column_id, position, due_date, reminder_date, priority, recurrence_rule) 
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+                [
+                    fields.title,
+                    fields.description,
+                    req.user.id,
+                    req.board.id,
+                    column.id,
+                    await nextPositionInColumn(client, column.id),
+                    fields.due_date,
+                    fields.reminder_date,
+                    fields.priority,
+                    fields.recurrence_rule
+                ]
+            );
+            if (assignee_ids !== undefined) {
+                await setTaskAssignees(client, result.rows[0].id, assignee_ids);
+            }
+            if (label_ids !== undefined) {
+                await setTaskLabels(client, result.rows[0].id, label_ids);
+            }
+            await syncCompletedAt(client, [result.rows[0].id]);
+            const task = await fetchTask(client, result.rows[0].id);
+            await logTaskActivity(client, {
+                task,
+                userId: req.user.id,
+                action: 'created',
+                changes: diffActivitySnapshots(null, await activitySnapshot(client, task))
+            });
+            return task;
+        });
+        console.log('✅ Tâche créée:', newTask);
+        broadcast(newTask.board_id, 'task:created', newTask);
+        res.status(201).set('ETag', taskETag(newTask)).json(newTask);
+    } catch (err) {
+        console.error('❌ Erreur détaillée sur POST /api/tasks:');
+        console.error('- Message:', err.message);
+        console.error('- Code:', err.code);
+        console.error('- Detail:', err.detail);
+        console.error('- Stack:', err.stack);
+        res.status(500).json({ msg: "Erreur serveur lors de la création de la tâche" });
+    }
+});
+
+// --- Mise à jour des tâches (PUT et PATCH) ---
+// Les champs sont validés par parseTaskFields (voir taskFields.js)
+
+// Enregistre les champs validés (et les assignés / libellés si fournis) sur req.task, à
+// condition que la version attendue soit toujours la version courante, puis répond avec la tâche.
+const saveTaskUpdate = async (req, res, { fields, assigneeIds, labelIds, expectedVersion }) => {
+    const task = req.task;
+
+    if (fields.column_id !== undefined) {
+        const column = await findBoardColumn(task.board_id, fields.column_id);
+        if (!column) {
+            console.error('❌ Colonne hors du tableau de la tâche:', fields.column_id);
+            return res.status(400).json({ msg: "Colonne invalide." });
+        }
+        // Une tâche qui change de colonne est placée à la fin de celle-ci
+        if (column.id !== task.column_id) {
+            fields.position = await nextPositionInColumn(pool, column.id);
+        }
+    }
+
+    // Sans assignee_ids, les assignés actuels sont conservés
+    if (assigneeIds !== undefined && !(await validateAssigneeIds(task.board_id, assigneeIds))) {
+        console.error('❌ Assignés invalides:', assigneeIds);
+        return res.status(400).json({ msg: "Les assignés doivent être membres du tableau." });
+    }
+    if (labelIds !== undefined && !(await validateLabelIds(task.board_id, labelIds))) {
+        console.error('❌ Libellés invalides:', labelIds);
+        return res.status(400).json({ msg: "Les libellés doivent appartenir au tableau." });
+    }
+
+    const { assignments, values } = taskUpdateAssignments(fields);
+
+    const updatedTask = await withTransaction(async (client) => {
+        // Verrouille la tâche dans la version attendue avant de relever ses valeurs pour l'historique
+        const locked = await client.query(
+            "SELECT id FROM tasks WHERE id = $1 AND version = $2 FOR UPDATE",
+            [task.id, expectedVersion]
+        );
+        if (locked.rows.length === 0) return null;
+        const before = await activitySnapshot(client, await fetchTask(client, task.id));
+
+        await client.query(
+            `UPDATE tasks SET ${[...assignments, 'version = version + 1', 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+             WHERE id = $${values.length + 1}`,
+            [...values, task.id]
+        );
+        if (assigneeIds !== undefined) {
+            await setTaskAssignees(client, task.id, assigneeIds);
+        }
+        if (labelIds !== undefined) {
+            await setTaskLabels(client, task.id, labelIds);
+        }
+        if (fields.column_id !== undefined) {
+            await syncCompletedAt(client, [task.id]);
+        }
+        const saved = await fetchTask(client, task.id);
+        await logTaskActivity(client, {
+            task: saved,
+            userId: req.user.id,
+            action: 'updated',
+            changes: diffActivitySnapshots(before, await activitySnapshot(client, saved))
+        });
+
+        const columns = await client.query(
+            "SELECT * FROM board_columns WHERE id = ANY($1::int[])",
+            [[task.column_id, saved.column_id]]
+        );
+        const findColumn = (columnId) => columns.rows.find(c => c.id === columnId);
+        const nextTask = await spawnNextOccurrence(client, saved, {
+            from: findColumn(task.column_id),
+            to: findColumn(saved.column_id),
+            userId: req.user.id
+        });
+        return { task: await fetchTask(client, task.id), nextTask };
+    });
+
+    if (!updatedTask) {
+        console.error(`❌ Conflit de version sur la tâche ${task.id} (version attendue ${expectedVersion})`);
+        return sendVersionConflict(res, task.id);
+    }
+
+    console.log('✅ Tâche mise à jour:', updatedTask.task);
+    broadcast(updatedTask.task.board_id, 'task:updated', updatedTask.task);
+    if (updatedTask.nextTask) {
+        broadcast(updatedTask.nextTask.board_id, 'task:created', updatedTask.nextTask);
+    }
+    res.set('ETag', taskETag(updatedTask.task)).json(updatedTask.task);
+};
+
+// Lit la version attendue ; renvoie false après avoir répondu si elle est absente ou invalide
+const requireExpectedVersion = (req, res) => {
+    const expectedVersion = readExpectedVersion(req);
+    if (expectedVersion === null) {
+        res.status(428).json({ msg: "Version de la tâche requise (en-tête If-Match ou champ version)." });
+        return false;
+    }
+    if (Number.isNaN(expectedVersion)) {
+        res.status(400).json({ msg: "Version invalide." });
+        return false;
+    }
+    return expectedVersion;
+};
+
+// PUT /api/tasks/:id - Remplace les champs d'une tâche d'un tableau de l'utilisateur connecté
+// title et column_id sont requis ; les autres champs absents reprennent leur valeur par défaut
+app.put('/api/tasks/:id', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur PUT /api/tasks/${req.params.id} pour l'utilisateur ${req.user.id}`);
+    console.log('📤 Données reçues pour mise à jour:', req.body);
+
+    const expectedVersion = requireExpectedVersion(req, res);
+    if (expectedVersion === false) return;
+
+    const { error, fields } = parseTaskFields(req.body);
+    if (error) {
+        console.error('❌ Données invalides:', error);
+        return res.status(400).json({ msg: error });
+    }
+
+    try {
+        console.log('📋 Tâche existante:', req.task);
+        await saveTaskUpdate(req, res, {
+            fields,
+            assigneeIds: req.body.assignee_ids,
+            labelIds: req.body.label_ids,
+            expectedVersion
+        });
+    } catch (err) {
+        console.error('❌ Erreur détaillée sur PUT /api/tasks:');
+        console.error('- Message:', err.message);
+        console.error('- Code:', err.code);
+        console.error('- Detail:', err.detail);
+        console.error('- Stack:', err.stack);
+        console.error('- Requête SQL échouée pour:', { id: req.params.id, user_id: req.user.id, fields });
+
+        res.status(500).json({ msg: "Erreur serveur lors de la mise à jour de la tâche" });
+    }
+});
+
+// PATCH /api/tasks/:id - Met à jour uniquement les champs fournis d'une tâche
+app.patch('/api/tasks/:id', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur PATCH /api/tasks/${req.params.id} pour l'utilisateur ${req.user.id}`);
+    console.log('📤 Données reçues pour mise à jour partielle:', req.body);
+
+    const expectedVersion = requireExpectedVersion(req, res);
+    if (expectedVersion === false) return;
+
+    const { error, fields } = parseTaskFields(req.body, { partial: true });
+    if (error) {
+        console.error('❌ Données invalides:', error);
+        return res.status(400).json({ msg: error });
+    }
+    const { assignee_ids: assigneeIds, label_ids: labelIds } = req.body;
+    if (Object.keys(fields).length === 0 && assigneeIds === undefined && labelIds === undefined) {
+        return res.status(400).json({ msg: "Aucun champ à mettre à jour." });
+    }
+
+    try {
+        await saveTaskUpdate(req, res, { fields, assigneeIds, labelIds, expectedVersion });
+    } catch (err) {
+        console.error(`❌ Erreur sur PATCH /api/tasks/${req.params.id}:`, {
+            message: err.message,
+            code: err.code,
+            detail: err.detail
+        });
+        res.status(500).json({ msg: "Erreur serveur lors de la mise à jour de la tâche" });
+    }
+});
+
+// POST /api/tasks/:id/move - Déplace une carte dans une colonne, entre deux cartes voisines
+// Corps : { column_id, prev_id, next_id, version } où prev_id / next_id sont les cartes qui
+// encadreront la carte après le déplacement (null en début ou en fin de colonne).
+// Comme pour PUT et PATCH, la version attendue (If-Match ou version) est requise.
+app.post('/api/tasks/:id/move', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur POST /api/tasks/${req.params.id}/move pour l'utilisateur ${req.user.id}`);
+    console.log('📤 Données reçues pour déplacement:', req.body);
+
+    const expectedVersion = requireExpectedVersion(req, res);
+    if (expectedVersion === false) return;
+
+    const { id } = req.params;
+    const { column_id, prev_id, next_id } = req.body;
+
+    if (!isValidId(column_id)) {
+        return res.status(400).json({ msg: "Colonne invalide." });
+    }
+    for (const neighborId of [prev_id, next_id]) {
+        if (neighborId !== undefined && neighborId !== null && (!isValidId(neighborId) || Number(neighborId) === req.task.id)) {
+            return res.status(400).json({ msg: "Carte voisine invalide." });
+        }
+    }
+
+    try {
+        const column = await findBoardColumn(req.task.board_id, column_id);
+        if (!column) {
+            return res.status(400).json({ msg: "Colonne invalide." });
+        }
+
+        const movedTask = await withTransaction(async (client) => {
+            const locked = await client.query(
+                "SELECT id FROM tasks WHERE id = $1 AND version = $2 FOR UPDATE",
+                [id, expectedVersion]
+            );
+            if (locked.rows.length === 0) return null;
+
+            // Les voisins doivent se trouver dans la colonne de destination
+            const findNeighbor = async (neighborId) => {
+                if (neighborId === undefined || neighborId === null) return null;
+                const result = await client.query(
+                    "SELECT id, position FROM tasks WHERE id = $1 AND column_id = $2 AND deleted_at IS NULL",
+                    [neighborId, column.id]
+                );
+                if (result.rows.length === 0) {
+                    const err = new Error("Carte voisine introuvable dans la colonne de destination.");
+                    err.status = 400;
+                    throw err;
+                }
+                return result.rows[0];
+            };
+
+            const computePosition = async () => {
+                const prev = await findNeighbor(prev_id);
+                const next = await findNeighbor(next_id);
+                if (prev && next) {
+                    if (prev.position >= next.position) {
+                        const err = new Error("Les cartes voisines ne sont pas dans l'ordre attendu.");
+                        err.status = 409;
+                        throw err;
+                    }
+                    return { position: (prev.position + next.position) / 2, bounds: [prev.position, next.position] };
+                }
+                if (prev) return { position: prev.position + POSITION_STEP };
+                if (next) return { position: next.position - POSITION_STEP };
+                return { position: await nextPositionInColumn(client, column.id) };
+            };
+
+            let { position, bounds } = await computePosition();
+            // Précision épuisée entre les deux voisins : on renumérote la colonne puis on recalcule
+            if (bounds && (position <= bounds[0] || position >= bounds[1])) {
+                await rebalanceColumn(client, column.id);
+                ({ position } = await computePosition());
+            }
+
+            await client.query(
+                "UPDATE tasks SET column_id = $1, position = $2, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $3",
+                [column.id, position, id]
+            );
+            await syncCompletedAt(client, [req.task.id]);
+            const task = await fetchTask(client, id);
+            // Un simple réordonnancement dans la colonne n'apparaît pas dans l'historique
+            if (column.id === req.task.column_id) {
+                return { task, nextTask: null };
+            }
+            const from = (await client.query("SELECT * FROM board_columns WHERE id = $1", [req.task.column_id])).rows[0];
+            await logTaskActivity(client, {
+                task,
+                userId: req.user.id,
+                action: 'moved',
+                changes: { column: { from: from ? { id: from.id, name: from.name } : null, to: { id: column.id, name: column.name } } }
+            });
+            const nextTask = await spawnNextOccurrence(client, task, { from, to: column, userId: req.user.id });
+            return { task: await fetchTask(client, id), nextTask };
+        });
+
+        if (!movedTask) {
+            console.error(`❌ Conflit de version sur la tâche ${id} (version attendue ${expectedVersion})`);
+            return sendVersionConflict(res, req.task.id);
+        }
+
+        console.log('✅ Tâche déplacée:', movedTask.task);
+        broadcast(movedTask.task.board_id, 'task:moved', movedTask.task);
+        if (movedTask.nextTask) {
+            broadcast(movedTask.nextTask.board_id, 'task:created', movedTask.nextTask);
+        }
+        res.set('ETag', taskETag(movedTask.task)).json(movedTask.task);
+    } catch (err) {
+        if (err.status) {
+            return res.status(err.status).json({ msg: err.message });
+        }
+        console.error(`❌ Erreur sur POST /api/tasks/${id}/move:`, {
+            message: err.message,
+            code: err.code,
+            detail: err.detail
+        });
+        res.status(500).json({ msg: "Erreur serveur lors du déplacement de la tâche" });
+    }
+});
+
+// DELETE /api/tasks/:id - Place une tâche dans la corbeille (restaurable jusqu'à sa purge)
+app.delete('/api/tasks/:id', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur DELETE /api/tasks/${req.params.id} pour l'utilisateur ${req.user.id}`);
+    const { id } = req.params;
+    try {
+        await withTransaction(async (client) => {
+            const task = await fetchTask(client, id);
+            await client.query(
+                `UPDATE tasks SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, version = version + 1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [id, req.user.id]
+            );
+            await logTaskActivity(client, {
+                task,
+                userId: req.user.id,
+                action: 'deleted',
+                changes: diffActivitySnapshots(await activitySnapshot(client, task), null)
+            });
+        });
+        broadcast(req.task.board_id, 'task:deleted', { id: req.task.id });
+        res.status(204).send();
+    } catch (err) {
+        console.error(`❌ Erreur détaillée sur DELETE /api/tasks/${id}:`, {
+            message: err.message,
+            code: err.code,
+            detail: err.detail
+        });
+        res.status(500).json({ msg: "Erreur serveur lors de la suppression" });
+    }
+});
+
+// --- Routes des archives (Protégées) ---
+// Une tâche archivée reste consultable (GET /api/tasks?archived=true) et modifiable, mais
+// n'apparaît plus sur le tableau. Les clients retirent du tableau les tâches reçues avec archived_at.
+
+// Archive les tâches des colonnes terminées qui vérifient la condition where ($2 et suivants)
+// au nom de l'utilisateur $1 (null pour l'archivage automatique), puis les rediffuse.
+// Renvoie le nombre de tâches archivées.
+const archiveDoneTasks = async (where, params) => {
+    const archived = await pool.query(
+        `WITH archived AS (
+           UPDATE tasks t SET archived_at = CURRENT_TIMESTAMP, version = version + 1, updated_at = CURRENT_TIMESTAMP
+           FROM board_columns c
+           WHERE c.id = t.column_id AND c.is_done = true
+             AND t.archived_at IS NULL AND t.deleted_at IS NULL AND ${where}
+           RETURNING t.id, t.board_id, t.title
+         ), logged AS (
+           INSERT INTO activity_log (board_id, task_id, task_title, user_id, action)
+           SELECT board_id, id, title, $1::int, 'archived' FROM archived
+         )
+         SELECT id FROM archived`,
+        params
+    );
+    for (const task of archived.rows) {
+        await broadcastTaskUpdate(task.id);
+    }
+    return archived.rows.length;
+};
+
+// Archive les tâches terminées depuis plus de AUTO_ARCHIVE_DAYS jours
+const archiveExpiredDoneTasks = async () => {
+    if (AUTO_ARCHIVE_DAYS <= 0) return;
+    try {
+        const count = await archiveDoneTasks('t.completed_at < NOW() - make_interval(days => $2)', [null, AUTO_ARCHIVE_DAYS]);
+        if (count > 0) {
+            console.log(`✅ Archivage automatique : ${count} tâche(s) archivée(s)`);
+        }
+    } catch (err) {
+        console.error("❌ Erreur lors de l'archivage automatique:", err.message);
+    }
+};
+
+// POST /api/boards/:boardId/archive-done - Archive toutes les tâches des colonnes terminées
+app.post('/api/boards/:boardId/archive-done', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur POST /api/boards/${req.params.boardId}/archive-done pour l'utilisateur ${req.user.id}`);
+    try {
+        const archived = await archiveDoneTasks('t.board_id = $2', [req.user.id, req.board.id]);
+        res.json({ archived });
+    } catch (err) {
+        console.error(`❌ Erreur sur POST /api/boards/${req.board.id}/archive-done:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de l'archivage des tâches" });
+    }
+});
+
+// Archive (archived = true) ou désarchive une tâche, quelle que soit sa colonne
+const setTaskArchived = async (req, res, archived) => {
+    const { id } = req.params;
+    if (Boolean(req.task.archived_at) === archived) {
+        return res.status(400).json({ msg: archived ? "La tâche est déjà archivée." : "La tâche n'est pas archivée." });
+    }
+    try {
+        const task = await withTransaction(async (client) => {
+            // Une tâche terminée que l'on désarchive repart pour un délai complet avant l'archivage automatique
+            const archivedAt = archived
+                ? 'archived_at = CURRENT_TIMESTAMP'
+                : 'archived_at = NULL, completed_at = CASE WHEN completed_at IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END';
+            await client.query(
+                `UPDATE tasks SET ${archivedAt}, version = version + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+                [id]
+            );
+            const saved = await fetchTask(client, id);
+            await logTaskActivity(client, {
+                task: saved,
+                userId: req.user.id,
+                action: archived ? 'archived' : 'unarchived',
+                changes: {}
+            });
+            return saved;
+        });
+        broadcast(task.board_id, 'task:updated', task);
+        res.set('ETag', taskETag(task)).json(task);
+    } catch (err) {
+        console.error(`❌ Erreur sur POST /api/tasks/${id}/${archived ? 'archive' : 'unarchive'}:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de l'archivage de la tâche" });
+    }
+};
+
+// POST /api/tasks/:id/archive - Archive une tâche
+app.post('/api/tasks/:id/archive', authenticateToken, authorizeTask('editor'), (req, res) =>
+    setTaskArchived(req, res, true)
+);
+
+// POST /api/tasks/:id/unarchive - Remet une tâche archivée sur le tableau
+app.post('/api/tasks/:id/unarchive', authenticateToken, authorizeTask('editor'), (req, res) =>
+    setTaskArchived(req, res, false)
+);
+
+// --- Routes de la corbeille (Protégées) ---
+
+// Supprime définitivement les tâches de la corbeille qui vérifient la condition where
+// ($2 et suivants) et l'enregistre dans l'historique au nom de l'utilisateur $1 (null pour la purge
+// automatique). Le nombre de lignes affectées est le nombre de tâches supprimées.
+const purgeTrashedTasksQuery = (where) => `
+  WITH purged AS (
+    DELETE FROM tasks t WHERE t.deleted_at IS NOT NULL AND ${where}
+    RETURNING t.id, t.board_id, t.title
+  )
+  INSERT INTO activity_log (board_id, task_id, task_title, user_id, action)
+  SELECT board_id, id, title, $1::int, 'purged' FROM purged`;
+
+// Purge les tâches restées dans la corbeille plus de TRASH_RETENTION_DAYS jours
+const purgeExpiredTrash = async () => {
+    try {
+        const result = await pool.query(
+            purgeTrashedTasksQuery('t.deleted_at < NOW() - make_interval(days => $2)'),
+            [null, TRASH_RETENTION_DAYS]
+        );
+        if (result.rowCount > 0) {
+            console.log(`✅ Corbeille : ${result.rowCount} tâche(s) supprimée(s) définitivement`);
+        }
+    } catch (err) {
+        console.error('❌ Erreur lors de la purge de la corbeille:', err.message);
+    }
+};
+
+// GET /api/boards/:boardId/trash - Tâches de la corbeille d'un tableau, des plus récemment supprimées
+// aux plus anciennes, avec l'auteur de la suppression (deleted_by_user) et la date de purge (purge_at)
+app.get('/api/boards/:boardId/trash', authenticateToken, authorizeBoard(), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/boards/${req.params.boardId}/trash pour l'utilisateur ${req.user.id}`);
+    try {
+        const trashed = await pool.query(
+            `SELECT trashed.*,
+               CASE WHEN u.id IS NULL THEN NULL ELSE json_build_object('id', u.id, 'email', u.email) END AS deleted_by_user,
+               trashed.deleted_at + make_interval(days => $2) AS purge_at
+             FROM (${TASK_SELECT} WHERE t.board_id = $1 AND t.deleted_at IS NOT NULL) trashed
+             LEFT JOIN users u ON u.id = trashed.deleted_by
+             ORDER BY trashed.deleted_at DESC, trashed.id DESC`,
+            [req.board.id, TRASH_RETENTION_DAYS]
+        );
+        res.json(trashed.rows);
+    } catch (err) {
+        console.error(`❌ Erreur sur GET /api/boards/${req.board.id}/trash:`, err.message);
+        res.status(500).send("Erreur serveur");
+    }
+});
+
+// DELETE /api/boards/:boardId/trash - Vide la corbeille d'un tableau
+app.delete('/api/boards/:boardId/trash', authenticateToken, authorizeBoard('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur DELETE /api/boards/${req.params.boardId}/trash pour l'utilisateur ${req.user.id}`);
+    try {
+        await pool.query(purgeTrashedTasksQuery('t.board_id = $2'), [req.user.id, req.board.id]);
+        res.status(204).send();
+    } catch (err) {
+        console.error(`❌ Erreur sur DELETE /api/boards/${req.board.id}/trash:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors du vidage de la corbeille" });
+    }
+});
+
+// POST /api/tasks/:id/restore - Sort une tâche de la corbeille, à sa place d'origine
+app.post('/api/tasks/:id/restore', authenticateToken, authorizeTask('editor', { trashed: true }), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur POST /api/tasks/${req.params.id}/restore pour l'utilisateur ${req.user.id}`);
+    const { id } = req.params;
+    try {
+        const restoredTask = await withTransaction(async (client) => {
+            await client.query(
+                `UPDATE tasks SET deleted_at = NULL, deleted_by = NULL, version = version + 1, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [id]
+            );
+            const task = await fetchTask(client, id);
+            await logTaskActivity(client, { task, userId: req.user.id, action: 'restored', changes: {} });
+            return task;
+        });
+        console.log('✅ Tâche restaurée:', restoredTask.id);
+        broadcast(restoredTask.board_id, 'task:created', restoredTask);
+        res.set('ETag', taskETag(restoredTask)).json(restoredTask);
+    } catch (err) {
+        console.error(`❌ Erreur sur POST /api/tasks/${id}/restore:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de la restauration de la tâche" });
+    }
+});
+
+// DELETE /api/tasks/:id/permanent - Supprime définitivement une tâche de la corbeille
+app.delete('/api/tasks/:id/permanent', authenticateToken, authorizeTask('editor', { trashed: true }), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur DELETE /api/tasks/${req.params.id}/permanent pour l'utilisateur ${req.user.id}`);
+    try {
+        await pool.query(purgeTrashedTasksQuery('t.id = $2'), [req.user.id, req.task.id]);
+        res.status(204).send();
+    } catch (err) {
+        console.error(`❌ Erreur sur DELETE /api/tasks/${req.params.id}/permanent:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de la suppression définitive" });
+    }
+});
+
+// --- Paramètres des utilisateurs ---
+
+// Valeurs appliquées tant que l'utilisateur n'a rien modifié (ligne absente de user_settings)
+const DEFAULT_USER_SETTINGS = {
+    due_soon_hours: 24,
+    notify_reminders: true,
+    notify_overdue: true,
+    notify_due_soon: true,
+    channel_in_app: true,
+    channel_email: true,
+    channel_push: true,
+    quiet_hours_start: null,
+    quiet_hours_end: null,
+    timezone: 'UTC'
+};
+const USER_SETTINGS_FLAGS = [
+    'notify_reminders', 'notify_overdue', 'notify_due_soon',
+    'channel_in_app', 'channel_email', 'channel_push'
+];
+const MAX_DUE_SOON_HOURS = 14 * 24;
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const USER_SETTINGS_SELECT = `
+  SELECT u.id, u.email, s.due_soon_hours,
+         ${USER_SETTINGS_FLAGS.map(key => `s.${key}`).join(', ')},
+         to_char(s.quiet_hours_start, 'HH24:MI') AS quiet_hours_start,
+         to_char(s.quiet_hours_end, 'HH24:MI') AS quiet_hours_end,
+         s.timezone
+  FROM users u
+  LEFT JOIN user_settings s ON s.user_id = u.id`;
+
+// Paramètres d'une ligne de USER_SETTINGS_SELECT, valeurs par défaut comprises
+const withDefaultSettings = (row) => Object.fromEntries(
+    Object.entries(DEFAULT_USER_SETTINGS).map(([key, value]) => [key, row[key] ?? value])
+);
+
+const fetchUserSettings = async (db, userId) => {
+    const result = await db.query(`${USER_SETTINGS_SELECT} WHERE u.id = $1`, [userId]);
+    return withDefaultSettings(result.rows[0]);
+};
+
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Valide une modification partielle des paramètres ; renvoie { error } ou { values }
+const parseUserSettings = (body) => {
+    const values = {};
+
+    if (body.due_soon_hours !== undefined) {
+        if (!Number.isInteger(body.due_soon_hours) || body.due_soon_hours < 1 || body.due_soon_hours > MAX_DUE_SOON_HOURS) {
+            return { error: `Le délai d'échéance proche doit être un nombre d'heures entre 1 et ${MAX_DUE_SOON_HOURS}.` };
+        }
+        values.due_soon_hours = body.due_soon_hours;
+    }
+
+    for (const key of USER_SETTINGS_FLAGS) {
+        if (body[key] === undefined) continue;
+        if (typeof body[key] !== 'boolean') {
+            return { error: `Le paramètre ${key} doit être un booléen.` };
+        }
+        values[key] = body[key];
+    }
+
+    // Les heures calmes se modifient ensemble : début et fin, ou null pour les désactiver
+    if (body.quiet_hours_start !== undefined || body.quiet_hours_end !== undefined) {
+        const { quiet_hours_start: start = null, quiet_hours_end: end = null } = body;
+        if ((start === null) !== (end === null)) {
+            return { error: "Les heures calmes nécessitent une heure de début et une heure de fin." };
+        }
+        if (start !== null && (!TIME_OF_DAY_PATTERN.test(start) || !TIME_OF_DAY_PATTERN.test(end) || start === end)) {
+            return { error: "Heures calmes invalides (format HH:MM, début différent de la fin)." };
+        }
+        values.quiet_hours_start = start;
+        values.quiet_hours_end = end;
+    }
+
+    if (body.timezone !== undefined) {
+        if (typeof body.timezone !== 'string' || body.timezone.length > 64 || !isValidTimeZone(body.timezone)) {
+            return { error: "Fuseau horaire invalide." };
+        }
+        values.timezone = body.timezone;
+    }
+
+    if (Object.keys(values).length === 0) {
+        return { error: "Aucun paramètre à modifier." };
+    }
+    return { values };
+};
+
+// Heure (HH:MM) dans le fuseau de l'utilisateur
+const localTimeOfDay = (timezone, date) =>
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+        .format(date);
+
+// Vrai si l'heure actuelle, dans le fuseau de l'utilisateur, tombe dans ses heures calmes
+const isInQuietHours = ({ quiet_hours_start: start, quiet_hours_end: end, timezone }, date = new Date()) => {
+    if (!start || !end) return false;
+    const now = localTimeOfDay(timezone, date);
+    // Une plage comme 22:00-07:00 passe minuit
+    return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Minutes restant avant la fin des heures calmes (à un changement d'heure près : le
+// destinataire est alors simplement remis en attente au passage suivant)
+const minutesUntilQuietHoursEnd = ({ quiet_hours_end: end, timezone }, date = new Date()) => {
+    const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+    const minutesPerDay = 24 * 60;
+    return (toMinutes(end) - toMinutes(localTimeOfDay(timezone, date)) + minutesPerDay) % minutesPerDay || minutesPerDay;
+};
+
+// --- Rappels et notifications ---
+
+// Rappels arrivés à échéance et pas encore envoyés (tâche t jointe à sa colonne c).
+// Partagé par GET /api/tasks/reminders et le planificateur.
+const DUE_REMINDER_CONDITIONS = `t.reminder_date IS NOT NULL
+             AND t.reminder_date <= NOW()
+             AND t.is_reminder_sent = false
+             AND t.deleted_at IS NULL AND t.archived_at IS NULL
+             AND c.is_done = false`;
+const NOTIFICATION_BATCH_SIZE = 50;
+// Délai avant de retenter un envoi échoué
+const NOTIFICATION_RETRY_MINUTES = 5;
+
+// Paramètre activant chaque type de notification, et canaux utilisés hors de l'application
+const NOTIFICATION_TYPES = {
+    reminder: { setting: 'notify_reminders', channels: ['email', 'push'] },
+    overdue: { setting: 'notify_overdue', channels: ['push'] }
+};
+
+// Destinataires des notifications d'une tâche : ses assignés, à défaut son créateur
+const notificationRecipients = async (db, task) => {
+    const userIds = task.assignees.length > 0 ? task.assignees.map(a => a.id) : [task.user_id];
+    const recipients = await db.query(`${USER_SETTINGS_SELECT} WHERE u.id = ANY($1::int[])`, [userIds]);
+    return recipients.rows.map(row => ({ id: row.id, email: row.email, settings: withDefaultSettings(row) }));
+};
+
+// Même règle que notificationRecipients, en SQL, pour la tâche t
+const TASK_RECIPIENT_IDS = `
+  SELECT a.user_id FROM task_assignees a WHERE a.task_id = t.id
+  UNION ALL
+  SELECT t.user_id WHERE NOT EXISTS (SELECT 1 FROM task_assignees a WHERE a.task_id = t.id)`;
+
+// Condition SQL : un destinataire de la tâche t n'est pas encore traité pour ce type de notification
+// et cette date de référence (colonne de t). Avec dueOnly, un destinataire en attente ne compte
+// qu'une fois la date de son nouvel essai arrivée. `type` est une clé de NOTIFICATION_TYPES.
+const recipientAwaitingNotification = (type, referenceColumn, { dueOnly = false } = {}) => `EXISTS (
+               SELECT 1 FROM (${TASK_RECIPIENT_IDS}) r
+               WHERE NOT EXISTS (
+                 SELECT 1 FROM notification_deliveries n
+                 WHERE n.task_id = t.id AND n.user_id = r.user_id
+                 AND n.type = '${type}' AND n.reference_date = ${referenceColumn}
+                 AND (n.retry_at IS NULL${dueOnly ? ' OR n.retry_at > NOW()' : ''})
+               )
+             )`;
+
+const reminderEmail = (task, boardName) => ({
+    subject: `Rappel : ${task.title}`,
+    text: [
+        `Rappel pour la tâche « ${task.title} » du tableau « ${boardName} ».`,
+        task.due_date ? `Échéance : ${task.due_date.toLocaleDateString('fr-FR')}` : null,
+        task.description ? `\n${task.description}` : null,
+        `\n${APP_URL}`
+    ].filter(line => line !== null).join('\n')
+});
+
+// Contenu d'une notification push, lu par le service worker du frontend
+const taskPushPayload = (task, type, boardName) => ({
+    type,
+    title: type === 'overdue' ? `En retard : ${task.title}` : `Rappel : ${task.title}`,
+    body: type === 'overdue' && task.due_date
+        ? `Échéance dépassée depuis le ${task.due_date.toLocaleDateString('fr-FR')} (${boardName})`
+        : boardName,
+    tag: `task-${task.id}-${type}`,
+    task_id: task.id,
+    board_id: task.board_id,
+    url: APP_URL
+});
+
+// Envoie une notification à tous les navigateurs abonnés des utilisateurs.
+// Les abonnements expirés sont supprimés ; renvoie le nombre de notifications remises.
+const pushToUsers = async (db, userIds, payload) => {
+    if (!isPushEnabled || userIds.length === 0) return 0;
+    const subscriptions = await db.query(
+        "SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE user_id = ANY($1::int[])",
+        [userIds]
+    );
+    let delivered = 0;
+    for (const subscription of subscriptions.rows) {
+        try {
+            if (await sendPush(subscription, payload)) {
+                await db.query("UPDATE push_subscriptions SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1", [subscription.id]);
+                delivered++;
+            } else {
+                await db.query("DELETE FROM push_subscriptions WHERE id = $1", [subscription.id]);
+                console.log(`ℹ️ Abonnement push ${subscription.id} expiré, supprimé`);
+            }
+        } catch (err) {
+            console.error(`❌ Échec de la notification push (abonnement ${subscription.id}):`, err.message);
+        }
+    }
+    return delivered;
+};
+
+// Enregistre un destinataire comme traité, ou en attente pendant retryMinutes minutes
+const recordNotificationDelivery = (db, { taskId, userId, type, referenceDate, retryMinutes = null }) => db.query(
+    `INSERT INTO notification_deliveries (task_id, user_id, type, reference_date, retry_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5::int))
+     ON CONFLICT (task_id, user_id, type) DO UPDATE
+       SET reference_date = EXCLUDED.reference_date, retry_at = EXCLUDED.retry_at, sent_at = CURRENT_TIMESTAMP`,
+    [taskId, userId, type, referenceDate, retryMinutes]
+);
+
+// Réserve, dans la transaction du planificateur, les notifications de la tâche pour les destinataires
+// à traiter maintenant, selon leurs paramètres. Un destinataire à notifier est enregistré comme traité
+// avant l'envoi, fait après la transaction ; un destinataire en heures calmes est mis en attente
+// jusqu'à leur fin. Renvoie les envois à faire : [{ userId, email, channels }].
+const claimTaskNotifications = async (db, { task, type, referenceDate }) => {
+    const { setting, channels } = NOTIFICATION_TYPES[type];
+    const recipients = await notificationRecipients(db, task);
+    const handled = await db.query(
+        `SELECT user_id FROM notification_deliveries
+         WHERE task_id = $1 AND type = $2 AND reference_date = $3 AND (retry_at IS NULL OR retry_at > NOW())`,
+        [task.id, type, referenceDate]
+    );
+    const handledIds = new Set(handled.rows.map(row => row.user_id));
+
+    const deliveries = [];
+    for (const { id, email, settings } of recipients) {
+        if (handledIds.has(id)) continue;
+        const enabledChannels = settings[setting]
+            ? channels.filter(channel => settings[`channel_${channel}`] && (channel !== 'push' || isPushEnabled))
+            : [];
+        // Enregistré même sans envoi (notification désactivée) : le destinataire est traité
+        const retryMinutes = enabledChannels.length > 0 && isInQuietHours(settings)
+            ? minutesUntilQuietHoursEnd(settings)
+            : null;
+        await recordNotificationDelivery(db, { taskId: task.id, userId: id, type, referenceDate, retryMinutes });
+        if (enabledChannels.length > 0 && retryMinutes === null) {
+            deliveries.push({ userId: id, email, channels: enabledChannels });
+        }
+    }
+    return deliveries;
+};
+
+// Envoie les notifications réservées par claimTaskNotifications, hors de toute transaction.
+// Un envoi échoué remet le destinataire en attente ; renvoie le nombre d'envois réussis.
+const sendClaimedNotifications = async ({ task, type, referenceDate, boardName, deliveries }) => {
+    let sent = 0;
+    for (const { userId, email, channels } of deliveries) {
+        try {
+            if (channels.includes('push')) {
+                await pushToUsers(pool, [userId], taskPushPayload(task, type, boardName));
+            }
+            if (channels.includes('email')) {
+                await sendMail({ to: email, ...reminderEmail(task, boardName) });
+            }
+            sent++;
+        } catch (err) {
+            console.error(`❌ Échec de la notification ${type} de la tâche ${task.id} pour l'utilisateur ${userId}:`, err.message);
+            await recordNotificationDelivery(pool, {
+                taskId: task.id, userId, type, referenceDate, retryMinutes: NOTIFICATION_RETRY_MINUTES
+            });
+        }
+    }
+    return sent;
+};
+
+// Envoie les rappels arrivés à échéance. Les tâches sont réservées dans une courte transaction
+// (FOR UPDATE SKIP LOCKED) : plusieurs instances du serveur peuvent tourner en parallèle sans envoyer
+// deux fois le même rappel, et les envois (SMTP, push) ne bloquent ni les tâches ni le pool.
+// Un rappel est marqué comme envoyé quand tous ses destinataires sont traités.
+const sendDueReminders = async () => {
+    const claimed = await withTransaction(async (client) => {
+        const due = await client.query(
+            `SELECT t.id, b.name AS board_name FROM tasks t
+             JOIN board_columns c ON c.id = t.column_id
+             JOIN boards b ON b.id = t.board_id
+             WHERE ${DUE_REMINDER_CONDITIONS}
+             AND ${recipientAwaitingNotification('reminder', 't.reminder_date', { dueOnly: true })}
+             ORDER BY t.reminder_date ASC
+             LIMIT $1
+             FOR UPDATE OF t SKIP LOCKED`,
+            [NOTIFICATION_BATCH_SIZE]
+        );
+        const notifications = [];
+        for (const { id, board_name } of due.rows) {
+            const task = await fetchTask(client, id);
+            const deliveries = await claimTaskNotifications(client, { task, type: 'reminder', referenceDate: task.reminder_date });
+            notifications.push({ task, type: 'reminder', referenceDate: task.reminder_date, boardName: board_name, deliveries });
+        }
+        return notifications;
+    });
+    for (const notification of claimed) {
+        await sendClaimedNotifications(notification);
+    }
+
+    // is_reminder_sent est un simple suivi interne : la version de la tâche n'augmente pas, pour ne
+    // pas provoquer de conflit chez un utilisateur qui est en train de la modifier
+    const sent = await pool.query(
+        `UPDATE tasks t SET is_reminder_sent = true
+         WHERE t.id = ANY($1::int[]) AND t.is_reminder_sent = false
+         AND NOT ${recipientAwaitingNotification('reminder', 't.reminder_date')}
+         RETURNING t.id`,
+        [claimed.map(notification => notification.task.id)]
+    );
+    for (const { id } of sent.rows) {
+        await broadcastTaskUpdate(id);
+    }
+    if (sent.rows.length > 0) {
+        console.log(`✅ ${sent.rows.length} rappel(s) envoyé(s)`);
+    }
+};
+
+// Notifie les destinataires des tâches dont l'échéance est dépassée, comme sendDueReminders.
+// Une nouvelle échéance, dépassée à son tour, déclenche une nouvelle notification.
+const sendOverdueNotifications = async () => {
+    const claimed = await withTransaction(async (client) => {
+        const overdue = await client.query(
+            `SELECT t.id, b.name AS board_name FROM tasks t
+             JOIN board_columns c ON c.id = t.column_id
+             JOIN boards b ON b.id = t.board_id
+             WHERE t.due_date IS NOT NULL AND t.due_date < NOW()
+             AND t.deleted_at IS NULL AND t.archived_at IS NULL
+             AND c.is_done = false
+             AND ${recipientAwaitingNotification('overdue', 't.due_date', { dueOnly: true })}
+             ORDER BY t.due_date ASC
+             LIMIT $1
+             FOR UPDATE OF t SKIP LOCKED`,
+            [NOTIFICATION_BATCH_SIZE]
+        );
+        const notifications = [];
+        for (const { id, board_name } of overdue.rows) {
+            const task = await fetchTask(client, id);
+            const deliveries = await claimTaskNotifications(client, { task, type: 'overdue', referenceDate: task.due_date });
+            notifications.push({ task, type: 'overdue', referenceDate: task.due_date, boardName: board_name, deliveries });
+        }
+        return notifications;
+    });
+    let notified = 0;
+    for (const notification of claimed) {
+        notified += await sendClaimedNotifications(notification);
+    }
+    if (notified > 0) {
+        console.log(`✅ ${notified} notification(s) de retard envoyée(s)`);
+    }
+};
+
+// Passage du planificateur ; un passage encore en cours n'est pas relancé
+let notificationRunInProgress = false;
+const runNotificationJobs = async () => {
+    if (notificationRunInProgress) return;
+    notificationRunInProgress = true;
+    try {
+        await sendDueReminders();
+        await sendOverdueNotifications();
+    } catch (err) {
+        console.error("❌ Erreur lors de l'envoi des notifications:", err.message);
+    } finally {
+        notificationRunInProgress = false;
+    }
+};
+
+// GET /api/tasks/due-soon - Récupère les tâches avec échéance proche (délai choisi dans les paramètres)
+app.get('/api/tasks/due-soon', authenticateToken, async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/tasks/due-soon pour l'utilisateur ${req.user.id}`);
+    try {
+        const dueSoonTasks = await pool.query(
+            `${TASK_SELECT}
+             JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $1
+             JOIN board_columns c ON c.id = t.column_id
+             LEFT JOIN user_settings s ON s.user_id = $1
+             WHERE due_date IS NOT NULL 
+             AND t.deleted_at IS NULL AND t.archived_at IS NULL
+             AND due_date <= NOW() + make_interval(hours => COALESCE(s.due_soon_hours, ${DEFAULT_USER_SETTINGS.due_soon_hours}))
+             AND c.is_done = false
+             ORDER BY due_date ASC`,
+            [req.user.id]
+        );
+        res.json(dueSoonTasks.rows);
+    } catch (err) {
+        console.error('❌ Erreur sur /api/tasks/due-soon:', err.message);
+        res.status(500).send("Erreur serveur");
+    }
+});
+
+// GET /api/tasks/reminders - Récupère les tâches nécessitant un rappel
+app.get('/api/tasks/reminders', authenticateToken, async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/tasks/reminders pour l'utilisateur ${req.user.id}`);
+    try {
+        const reminderTasks = await pool.query(
+            `${TASK_SELECT}
+             JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $1
+             JOIN board_columns c ON c.id = t.column_id
+             WHERE ${DUE_REMINDER_CONDITIONS}
+             ORDER BY reminder_date ASC`,
+            [req.user.id]
+        );
+        res.json(reminderTasks.rows);
+    } catch (err) {
+        console.error('❌ Erreur sur /api/tasks/reminders:', err.message);
+        res.status(500).send("Erreur serveur");
+    }
+});
 
-// POST /api/auth/register
-app.post('/api/auth/register', async (req, res) => {
-  console.log('ℹ️ Requête reçue sur POST /api/auth/register');
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ msg: "Email et mot de passe requis." });
+// GET /api/tasks/in-app-reminders - Rappels arrivés à échéance pas encore affichés dans
+// l'application à l'utilisateur connecté (destinataire de la tâche). Suivi par utilisateur,
+// indépendamment de is_reminder_sent que le planificateur renseigne après l'envoi par email ou push.
+app.get('/api/tasks/in-app-reminders', authenticateToken, async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/tasks/in-app-reminders pour l'utilisateur ${req.user.id}`);
+    try {
+        const reminderTasks = await pool.query(
+            `${TASK_SELECT}
+             JOIN board_columns c ON c.id = t.column_id
+             WHERE t.reminder_date IS NOT NULL AND t.reminder_date <= NOW()
+             AND t.deleted_at IS NULL AND t.archived_at IS NULL
+             AND c.is_done = false
+             AND $1 IN (${TASK_RECIPIENT_IDS})
+             AND NOT EXISTS (
+               SELECT 1 FROM notification_deliveries n
+               WHERE n.task_id = t.id AND n.user_id = $1
+               AND n.type = 'in_app_reminder' AND n.reference_date = t.reminder_date
+             )
+             ORDER BY reminder_date ASC`,
+            [req.user.id]
+        );
+        res.json(reminderTasks.rows);
+    } catch (err) {
+        console.error('❌ Erreur sur /api/tasks/in-app-reminders:', err.message);
+        res.status(500).send("Erreur serveur");
     }
-    const salt = await bcrypt.genSalt(10);
-    const password_hash = await bcrypt.hash(password, salt);
-    const newUser = await pool.query(
-      "INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email",
-      [email, password_hash]
-    );
-    res.status(201).json(newUser.rows[0]);
-  } catch (err) {
-    console.error('❌ Erreur sur /api/auth/register:', err.message);
-    res.status(500).json({ msg: "Erreur serveur ou l'email existe déjà." });
-  }
 });
 
-// POST /api/auth/login
-app.post('/api/auth/login', async (req, res) => {
-  console.log('ℹ️ Requête reçue sur POST /api/auth/login');
-  try {
-    const { email, password } = req.body;
-    const userResult = await pool.query("SELECT * FROM users WHERE email = $1", [email]);
-    if (userResult.rows.length === 0) {
-      return res.status(400).json({ msg: "Email ou mot de passe incorrect." });
+// POST /api/tasks/:id/in-app-reminder-seen - Le rappel de la tâche a été affiché à l'utilisateur
+app.post('/api/tasks/:id/in-app-reminder-seen', authenticateToken, authorizeTask(), async (req, res) => {
+    if (!req.task.reminder_date) {
+        return res.status(400).json({ msg: "Cette tâche n'a pas de rappel." });
     }
-    const user = userResult.rows[0];
-    const isMatch = await bcrypt.compare(password, user.password_hash);
-    if (!isMatch) {
-      return res.status(400).json({ msg: "Email ou mot de passe incorrect." });
+    try {
+        await recordNotificationDelivery(pool, {
+            taskId: req.task.id,
+            userId: req.user.id,
+            type: 'in_app_reminder',
+            referenceDate: req.task.reminder_date
+        });
+        res.status(204).send();
+    } catch (err) {
+        console.error(`❌ Erreur sur POST /api/tasks/${req.params.id}/in-app-reminder-seen:`, err.message);
+        res.status(500).send("Erreur serveur");
     }
-    const payload = { id: user.id, email: user.email };
-    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '1h' });
-    res.json({ token, user: payload });
-  } catch (err) {
-    console.error('❌ Erreur sur /api/auth/login:', err.message);
-    res.status(500).send("Erreur serveur");
-  }
 });
 
-// --- Routes des Tâches (Protégées) ---
+// POST /api/tasks/:id/mark-reminder-sent - Marque un rappel comme envoyé
+app.post('/api/tasks/:id/mark-reminder-sent', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        await pool.query("UPDATE tasks SET is_reminder_sent = true, version = version + 1 WHERE id = $1", [id]);
+        const task = await fetchTask(pool, id);
+        broadcast(task.board_id, 'task:updated', task);
+        res.set('ETag', taskETag(task)).json(task);
+    } catch (err) {
+        console.error(`❌ Erreur sur POST /api/tasks/${id}/mark-reminder-sent:`, err.message);
+        res.status(500).send("Erreur serveur");
+    }
+});
 
-// GET /api/tasks - Récupère les tâches de l'utilisateur connecté
-app.get('/api/tasks', authenticateToken, async (req, res) => {
-  console.log(`ℹ️ Requête reçue sur GET /api/tasks pour l'utilisateur ${req.user.id}`);
-  try {
-    const userTasks = await pool.query("SELECT * FROM tasks WHERE user_id = $1 ORDER BY id ASC", [req.user.id]);
-    res.json(userTasks.rows);
-  } catch (err) {
-    console.error('❌ Erreur sur /api/tasks:', err.message);
-    res.status(500).send("Erreur serveur");
-  }
+// GET /api/tasks/:id - Récupère une tâche et sa version (ETag)
+// Déclarée après /due-soon, /reminders et /in-app-reminders pour ne pas les intercepter
+app.get('/api/tasks/:id', authenticateToken, authorizeTask(), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/tasks/${req.params.id} pour l'utilisateur ${req.user.id}`);
+    try {
+        const task = await fetchTask(pool, req.params.id);
+        res.set('ETag', taskETag(task)).json(task);
+    } catch (err) {
+        console.error(`❌ Erreur sur GET /api/tasks/${req.params.id}:`, err.message);
+        res.status(500).send("Erreur serveur");
+    }
 });
 
-// POST /api/tasks - Crée une tâche pour l'utilisateur connecté
-app.post('/api/tasks', authenticateToken, async (req, res) => {
-    console.log(`ℹ️ Requête reçue sur POST /api/tasks pour l'utilisateur ${req.user.id}`);
-    console.log('📤 Données reçues:', req.body);
-    
-    const { title, description, due_date, reminder_date, priority } = req.body;
-    
+// --- Routes de la checklist d'une tâche (Protégées) ---
+// La checklist a son propre cycle de vie : la modifier n'incrémente pas la version de
+// la tâche, mais la tâche (avec son avancement) est rediffusée aux clients du tableau.
+
+const CHECKLIST_ORDER = "ORDER BY position ASC, id ASC";
+
+const findChecklistItem = async (taskId, itemId) => {
+    if (!isValidId(itemId)) return null;
+    const result = await pool.query(
+        "SELECT * FROM checklist_items WHERE id = $1 AND task_id = $2",
+        [itemId, taskId]
+    );
+    return result.rows[0] || null;
+};
+
+// GET /api/tasks/:id/checklist - Récupère les éléments de la checklist, dans l'ordre
+app.get('/api/tasks/:id/checklist', authenticateToken, authorizeTask(), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/tasks/${req.params.id}/checklist pour l'utilisateur ${req.user.id}`);
     try {
-        const newTask = await pool.query(
-            `INSERT INTO tasks (title, description, user_id, status, due_date, reminder_date, priority) 
-             VALUES ($1, $2, $3, 'todo', $4, $5, $6) RETURNING *`,
-            [
-                title, 
-                description || '', 
-                req.user.id,
-                due_date || null,
-                reminder_date || null,
-                priority || 'medium'
-            ]
+        const items = await pool.query(
+            `SELECT * FROM checklist_items WHERE task_id = $1 ${CHECKLIST_ORDER}`,
+            [req.task.id]
         );
-        console.log('✅ Tâche créée:', newTask.rows[0]);
-        res.status(201).json(newTask.rows[0]);
+        res.json(items.rows);
     } catch (err) {
-        console.error('❌ Erreur détaillée sur POST /api/tasks:');
-        console.error('- Message:', err.message);
-        console.error('- Code:', err.code);
-        console.error('- Detail:', err.detail);
-        console.error('- Stack:', err.stack);
-        res.status(500).json({ msg: "Erreur serveur lors de la création de la tâche" });
+        console.error(`❌ Erreur sur GET /api/tasks/${req.params.id}/checklist:`, err.message);
+        res.status(500).send("Erreur serveur");
     }
 });
 
-// PUT /api/tasks/:id - Met à jour une tâche de l'utilisateur connecté
-app.put('/api/tasks/:id', authenticateToken, async (req, res) => {
-    console.log(`ℹ️ Requête reçue sur PUT /api/tasks/${req.params.id} pour l'utilisateur ${req.user.id}`);
-    console.log('📤 Données reçues pour mise à jour:', req.body);
-    
-    const { id } = req.params;
-    const { title, description, status, due_date, reminder_date, priority } = req.body;
-    
-    // Validation des données reçues
-    if (!title || !title.trim()) {
-        console.error('❌ Titre manquant ou vide');
-        return res.status(400).json({ msg: "Le titre est requis." });
+// POST /api/tasks/:id/checklist - Ajoute un élément à la fin de la checklist
+app.post('/api/tasks/:id/checklist', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur POST /api/tasks/${req.params.id}/checklist pour l'utilisateur ${req.user.id}`);
+    const { title } = req.body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ msg: "Le libellé de l'élément est requis." });
     }
 
-    if (!status || !['todo', 'in-progress', 'done'].includes(status)) {
-        console.error('❌ Statut invalide:', status);
-        return res.status(400).json({ msg: "Statut invalide." });
+    try {
+        const newItem = await pool.query(
+            `INSERT INTO checklist_items (task_id, title, position)
+             VALUES ($1, $2, (SELECT COALESCE(MAX(position) + 1, 0) FROM checklist_items WHERE task_id = $1))
+             RETURNING *`,
+            [req.task.id, title.trim()]
+        );
+        await broadcastTaskUpdate(req.task.id);
+        res.status(201).json(newItem.rows[0]);
+    } catch (err) {
+        console.error(`❌ Erreur sur POST /api/tasks/${req.params.id}/checklist:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de l'ajout à la checklist" });
     }
+});
+
+// PUT /api/tasks/:id/checklist/order - Réordonne la checklist (item_ids dans le nouvel ordre)
+app.put('/api/tasks/:id/checklist/order', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur PUT /api/tasks/${req.params.id}/checklist/order pour l'utilisateur ${req.user.id}`);
+    const { item_ids } = req.body;
 
-    if (priority && !['low', 'medium', 'high'].includes(priority)) {
-        console.error('❌ Priorité invalide:', priority);
-        return res.status(400).json({ msg: "Priorité invalide." });
+    if (!Array.isArray(item_ids) || !item_ids.every(isValidId)) {
+        return res.status(400).json({ msg: "Liste d'éléments invalide." });
     }
 
-    // Validation des dates
-    let parsedDueDate = null;
-    let parsedReminderDate = null;
+    try {
+        const items = await withTransaction(async (client) => {
+            const existing = await client.query("SELECT id FROM checklist_items WHERE task_id = $1", [req.task.id]);
+            const existingIds = existing.rows.map(i => i.id).sort((a, b) => a - b);
+            const requestedIds = item_ids.map(Number).sort((a, b) => a - b);
+            if (existingIds.length !== requestedIds.length || existingIds.some((id, i) => id !== requestedIds[i])) {
+                return null;
+            }
+            for (const [position, itemId] of item_ids.entries()) {
+                await client.query("UPDATE checklist_items SET position = $1 WHERE id = $2", [position, itemId]);
+            }
+            const result = await client.query(
+                `SELECT * FROM checklist_items WHERE task_id = $1 ${CHECKLIST_ORDER}`,
+                [req.task.id]
+            );
+            return result.rows;
+        });
 
-    if (due_date) {
-        parsedDueDate = new Date(due_date);
-        if (isNaN(parsedDueDate.getTime())) {
-            console.error('❌ Date d\'échéance invalide:', due_date);
-            return res.status(400).json({ msg: "Date d'échéance invalide." });
+        if (!items) {
+            return res.status(400).json({ msg: "La liste doit contenir exactement les éléments de la checklist." });
         }
+        res.json(items);
+    } catch (err) {
+        console.error(`❌ Erreur sur PUT /api/tasks/${req.params.id}/checklist/order:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors du réordonnancement de la checklist" });
     }
+});
 
-    if (reminder_date) {
-        parsedReminderDate = new Date(reminder_date);
-        if (isNaN(parsedReminderDate.getTime())) {
-            console.error('❌ Date de rappel invalide:', reminder_date);
-            return res.status(400).json({ msg: "Date de rappel invalide." });
-        }
+// PATCH /api/tasks/:id/checklist/:itemId - Renomme un élément ou le coche / décoche
+app.patch('/api/tasks/:id/checklist/:itemId', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur PATCH /api/tasks/${req.params.id}/checklist/${req.params.itemId} pour l'utilisateur ${req.user.id}`);
+    const { title, is_done } = req.body;
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+        return res.status(400).json({ msg: "Le libellé de l'élément est requis." });
     }
-    
+    if (is_done !== undefined && typeof is_done !== 'boolean') {
+        return res.status(400).json({ msg: "Valeur « fait » invalide." });
+    }
+
     try {
-        // Vérifier que la tâche existe et appartient à l'utilisateur
-        const existingTask = await pool.query("SELECT * FROM tasks WHERE id = $1 AND user_id = $2", [id, req.user.id]);
-        
-        if (existingTask.rows.length === 0) {
-            console.error('❌ Tâche non trouvée ou non autorisée:', id);
-            return res.status(404).json({ msg: "Tâche non trouvée ou non autorisée." });
+        const item = await findChecklistItem(req.task.id, req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ msg: "Élément de checklist non trouvé." });
         }
 
-        console.log('📋 Tâche existante:', existingTask.rows[0]);
-
         const result = await pool.query(
-            `UPDATE tasks SET 
-                title = $1, 
-                description = $2, 
-                status = $3, 
-                due_date = $4, 
-                reminder_date = $5, 
-                priority = $6,
-                updated_at = CURRENT_TIMESTAMP
-             WHERE id = $7 AND user_id = $8 RETURNING *`,
+            "UPDATE checklist_items SET title = $1, is_done = $2 WHERE id = $3 RETURNING *",
             [
-                title.trim(), 
-                description || '', 
-                status, 
-                parsedDueDate, 
-                parsedReminderDate, 
-                priority || 'medium', 
-                id, 
-                req.user.id
+                title !== undefined ? title.trim() : item.title,
+                is_done !== undefined ? is_done : item.is_done,
+                item.id
             ]
         );
-        
-        if (result.rows.length === 0) {
-            console.error('❌ Aucune ligne mise à jour');
-            return res.status(404).json({ msg: "Tâche non trouvée ou non autorisée." });
-        }
-
-        console.log('✅ Tâche mise à jour:', result.rows[0]);
+        await broadcastTaskUpdate(req.task.id);
         res.json(result.rows[0]);
-        
     } catch (err) {
-        console.error('❌ Erreur détaillée sur PUT /api/tasks:');
-        console.error('- Message:', err.message);
-        console.error('- Code:', err.code);
-        console.error('- Detail:', err.detail);
-        console.error('- Stack:', err.stack);
-        console.error('- Requête SQL échouée pour:', { id, user_id: req.user.id, title, status });
-        
-        res.status(500).json({ msg: "Erreur serveur lors de la mise à jour de la tâche" });
+        console.error(`❌ Erreur sur PATCH /api/tasks/${req.params.id}/checklist/${req.params.itemId}:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de la mise à jour de la checklist" });
     }
 });
 
-// DELETE /api/tasks/:id - Supprime une tâche de l'utilisateur connecté
-app.delete('/api/tasks/:id', authenticateToken, async (req, res) => {
-    console.log(`ℹ️ Requête reçue sur DELETE /api/tasks/${req.params.id} pour l'utilisateur ${req.user.id}`);
-    const { id } = req.params;
+// DELETE /api/tasks/:id/checklist/:itemId - Supprime un élément de la checklist
+app.delete('/api/tasks/:id/checklist/:itemId', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur DELETE /api/tasks/${req.params.id}/checklist/${req.params.itemId} pour l'utilisateur ${req.user.id}`);
     try {
-        const result = await pool.query("DELETE FROM tasks WHERE id = $1 AND user_id = $2", [id, req.user.id]);
-        if (result.rowCount === 0) {
-            return res.status(404).json({ msg: "Tâche non trouvée ou non autorisée." });
+        const item = await findChecklistItem(req.task.id, req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ msg: "Élément de checklist non trouvé." });
         }
+        await pool.query("DELETE FROM checklist_items WHERE id = $1", [item.id]);
+        await broadcastTaskUpdate(req.task.id);
         res.status(204).send();
     } catch (err) {
-        console.error(`❌ Erreur détaillée sur DELETE /api/tasks/${id}:`, {
-            message: err.message,
-            code: err.code,
-            detail: err.detail
-        });
-        res.status(500).json({ msg: "Erreur serveur lors de la suppression" });
+        console.error(`❌ Erreur sur DELETE /api/tasks/${req.params.id}/checklist/${req.params.itemId}:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de la suppression de l'élément" });
     }
 });
 
-// GET /api/tasks/due-soon - Récupère les tâches avec échéance proche
-app.get('/api/tasks/due-soon', authenticateToken, async (req, res) => {
-    console.log(`ℹ️ Requête reçue sur GET /api/tasks/due-soon pour l'utilisateur ${req.user.id}`);
+// --- Routes des commentaires d'une tâche (Protégées) ---
+
+// Un commentaire est renvoyé avec son auteur ({ id, email }, null si le compte a été supprimé)
+const COMMENT_SELECT = `
+  SELECT c.*,
+    CASE WHEN u.id IS NULL THEN NULL ELSE json_build_object('id', u.id, 'email', u.email) END AS author
+  FROM task_comments c
+  LEFT JOIN users u ON u.id = c.user_id`;
+
+const fetchComment = async (commentId) => {
+    const result = await pool.query(`${COMMENT_SELECT} WHERE c.id = $1`, [commentId]);
+    return result.rows[0];
+};
+
+// Récupère un commentaire de la tâche :id dont l'utilisateur connecté est l'auteur.
+// Répond 404 / 403 et renvoie null sinon.
+const findOwnComment = async (req, res) => {
+    const { commentId } = req.params;
+    if (!isValidId(commentId)) {
+        res.status(404).json({ msg: "Commentaire non trouvé." });
+        return null;
+    }
+    const result = await pool.query(
+        "SELECT * FROM task_comments WHERE id = $1 AND task_id = $2",
+        [commentId, req.task.id]
+    );
+    const comment = result.rows[0];
+    if (!comment) {
+        res.status(404).json({ msg: "Commentaire non trouvé." });
+        return null;
+    }
+    if (comment.user_id !== req.user.id) {
+        res.status(403).json({ msg: "Vous ne pouvez modifier que vos propres commentaires." });
+        return null;
+    }
+    return comment;
+};
+
+// GET /api/tasks/:id/comments - Récupère les commentaires d'une tâche, du plus ancien au plus récent
+app.get('/api/tasks/:id/comments', authenticateToken, authorizeTask(), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/tasks/${req.params.id}/comments pour l'utilisateur ${req.user.id}`);
     try {
-        const dueSoonTasks = await pool.query(
-            `SELECT * FROM tasks 
-             WHERE user_id = $1 
-             AND due_date IS NOT NULL 
-             AND due_date <= NOW() + INTERVAL '24 hours'
-             AND status != 'done'
-             ORDER BY due_date ASC`,
-            [req.user.id]
+        const comments = await pool.query(
+            `${COMMENT_SELECT} WHERE c.task_id = $1 ORDER BY c.created_at ASC, c.id ASC`,
+            [req.task.id]
         );
-        res.json(dueSoonTasks.rows);
+        res.json(comments.rows);
     } catch (err) {
-        console.error('❌ Erreur sur /api/tasks/due-soon:', err.message);
+        console.error(`❌ Erreur sur GET /api/tasks/${req.params.id}/comments:`, err.message);
         res.status(500).send("Erreur serveur");
     }
 });
 
-// GET /api/tasks/reminders - Récupère les tâches nécessitant un rappel
-app.get('/api/tasks/reminders', authenticateToken, async (req, res) => {
-    console.log(`ℹ️ Requête reçue sur GET /api/tasks/reminders pour l'utilisateur ${req.user.id}`);
+// POST /api/tasks/:id/comments - Ajoute un commentaire
+app.post('/api/tasks/:id/comments', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur POST /api/tasks/${req.params.id}/comments pour l'utilisateur ${req.user.id}`);
+    const { body } = req.body;
+
+    if (typeof body !== 'string' || !body.trim()) {
+        return res.status(400).json({ msg: "Le commentaire ne peut pas être vide." });
+    }
+
     try {
-        const reminderTasks = await pool.query(
-            `SELECT * FROM tasks 
-             WHERE user_id = $1 
-             AND reminder_date IS NOT NULL 
-             AND reminder_date <= NOW()
-             AND is_reminder_sent = false
-             AND status != 'done'
-             ORDER BY reminder_date ASC`,
-            [req.user.id]
+        const result = await pool.query(
+            "INSERT INTO task_comments (task_id, user_id, body) VALUES ($1, $2, $3) RETURNING id",
+            [req.task.id, req.user.id, body.trim()]
         );
-        res.json(reminderTasks.rows);
+        await broadcastTaskUpdate(req.task.id);
+        res.status(201).json(await fetchComment(result.rows[0].id));
     } catch (err) {
-        console.error('❌ Erreur sur /api/tasks/reminders:', err.message);
+        console.error(`❌ Erreur sur POST /api/tasks/${req.params.id}/comments:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de l'ajout du commentaire" });
+    }
+});
+
+// PATCH /api/tasks/:id/comments/:commentId - Modifie un de ses propres commentaires
+app.patch('/api/tasks/:id/comments/:commentId', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur PATCH /api/tasks/${req.params.id}/comments/${req.params.commentId} pour l'utilisateur ${req.user.id}`);
+    const { body } = req.body;
+
+    if (typeof body !== 'string' || !body.trim()) {
+        return res.status(400).json({ msg: "Le commentaire ne peut pas être vide." });
+    }
+
+    try {
+        const comment = await findOwnComment(req, res);
+        if (!comment) return;
+
+        await pool.query(
+            "UPDATE task_comments SET body = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2",
+            [body.trim(), comment.id]
+        );
+        res.json(await fetchComment(comment.id));
+    } catch (err) {
+        console.error(`❌ Erreur sur PATCH /api/tasks/${req.params.id}/comments/${req.params.commentId}:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de la modification du commentaire" });
+    }
+});
+
+// DELETE /api/tasks/:id/comments/:commentId - Supprime un de ses propres commentaires
+app.delete('/api/tasks/:id/comments/:commentId', authenticateToken, authorizeTask('editor'), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur DELETE /api/tasks/${req.params.id}/comments/${req.params.commentId} pour l'utilisateur ${req.user.id}`);
+    try {
+        const comment = await findOwnComment(req, res);
+        if (!comment) return;
+
+        await pool.query("DELETE FROM task_comments WHERE id = $1", [comment.id]);
+        await broadcastTaskUpdate(req.task.id);
+        res.status(204).send();
+    } catch (err) {
+        console.error(`❌ Erreur sur DELETE /api/tasks/${req.params.id}/comments/${req.params.commentId}:`, err.message);
+        res.status(500).json({ msg: "Erreur serveur lors de la suppression du commentaire" });
+    }
+});
+
+
+// --- Routes de l'historique (Protégées) ---
+
+// Une entrée est renvoyée avec son auteur ({ id, email }, null si le compte a été supprimé)
+const ACTIVITY_SELECT = `
+  SELECT a.id, a.board_id, a.task_id, a.task_title, a.action, a.changes, a.created_at,
+    CASE WHEN u.id IS NULL THEN NULL ELSE json_build_object('id', u.id, 'email', u.email) END AS actor
+  FROM activity_log a
+  LEFT JOIN users u ON u.id = a.user_id`;
+const MAX_ACTIVITY_PAGE_SIZE = 100;
+
+// Pagination des fils d'historique, du plus récent au plus ancien : ?limit= (défaut 50)
+// et ?before=<id de la dernière entrée reçue>. Renvoie { error } ou { limit, before }.
+const parseActivityPage = (query) => {
+    const limit = query.limit === undefined ? 50 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ACTIVITY_PAGE_SIZE) {
+        return { error: `Le paramètre limit doit être compris entre 1 et ${MAX_ACTIVITY_PAGE_SIZE}.` };
+    }
+    if (query.before !== undefined && !isValidId(query.before)) {
+        return { error: "Le paramètre before est invalide." };
+    }
+    return { limit, before: query.before === undefined ? null : Number(query.before) };
+};
+
+// GET /api/tasks/:id/activity - Historique d'une tâche, du plus récent au plus ancien
+app.get('/api/tasks/:id/activity', authenticateToken, authorizeTask(), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/tasks/${req.params.id}/activity pour l'utilisateur ${req.user.id}`);
+    const { error, limit, before } = parseActivityPage(req.query);
+    if (error) {
+        return res.status(400).json({ msg: error });
+    }
+    try {
+        const activity = await pool.query(
+            `${ACTIVITY_SELECT}
+             WHERE a.task_id = $1 AND a.board_id = $2 AND ($3::int IS NULL OR a.id < $3)
+             ORDER BY a.id DESC LIMIT $4`,
+            [req.task.id, req.task.board_id, before, limit]
+        );
+        res.json(activity.rows);
+    } catch (err) {
+        console.error(`❌ Erreur sur GET /api/tasks/${req.params.id}/activity:`, err.message);
         res.status(500).send("Erreur serveur");
     }
 });
 
-// POST /api/tasks/:id/mark-reminder-sent - Marque un rappel comme envoyé
-app.post('/api/tasks/:id/mark-reminder-sent', authenticateToken, async (req, res) => {
-    const { id } = req.params;
+// GET /api/boards/:boardId/activity - Fil d'activité d'un tableau (tâches supprimées comprises)
+app.get('/api/boards/:boardId/activity', authenticateToken, authorizeBoard(), async (req, res) => {
+    console.log(`ℹ️ Requête reçue sur GET /api/boards/${req.params.boardId}/activity pour l'utilisateur ${req.user.id}`);
+    const { error, limit, before } = parseActivityPage(req.query);
+    if (error) {
+        return res.status(400).json({ msg: error });
+    }
     try {
-        const result = await pool.query(
-            "UPDATE tasks SET is_reminder_sent = true WHERE id = $1 AND user_id = $2 RETURNING *",
-            [id, req.user.id]
+        const activity = await pool.query(
+            `${ACTIVITY_SELECT}
+             WHERE a.board_id = $1 AND ($2::int IS NULL OR a.id < $2)
+             ORDER BY a.id DESC LIMIT $3`,
+            [req.board.id, before, limit]
         );
-        if (result.rows.length === 0) {
-            return res.status(404).json({ msg: "Tâche non trouvée ou non autorisée." });
-        }
-        res.json(result.rows[0]);
+        res.json(activity.rows);
     } catch (err) {
-        console.error(`❌ Erreur sur POST /api/tasks/${id}/mark-reminder-sent:`, err.message);
+        console.error(`❌ Erreur sur GET /api/boards/${req.board.id}/activity:`, err.message);
         res.status(500).send("Erreur serveur");
     }
 });
 
+// --- Routes des paramètres (Protégées) ---
+
+// GET /api/settings - Paramètres de l'utilisateur connecté
+app.get('/api/settings', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/settings pour l'utilisateur ${req.user.id}`);
+  try {
+    res.json(await fetchUserSettings(pool, req.user.id));
+  } catch (err) {
+    console.error('❌ Erreur sur GET /api/settings:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// PUT /api/settings - Modifie tout ou partie des paramètres de l'utilisateur connecté
+app.put('/api/settings', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur PUT /api/settings pour l'utilisateur ${req.user.id}`);
+  const { error, values } = parseUserSettings(req.body);
+  if (error) {
+    return res.status(400).json({ msg: error });
+  }
+
+  try {
+    const keys = Object.keys(values);
+    await pool.query(
+      `INSERT INTO user_settings (user_id, ${keys.join(', ')})
+       VALUES ($1, ${keys.map((_, i) => `$${i + 2}`).join(', ')})
+       ON CONFLICT (user_id) DO UPDATE
+         SET ${keys.map(key => `${key} = EXCLUDED.${key}`).join(', ')}, updated_at = CURRENT_TIMESTAMP`,
+      [req.user.id, ...Object.values(values)]
+    );
+    // Les notifications mises en attente pour les anciennes heures calmes sont réexaminées
+    if (values.quiet_hours_start !== undefined || values.timezone !== undefined) {
+      await pool.query(
+        "UPDATE notification_deliveries SET retry_at = NOW() WHERE user_id = $1 AND retry_at > NOW()",
+        [req.user.id]
+      );
+    }
+    res.json(await fetchUserSettings(pool, req.user.id));
+  } catch (err) {
+    console.error('❌ Erreur sur PUT /api/settings:', err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de la mise à jour des paramètres" });
+  }
+});
+
+// --- Routes des notifications push (Protégées) ---
+
+const PUSH_SUBSCRIPTION_SELECT = "SELECT id, endpoint, user_agent, created_at, last_used_at FROM push_subscriptions";
+
+const pushDisabled = (res) =>
+  res.status(503).json({ msg: "Les notifications push ne sont pas configurées sur le serveur." });
+
+// GET /api/push/public-key - Clé publique VAPID nécessaire pour s'abonner
+app.get('/api/push/public-key', authenticateToken, (req, res) => {
+  res.json({ enabled: isPushEnabled, publicKey: vapidPublicKey });
+});
+
+// GET /api/push/subscriptions - Navigateurs abonnés de l'utilisateur
+app.get('/api/push/subscriptions', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur GET /api/push/subscriptions pour l'utilisateur ${req.user.id}`);
+  try {
+    const subscriptions = await pool.query(
+      `${PUSH_SUBSCRIPTION_SELECT} WHERE user_id = $1 ORDER BY created_at ASC`,
+      [req.user.id]
+    );
+    res.json(subscriptions.rows);
+  } catch (err) {
+    console.error('❌ Erreur sur GET /api/push/subscriptions:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/push/subscriptions - Enregistre l'abonnement push du navigateur (PushSubscription.toJSON())
+app.post('/api/push/subscriptions', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/push/subscriptions pour l'utilisateur ${req.user.id}`);
+  if (!isPushEnabled) {
+    return pushDisabled(res);
+  }
+  const { endpoint, keys } = req.body;
+  if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint)) {
+    return res.status(400).json({ msg: "Adresse d'abonnement invalide." });
+  }
+  if (typeof keys?.p256dh !== 'string' || typeof keys?.auth !== 'string') {
+    return res.status(400).json({ msg: "Clés d'abonnement manquantes." });
+  }
+
+  try {
+    // Un navigateur réabonné (ou passé à un autre compte) garde le même endpoint
+    const subscription = await pool.query(
+      `INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (endpoint) DO UPDATE
+         SET user_id = EXCLUDED.user_id, p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth,
+             user_agent = EXCLUDED.user_agent
+       RETURNING id, endpoint, user_agent, created_at, last_used_at`,
+      [req.user.id, endpoint, keys.p256dh, keys.auth, (req.get('User-Agent') || '').slice(0, 255) || null]
+    );
+    res.status(201).json(subscription.rows[0]);
+  } catch (err) {
+    console.error('❌ Erreur sur POST /api/push/subscriptions:', err.message);
+    res.status(500).json({ msg: "Erreur serveur lors de l'abonnement aux notifications" });
+  }
+});
+
+// DELETE /api/push/subscriptions/:subscriptionId - Désabonne un navigateur
+app.delete('/api/push/subscriptions/:subscriptionId', authenticateToken, async (req, res) => {
+  const { subscriptionId } = req.params;
+  console.log(`ℹ️ Requête reçue sur DELETE /api/push/subscriptions/${subscriptionId} pour l'utilisateur ${req.user.id}`);
+  if (!isValidId(subscriptionId)) {
+    return res.status(400).json({ msg: "Identifiant d'abonnement invalide." });
+  }
+  try {
+    const deleted = await pool.query(
+      "DELETE FROM push_subscriptions WHERE id = $1 AND user_id = $2 RETURNING id",
+      [subscriptionId, req.user.id]
+    );
+    if (deleted.rows.length === 0) {
+      return res.status(404).json({ msg: "Abonnement non trouvé." });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error(`❌ Erreur sur DELETE /api/push/subscriptions/${subscriptionId}:`, err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
+
+// POST /api/push/test - Envoie une notification de test aux navigateurs de l'utilisateur
+app.post('/api/push/test', authenticateToken, async (req, res) => {
+  console.log(`ℹ️ Requête reçue sur POST /api/push/test pour l'utilisateur ${req.user.id}`);
+  if (!isPushEnabled) {
+    return pushDisabled(res);
+  }
+  try {
+    const delivered = await pushToUsers(pool, [req.user.id], {
+      type: 'test',
+      title: 'Notifications activées',
+      body: 'Les rappels et les tâches en retard seront notifiés sur cet appareil.',
+      tag: 'test',
+      url: APP_URL
+    });
+    res.json({ delivered });
+  } catch (err) {
+    console.error('❌ Erreur sur POST /api/push/test:', err.message);
+    res.status(500).send("Erreur serveur");
+  }
+});
 
 // --- Démarrage ---
-app.listen(PORT, () => {
-  console.log(`🚀 Backend démarré sur http://localhost:${PORT}`);
-  console.log(`🌍 Mode: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+runMigrations()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Backend démarré sur http://localhost:${PORT}`);
+      console.log(`🌍 Mode: ${process.env.NODE_ENV || 'development'}`);
+    });
+    const runMaintenance = async () => {
+      await purgeExpiredTrash();
+      await archiveExpiredDoneTasks();
+      await purgeExpiredSessions();
+      await purgeExpiredAuthTokens();
+      purgeLoginFailures();
+    };
+    runMaintenance();
+    setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS);
+    runNotificationJobs();
+    setInterval(runNotificationJobs, REMINDER_POLL_INTERVAL_MS);
+  })
+  .catch((err) => {
+    console.error('❌ ERREUR LORS DE LA MISE À JOUR DU SCHÉMA:', err.stack);
+    process.exit(1);
+  });
\ No newline at end of file
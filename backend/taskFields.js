@@ -0,0 +1,89 @@
+import { isValidId } from './validation.js';
+import { parseRecurrenceRule, formatRecurrenceRule } from './recurrence.js';
+
+// --- Champs des tâches ---
+export const TASK_PRIORITIES = ['low', 'medium', 'high'];
+// Taille de la colonne tasks.title
+const TASK_TITLE_MAX_LENGTH = 255;
+
+// Valide les champs modifiables d'une tâche et renvoie { error } ou { fields } avec les
+// valeurs à enregistrer. En mode partiel (PATCH), seuls les champs présents sont traités ;
+// sinon (PUT, POST), les champs absents reprennent leur valeur par défaut. À la création (POST),
+// column_id est facultatif : sans colonne, la tâche est créée dans la première colonne du tableau.
+export const parseTaskFields = (body, { partial = false, creating = false } = {}) => {
+  const provided = (key) => !partial || body[key] !== undefined;
+  const fields = {};
+
+  if (provided('title')) {
+    if (typeof body.title !== 'string' || !body.title.trim()) {
+      return { error: "Le titre est requis." };
+    }
+    if (body.title.trim().length > TASK_TITLE_MAX_LENGTH) {
+      return { error: `Le titre ne doit pas dépasser ${TASK_TITLE_MAX_LENGTH} caractères.` };
+    }
+    fields.title = body.title.trim();
+  }
+
+  if (provided('description')) {
+    if (body.description !== undefined && body.description !== null && typeof body.description !== 'string') {
+      return { error: "Description invalide." };
+    }
+    fields.description = body.description || '';
+  }
+
+  if (provided('column_id') && !(creating && (body.column_id === undefined || body.column_id === null))) {
+    if (!isValidId(body.column_id)) {
+      return { error: "Colonne invalide." };
+    }
+    fields.column_id = Number(body.column_id);
+  }
+
+  if (provided('priority')) {
+    // En PUT, une priorité absente revient à « medium » ; en PATCH, elle doit être valide
+    if ((partial || body.priority) && !TASK_PRIORITIES.includes(body.priority)) {
+      return { error: "Priorité invalide." };
+    }
+    fields.priority = body.priority || 'medium';
+  }
+
+  // Validation des dates (null ou chaîne vide pour les effacer)
+  for (const [key, label] of [['due_date', "Date d'échéance invalide."], ['reminder_date', "Date de rappel invalide."]]) {
+    if (!provided(key)) continue;
+    if (!body[key]) {
+      fields[key] = null;
+      continue;
+    }
+    const parsedDate = new Date(body[key]);
+    if (isNaN(parsedDate.getTime())) {
+      return { error: label };
+    }
+    fields[key] = parsedDate;
+  }
+
+  if (provided('recurrence_rule')) {
+    if (!body.recurrence_rule) {
+      fields.recurrence_rule = null;
+    } else {
+      const rule = parseRecurrenceRule(body.recurrence_rule);
+      if (!rule) {
+        return { error: "Règle de récurrence invalide." };
+      }
+      fields.recurrence_rule = formatRecurrenceRule(rule);
+    }
+  }
+
+  return { fields };
+};
+
+// Clause SET (et ses paramètres $1, $2...) qui enregistre les champs validés par parseTaskFields ;
+// les noms de colonnes proviennent de parseTaskFields, jamais du corps de la requête.
+// Déplacer le rappel le réarme : is_reminder_sent repasse à false si reminder_date change.
+export const taskUpdateAssignments = (fields) => {
+  const keys = Object.keys(fields);
+  const values = keys.map(key => fields[key]);
+  const assignments = keys.map((key, i) => `${key} = $${i + 1}`);
+  if (keys.includes('reminder_date')) {
+    assignments.push(`is_reminder_sent = is_reminder_sent AND reminder_date IS NOT DISTINCT FROM $${keys.indexOf('reminder_date') + 1}`);
+  }
+  return { assignments, values };
+};
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTaskFields, taskUpdateAssignments } from './taskFields.js';
+
+test('PUT reprend les valeurs par défaut des champs absents', () => {
+  assert.deepEqual(parseTaskFields({ title: ' Rapport ', column_id: 3 }), {
+    fields: {
+      title: 'Rapport',
+      description: '',
+      column_id: 3,
+      priority: 'medium',
+      due_date: null,
+      reminder_date: null,
+      recurrence_rule: null
+    }
+  });
+});
+
+test('PATCH ne traite que les champs fournis', () => {
+  assert.deepEqual(
+    parseTaskFields({ reminder_date: '2026-10-20T09:00:00Z', recurrence_rule: 'freq=daily' }, { partial: true }),
+    { fields: { reminder_date: new Date('2026-10-20T09:00:00Z'), recurrence_rule: 'FREQ=DAILY' } }
+  );
+});
+
+test('à la création, la colonne est facultative', () => {
+  const { fields } = parseTaskFields({ title: 'Nouvelle', priority: 'high' }, { creating: true });
+  assert.equal(fields.column_id, undefined);
+  assert.equal(fields.priority, 'high');
+  assert.equal(parseTaskFields({ title: 'Nouvelle', column_id: null }, { creating: true }).fields.column_id, undefined);
+  assert.equal(parseTaskFields({ title: 'Nouvelle', column_id: '4' }, { creating: true }).fields.column_id, 4);
+  assert.deepEqual(parseTaskFields({ title: 'Nouvelle', column_id: 'x' }, { creating: true }), { error: "Colonne invalide." });
+  assert.deepEqual(parseTaskFields({ column_id: 4 }, { creating: true }), { error: "Le titre est requis." });
+});
+
+test('limite le titre à 255 caractères', () => {
+  assert.equal(parseTaskFields({ title: 'a'.repeat(255) }, { partial: true }).fields.title.length, 255);
+  assert.deepEqual(
+    parseTaskFields({ title: 'a'.repeat(256) }, { creating: true }),
+    { error: "Le titre ne doit pas dépasser 255 caractères." }
+  );
+});
+
+test('refuse les champs invalides', () => {
+  assert.deepEqual(parseTaskFields({ title: '  ', column_id: 1 }), { error: "Le titre est requis." });
+  assert.deepEqual(parseTaskFields({ priority: 'urgent' }, { partial: true }), { error: "Priorité invalide." });
+  assert.deepEqual(parseTaskFields({ due_date: 'demain' }, { partial: true }), { error: "Date d'échéance invalide." });
+  assert.deepEqual(parseTaskFields({ column_id: 'abc' }, { partial: true }), { error: "Colonne invalide." });
+  assert.deepEqual(parseTaskFields({ recurrence_rule: 'FREQ=HOURLY' }, { partial: true }), { error: "Règle de récurrence invalide." });
+});
+
+test('la clause SET numérote les paramètres dans l\'ordre des champs', () => {
+  assert.deepEqual(taskUpdateAssignments({ title: 'A', priority: 'high' }), {
+    assignments: ['title = $1', 'priority = $2'],
+    values: ['A', 'high']
+  });
+});
+
+test('déplacer un rappel déjà envoyé le réarme', () => {
+  const reminderDate = new Date('2026-10-21T09:00:00Z');
+  const { assignments, values } = taskUpdateAssignments({ title: 'A', reminder_date: reminderDate });
+  assert.deepEqual(values, ['A', reminderDate]);
+  assert.deepEqual(assignments, [
+    'title = $1',
+    'reminder_date = $2',
+    'is_reminder_sent = is_reminder_sent AND reminder_date IS NOT DISTINCT FROM $2'
+  ]);
+  // Sans reminder_date, l'état du rappel n'est pas modifié
+  assert.ok(!taskUpdateAssignments({ due_date: reminderDate }).assignments.some(a => a.startsWith('is_reminder_sent')));
+});
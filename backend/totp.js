@@ -0,0 +1,83 @@
+import crypto from 'crypto';
+
+// --- Codes à usage unique (TOTP, RFC 6238) ---
+// Compatibles avec les applications d'authentification (Google Authenticator, Authy, 1Password...) :
+// HMAC-SHA1, 6 chiffres, un nouveau code toutes les 30 secondes.
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Gestion de tâches';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Codes acceptés avant et après le code courant, pour tolérer un léger décalage d'horloge
+const TOTP_WINDOW = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Secret TOTP invalide');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+const codeForStep = (key, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Secret de 160 bits encodé en base32, comme l'attendent les applications
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Adresse otpauth:// à afficher en QR code ; l'application y lit le secret et le nom du compte
+export const totpUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Vérifie un code. Renvoie le pas de temps du code reconnu, ou null. Un code dont le pas
+// n'est pas postérieur à `lastUsedStep` est refusé : chaque code ne sert qu'une fois.
+export const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = codeForStep(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+// --- Codes de secours ---
+// Code de secours de 10 caractères hexadécimaux, affiché sous la forme "a1b2c-3d4e5"
+export const generateRecoveryCode = () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+// Forme comparée en base : la casse, le tiret et les espaces saisis sont ignorés
+export const normalizeRecoveryCode = (code) => String(code ?? '').toLowerCase().replace(/[^0-9a-f]/g, '');
@@ -0,0 +1,71 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTotpSecret, totpUri, verifyTotp, generateRecoveryCode, normalizeRecoveryCode } from './totp.js';
+
+// Secret des vecteurs de test SHA1 de la RFC 6238 (annexe B), « 12345678901234567890 » en base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+// Heure (secondes) et code attendu ; la RFC donne 8 chiffres, on garde les 6 derniers
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130'],
+];
+
+const setTime = (seconds) => mock.timers.setTime(seconds * 1000);
+
+beforeEach(() => mock.timers.enable({ apis: ['Date'] }));
+afterEach(() => mock.timers.reset());
+
+test('reconnaît les codes des vecteurs de test de la RFC 6238', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    setTime(seconds);
+    assert.equal(verifyTotp(RFC_SECRET, code), Math.floor(seconds / 30), `T=${seconds}`);
+  }
+});
+
+test('tolère un pas de décalage d\'horloge, pas deux', () => {
+  setTime(1111111111 + 30);
+  assert.equal(verifyTotp(RFC_SECRET, '050471'), 37037037);
+  setTime(1111111111 - 30);
+  assert.equal(verifyTotp(RFC_SECRET, '050471'), 37037037);
+  setTime(1111111111 + 60);
+  assert.equal(verifyTotp(RFC_SECRET, '050471'), null);
+});
+
+test('refuse un code déjà utilisé ou d\'un pas antérieur', () => {
+  setTime(1234567890);
+  const step = verifyTotp(RFC_SECRET, '005924');
+  assert.equal(verifyTotp(RFC_SECRET, '005924', step), null);
+  assert.equal(verifyTotp(RFC_SECRET, '005924', step + 1), null);
+  assert.equal(verifyTotp(RFC_SECRET, '005924', step - 1), step);
+});
+
+test('refuse les codes mal formés et ignore les espaces', () => {
+  setTime(59);
+  assert.equal(verifyTotp(RFC_SECRET, '287 082'), 1);
+  for (const code of [null, '', '28708', '2870820', 'abcdef', '287082x']) {
+    assert.equal(verifyTotp(RFC_SECRET, code), null, String(code));
+  }
+  assert.equal(verifyTotp(RFC_SECRET, '287083'), null);
+});
+
+test('un secret généré fait 160 bits en base32 et figure dans l\'adresse otpauth', () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  const uri = new URL(totpUri(secret, 'alice@example.com'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.searchParams.get('secret'), secret);
+  assert.equal(uri.searchParams.get('digits'), '6');
+  assert.equal(uri.searchParams.get('period'), '30');
+});
+
+test('les codes de secours sont saisis sans tenir compte de la casse ni du tiret', () => {
+  const code = generateRecoveryCode();
+  assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+  assert.equal(normalizeRecoveryCode(code), code.replace('-', ''));
+  assert.equal(normalizeRecoveryCode(' A1B2C-3D4E5 '), 'a1b2c3d4e5');
+  assert.equal(normalizeRecoveryCode(undefined), '');
+});
@@ -0,0 +1,3 @@
+// --- Validation des paramètres ---
+// Identifiant numérique (paramètre de route ou champ du corps de la requête)
+export const isValidId = (value) => /^\d+$/.test(String(value ?? ''));
@@ -0,0 +1,41 @@
+/* eslint-env serviceworker, es2020 */
+// Service worker for Web Push: shows the reminder and overdue notifications sent by the
+// backend (see taskPushPayload in backend/server.js), even when the app is closed.
+
+// The worker's global scope (`self`, which the app's lint rules reserve for window code)
+const sw = globalThis;
+
+sw.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch {
+    payload = { title: 'Gestion de tâches', body: event.data.text() };
+  }
+
+  event.waitUntil(
+    sw.registration.showNotification(payload.title, {
+      body: payload.body,
+      // Same tag for the same task and type: a repeated push replaces the notification
+      tag: payload.tag,
+      icon: '/logo192.png',
+      data: { url: payload.url || '/' }
+    })
+  );
+});
+
+// Focus an open tab of the app, or open one
+sw.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    sw.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+      const appClient = windowClients.find(client => new URL(client.url).origin === sw.location.origin);
+      if (appClient) return appClient.focus();
+      return sw.clients.openWindow(url);
+    })
+  );
+});
@@ -1,17 +1,73 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+// How long the "undo" toast stays visible after a task is moved to the trash
+const UNDO_DELETE_DELAY_MS = 8000;
+// Delay before reopening a live updates stream that the server refused
+const SSE_RECONNECT_DELAY_MS = 3000;
+// Settings used until the user's own are loaded (same defaults as the backend)
+const DEFAULT_USER_SETTINGS = {
+  due_soon_hours: 24,
+  notify_reminders: true,
+  notify_overdue: true,
+  notify_due_soon: true,
+  channel_in_app: true,
+  channel_email: true,
+  channel_push: true,
+  quiet_hours_start: null,
+  quiet_hours_end: null,
+  timezone: 'UTC'
+};
+
+// --- Session handling ---
+// Access tokens are short-lived: when a request is rejected with 401, apiCall renews the token
+// with the refresh cookie and replays the request once. The renewed token is used in place of
+// the one callers pass, so components keep passing the `token` they got at login.
+let currentAccessToken = localStorage.getItem('token');
+let refreshPromise = null;
+// Called when the session can no longer be renewed (set by App)
+const sessionHandlers = { onExpired: () => {} };
+
+const setAccessToken = (token) => {
+  currentAccessToken = token;
+  if (token) {
+    localStorage.setItem('token', token);
+  } else {
+    localStorage.removeItem('token');
+  }
+};
+
+const refreshAccessToken = () => {
+  // Concurrent requests wait for the same renewal
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/api/auth/refresh`, { method: 'POST', credentials: 'include' })
+      .then(async (response) => {
+        if (!response.ok) {
+          throw new Error('Session expirée, veuillez vous reconnecter.');
+        }
+        const data = await response.json();
+        setAccessToken(data.token);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
 
 // --- Helper function for API calls ---
-const apiCall = async (url, method = 'GET', body = null, token = null) => {
+const apiCall = async (url, method = 'GET', body = null, token = null, { retry = true } = {}) => {
   const options = {
     method,
     headers: {
       'Content-Type': 'application/json',
     },
+    // The refresh cookie goes with the /api/auth requests
+    credentials: 'include',
   };
 
   if (token) {
-    options.headers['Authorization'] = `Bearer ${token}`;
+    options.headers['Authorization'] = `Bearer ${currentAccessToken || token}`;
   }
 
   if (body) {
@@ -28,6 +84,17 @@ const apiCall = async (url, method = 'GET', body = null, token = null) => {
     
     console.log(`📥 Response status: ${response.status}`);
 
+    if (response.status === 401 && token && retry) {
+      let renewedToken;
+      try {
+        renewedToken = await refreshAccessToken();
+      } catch (refreshError) {
+        sessionHandlers.onExpired();
+        throw refreshError;
+      }
+      return apiCall(url, method, body, renewedToken, { retry: false });
+    }
+
     if (!response.ok) {
       const errorText = await response.text();
       console.error('❌ Error response:', errorText);
@@ -38,7 +105,11 @@ const apiCall = async (url, method = 'GET', body = null, token = null) => {
       } catch {
         errorData = { msg: `Erreur HTTP ${response.status}: ${errorText}` };
       }
-      throw new Error(errorData.msg || `Erreur HTTP: ${response.status}`);
+      // Keep the status and body so callers can react to specific errors (e.g. 409 conflicts)
+      const error = new Error(errorData.msg || `Erreur HTTP: ${response.status}`);
+      error.status = response.status;
+      error.data = errorData;
+      throw error;
     }
 
     if (response.status === 204) {
@@ -92,12 +163,177 @@ const isOverdue = (dueDate) => {
   return new Date(dueDate) < new Date();
 };
 
-const isDueSoon = (dueDate) => {
+// --- Auth screens ---
+// Password reset and email confirmation links open the app with their token in the query string
+const authViews = {
+  login: { title: 'Connexion', subtitle: 'Connectez-vous à votre espace Kanban', submit: 'Se connecter', fields: ['email', 'password'] },
+  register: { title: 'Inscription', subtitle: 'Créez votre compte Kanban', submit: 'S\'inscrire', fields: ['email', 'password'] },
+  forgot: { title: 'Mot de passe oublié', subtitle: 'Recevez par email un lien pour choisir un nouveau mot de passe', submit: 'Envoyer le lien', fields: ['email'] },
+  reset: { title: 'Nouveau mot de passe', subtitle: 'Choisissez le nouveau mot de passe de votre compte', submit: 'Enregistrer', fields: ['password', 'passwordConfirm'] },
+  // Second login step when two-factor authentication is enabled
+  two_factor: { title: 'Vérification en deux étapes', subtitle: 'Saisissez le code de votre application d\'authentification', submit: 'Vérifier', fields: ['code'] }
+};
+
+// Password policy enforced by the backend (validatePassword)
+const PASSWORD_POLICY_HINT = 'Au moins 10 caractères, avec des lettres et au moins un chiffre ou un symbole.';
+
+// --- User display utilities ---
+const getInitials = (person) => {
+  const name = person?.display_name || (person?.email || '?').split('@')[0];
+  const parts = name.split(/[\s._-]+/).filter(Boolean);
+  const initials = parts.length > 1 ? parts[0][0] + parts[1][0] : name.slice(0, 2);
+  return initials.toUpperCase();
+};
+
+const getDisplayName = (person) => person?.display_name || person?.email;
+
+const avatarColors = ['bg-blue-500', 'bg-green-500', 'bg-purple-500', 'bg-pink-500', 'bg-indigo-500', 'bg-orange-500', 'bg-teal-500'];
+
+const getAvatarColor = (person) => avatarColors[(person?.id || 0) % avatarColors.length];
+
+// Cards are ordered by their (fractional) position inside a column
+const compareTaskPosition = (a, b) => (a.position - b.position) || (a.id - b.id);
+
+const priorityLabels = {
+  low: 'Faible',
+  medium: 'Moyenne',
+  high: 'Élevée'
+};
+
+// --- Recurrence rules ---
+// Subset of RRULE accepted by the server: FREQ, INTERVAL, BYDAY (weekly only) and UNTIL (YYYYMMDD)
+const recurrenceFrequencies = {
+  DAILY: { every: 'Tous les jours', everyN: (n) => `Tous les ${n} jours`, unit: 'jour(s)' },
+  WEEKLY: { every: 'Toutes les semaines', everyN: (n) => `Toutes les ${n} semaines`, unit: 'semaine(s)' },
+  MONTHLY: { every: 'Tous les mois', everyN: (n) => `Tous les ${n} mois`, unit: 'mois' },
+  YEARLY: { every: 'Tous les ans', everyN: (n) => `Tous les ${n} ans`, unit: 'an(s)' }
+};
+
+const recurrenceWeekdays = [
+  { code: 'MO', initial: 'L', label: 'lun' },
+  { code: 'TU', initial: 'M', label: 'mar' },
+  { code: 'WE', initial: 'M', label: 'mer' },
+  { code: 'TH', initial: 'J', label: 'jeu' },
+  { code: 'FR', initial: 'V', label: 'ven' },
+  { code: 'SA', initial: 'S', label: 'sam' },
+  { code: 'SU', initial: 'D', label: 'dim' }
+];
+
+const parseRecurrence = (rule) => {
+  const recurrence = { freq: '', interval: 1, byDay: [], until: '' };
+  (rule || '').split(';').forEach(part => {
+    const [key, value = ''] = part.split('=');
+    if (key === 'FREQ') recurrence.freq = value;
+    if (key === 'INTERVAL') recurrence.interval = Number(value) || 1;
+    if (key === 'BYDAY') recurrence.byDay = value.split(',');
+    if (key === 'UNTIL') recurrence.until = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+  });
+  return recurrence;
+};
+
+const buildRecurrence = ({ freq, interval, byDay, until }) => {
+  if (!freq) return '';
+  const days = recurrenceWeekdays.map(d => d.code).filter(code => byDay.includes(code));
+  return [
+    `FREQ=${freq}`,
+    interval > 1 && `INTERVAL=${interval}`,
+    freq === 'WEEKLY' && days.length > 0 && `BYDAY=${days.join(',')}`,
+    until && `UNTIL=${until.replace(/-/g, '')}`
+  ].filter(Boolean).join(';');
+};
+
+// Human-readable rule, e.g. "Toutes les 2 semaines (lun, ven) jusqu'au 31/12/2026"
+const describeRecurrence = (rule) => {
+  const { freq, interval, byDay, until } = parseRecurrence(rule);
+  const frequency = recurrenceFrequencies[freq];
+  if (!frequency) return null;
+  const days = recurrenceWeekdays.filter(d => byDay.includes(d.code)).map(d => d.label);
+  return [
+    interval > 1 ? frequency.everyN(interval) : frequency.every,
+    days.length > 0 && `(${days.join(', ')})`,
+    until && `jusqu'au ${formatDate(until)}`
+  ].filter(Boolean).join(' ');
+};
+
+// Editable fields of a task, in the shape used by the task form
+const taskToForm = (task) => ({
+  title: task.title,
+  description: task.description || '',
+  due_date: task.due_date ? task.due_date.split('T')[0] : '',
+  reminder_date: task.reminder_date ? task.reminder_date.slice(0, 16) : '',
+  priority: task.priority || 'medium',
+  assignee_ids: (task.assignees || []).map(a => a.id),
+  label_ids: (task.labels || []).map(l => l.id),
+  recurrence_rule: task.recurrence_rule || ''
+});
+
+const sameIds = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+// Fields of the form that differ from the task, as a minimal PATCH body
+const diffTaskForm = (task, form) => {
+  const original = taskToForm(task);
+  const changes = {};
+  Object.keys(form).forEach(key => {
+    const changed = (key === 'assignee_ids' || key === 'label_ids')
+      ? !sameIds(original[key], form[key])
+      : original[key] !== form[key];
+    if (changed) {
+      // Empty date inputs clear the date, an empty rule removes the recurrence
+      changes[key] = ['due_date', 'reminder_date', 'recurrence_rule'].includes(key) ? (form[key] || null) : form[key];
+    }
+  });
+  return changes;
+};
+
+// --- Card filters ---
+const EMPTY_TASK_FILTERS = {
+  q: '',
+  assignee: '',      // '' | 'me' | member id
+  labels: [],        // cards carrying any of these labels
+  priorities: [],
+  status: '',        // '' | 'open' | 'done'
+  overdue: false,
+  due_from: '',
+  due_to: ''
+};
+
+// Query string passed to GET /api/tasks for the card filters
+const taskFilterQuery = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.q.trim()) params.set('q', filters.q.trim());
+  if (filters.assignee) params.set('assignee', filters.assignee);
+  if (filters.labels.length > 0) params.set('labels', filters.labels.join(','));
+  if (filters.priorities.length > 0) params.set('priority', filters.priorities.join(','));
+  if (filters.status) params.set('status', filters.status);
+  if (filters.overdue) params.set('overdue', 'true');
+  if (filters.due_from) params.set('due_from', filters.due_from);
+  if (filters.due_to) params.set('due_to', filters.due_to);
+  const query = params.toString();
+  return query ? `&${query}` : '';
+};
+
+// Inserts or replaces a task by id, so applying the same event twice is harmless
+const upsertTask = (tasks, task) =>
+  tasks.some(t => t.id === task.id)
+    ? tasks.map(t => (t.id === task.id ? task : t))
+    : [...tasks, task];
+
+const isDueSoon = (dueDate, windowHours = DEFAULT_USER_SETTINGS.due_soon_hours) => {
   if (!dueDate) return false;
   const now = new Date();
   const due = new Date(dueDate);
   const diffHours = (due - now) / (1000 * 60 * 60);
-  return diffHours > 0 && diffHours <= 24;
+  return diffHours > 0 && diffHours <= windowHours;
+};
+
+// Whether the user's quiet hours are in progress (in their timezone). In-app notifications are
+// held back until they end, as the server does for email and push.
+const isInQuietHours = ({ quiet_hours_start: start, quiet_hours_end: end, timezone }, date = new Date()) => {
+  if (!start || !end) return false;
+  const now = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .format(date);
+  // A range such as 22:00-07:00 spans midnight
+  return start < end ? now >= start && now < end : now >= start || now < end;
 };
 
 function App() {
@@ -108,35 +344,102 @@ function App() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
+  // Boards state
+  const [boards, setBoards] = useState([]);
+  const [currentBoardId, setCurrentBoardId] = useState(() => {
+    const lastBoardId = localStorage.getItem('lastBoardId');
+    return lastBoardId ? Number(lastBoardId) : null;
+  });
+  const [boardModal, setBoardModal] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [columnModal, setColumnModal] = useState(null);
+  const [showMembersPanel, setShowMembersPanel] = useState(false);
+  const [members, setMembers] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_TASK_FILTERS);
+  const [labels, setLabels] = useState([]);
+  const [showLabelsPanel, setShowLabelsPanel] = useState(false);
+  const [showTrashPanel, setShowTrashPanel] = useState(false);
+  const [showArchivePanel, setShowArchivePanel] = useState(false);
+  const [showNotificationSettings, setShowNotificationSettings] = useState(false);
+  const [showProfilePanel, setShowProfilePanel] = useState(false);
+  const [showApiTokensPanel, setShowApiTokensPanel] = useState(false);
+
   // Auth form state
-  const [isLoginView, setIsLoginView] = useState(true);
+  const [authView, setAuthView] = useState('login');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [passwordConfirm, setPasswordConfirm] = useState('');
+  const [resetToken, setResetToken] = useState(null);
+  // Two-factor login: the password step returns a short-lived challenge exchanged with the code
+  const [loginChallenge, setLoginChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   const [authError, setAuthError] = useState('');
+  const [authMessage, setAuthMessage] = useState('');
+  // Email of an account that can't log in before its address is confirmed
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null);
   const [authLoading, setAuthLoading] = useState(false);
 
   // Task form state
   const [showTaskModal, setShowTaskModal] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
+  const [taskConflict, setTaskConflict] = useState(null);
   const [taskForm, setTaskForm] = useState({
     title: '',
     description: '',
     due_date: '',
     reminder_date: '',
-    priority: 'medium'
+    priority: 'medium',
+    assignee_ids: [],
+    label_ids: [],
+    recurrence_rule: ''
   });
 
   // Drag and drop state
   const [draggedTask, setDraggedTask] = useState(null);
   const [dragOverColumn, setDragOverColumn] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
 
   // Notifications state
+  const [userSettings, setUserSettings] = useState(DEFAULT_USER_SETTINGS);
   const [notifications, setNotifications] = useState([]);
+  // Keys of the notifications already shown, so that the periodic check doesn't repeat them
+  const notifiedKeysRef = useRef(new Set());
+  const [undoDeleteTask, setUndoDeleteTask] = useState(null);
 
 
   // --- Effects ---
+  // Links sent by email: confirm the address right away, or open the new password form
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const verifyEmailToken = params.get('verify_email');
+    const resetPasswordToken = params.get('reset_password');
+    const changeEmailToken = params.get('change_email');
+    if (!verifyEmailToken && !resetPasswordToken && !changeEmailToken) return;
+
+    // The token is single-use: keep it out of the address bar and the history
+    window.history.replaceState(null, '', window.location.pathname);
+    if (resetPasswordToken) {
+      setResetToken(resetPasswordToken);
+      setAuthView('reset');
+      return;
+    }
+    if (changeEmailToken) {
+      // Works whether or not this browser is logged in
+      apiCall(`${API_BASE_URL}/api/auth/confirm-email-change`, 'POST', { token: changeEmailToken })
+        .then(data => {
+          setAuthMessage(data.msg);
+          setUser(prevUser => prevUser && { ...prevUser, email: data.email, pending_email: null });
+        })
+        .catch(err => setAuthError(err.message || 'Une erreur est survenue.'));
+      return;
+    }
+    apiCall(`${API_BASE_URL}/api/auth/verify-email`, 'POST', { token: verifyEmailToken })
+      .then(data => setAuthMessage(data.msg))
+      .catch(err => setAuthError(err.message || 'Une erreur est survenue.'));
+  }, []);
+
   useEffect(() => {
-    const fetchTasksAndUser = async () => {
+    const fetchUserAndBoards = async () => {
       if (token) {
         setIsLoading(true);
         setError(null);
@@ -144,70 +447,228 @@ function App() {
           const decodedToken = JSON.parse(atob(token.split('.')[1]));
           setUser({ id: decodedToken.id, email: decodedToken.email });
           
-          const fetchedTasks = await apiCall(`${API_BASE_URL}/api/tasks`, 'GET', null, token);
-          setTasks(fetchedTasks);
-          
-          // Check for reminders
-          checkReminders(fetchedTasks);
-        } catch (err) {
-          setError(`Failed to fetch tasks: ${err.message}`);
-          if (err.message.includes("403")) {
-            handleLogout();
+          // Settings are loaded before the first board so that its reminders follow them
+          const [initialBoards, fetchedSettings, profile] = await Promise.all([
+            apiCall(`${API_BASE_URL}/api/boards`, 'GET', null, token),
+            apiCall(`${API_BASE_URL}/api/settings`, 'GET', null, token),
+            apiCall(`${API_BASE_URL}/api/me`, 'GET', null, token)
+          ]);
+          setUserSettings(fetchedSettings);
+          setUser(profile);
+          let fetchedBoards = initialBoards;
+          if (fetchedBoards.length === 0) {
+            const firstBoard = await apiCall(`${API_BASE_URL}/api/boards`, 'POST', { name: 'Mon tableau' }, token);
+            fetchedBoards = [firstBoard];
           }
-        } finally {
+          setBoards(fetchedBoards);
+
+          // Re-open the last board if it still exists, otherwise the first active one
+          setCurrentBoardId(prevBoardId => {
+            if (fetchedBoards.some(b => b.id === prevBoardId)) return prevBoardId;
+            return (fetchedBoards.find(b => !b.is_archived) || fetchedBoards[0]).id;
+          });
+        } catch (err) {
+          // An expired session is handled by apiCall (sessionHandlers.onExpired)
+          setError(`Failed to fetch boards: ${err.message}`);
           setIsLoading(false);
         }
       } else {
         setIsLoading(false);
         setTasks([]);
+        setBoards([]);
         setUser(null);
       }
     };
 
-    fetchTasksAndUser();
+    fetchUserAndBoards();
   }, [token]);
 
-  // Check for reminders periodically
+  // Only switching boards shows the loading state; refreshing the filtered cards keeps the board on screen
+  const loadedBoardIdRef = useRef(null);
+
+  useEffect(() => {
+    if (!token || !currentBoardId) return;
+    localStorage.setItem('lastBoardId', currentBoardId);
+
+    let cancelled = false;
+    const fetchTasks = async () => {
+      if (loadedBoardIdRef.current !== currentBoardId) {
+        setIsLoading(true);
+      }
+      setError(null);
+      try {
+        const filterQuery = taskFilterQuery(filters);
+        const [fetchedColumns, fetchedMembers, fetchedLabels, fetchedTasks] = await Promise.all([
+          apiCall(`${API_BASE_URL}/api/boards/${currentBoardId}/columns`, 'GET', null, token),
+          apiCall(`${API_BASE_URL}/api/boards/${currentBoardId}/members`, 'GET', null, token),
+          apiCall(`${API_BASE_URL}/api/boards/${currentBoardId}/labels`, 'GET', null, token),
+          apiCall(`${API_BASE_URL}/api/tasks?board_id=${currentBoardId}${filterQuery}`, 'GET', null, token)
+        ]);
+        if (cancelled) return;
+        setColumns(fetchedColumns);
+        setMembers(fetchedMembers);
+        setLabels(fetchedLabels);
+        setTasks(fetchedTasks);
+        loadedBoardIdRef.current = currentBoardId;
+      } catch (err) {
+        if (cancelled) return;
+        setError(`Failed to fetch tasks: ${err.message}`);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    fetchTasks();
+    return () => { cancelled = true; };
+  }, [token, currentBoardId, filters]);
+
+  // Live updates from other tabs and teammates on the current board
+  useEffect(() => {
+    if (!token || !currentBoardId || !user) return;
+
+    const filterQuery = taskFilterQuery(filters);
+    const resyncTasks = async () => {
+      try {
+        const fetchedTasks = await apiCall(`${API_BASE_URL}/api/tasks?board_id=${currentBoardId}${filterQuery}`, 'GET', null, token);
+        setTasks(fetchedTasks);
+      } catch (err) {
+        console.error('Failed to resync tasks:', err);
+      }
+    };
+
+    // Whether a changed card still matches the filters is decided by the server:
+    // with active filters, changes trigger a (debounced) reload of the filtered cards
+    let resyncTimeout = null;
+    const applyTask = (event) => {
+      if (filterQuery) {
+        clearTimeout(resyncTimeout);
+        resyncTimeout = setTimeout(resyncTasks, 300);
+        return;
+      }
+      const task = JSON.parse(event.data);
+      // Archived tasks leave the board but keep being broadcast when they change
+      setTasks(prevTasks => (
+        task.archived_at ? prevTasks.filter(t => t.id !== task.id) : upsertTask(prevTasks, task)
+      ));
+    };
+    const removeTask = (event) => {
+      const { id } = JSON.parse(event.data);
+      setTasks(prevTasks => prevTasks.filter(t => t.id !== id));
+    };
+
+    let source = null;
+    let wasConnected = false;
+    let closed = false;
+    let reconnectTimeout = null;
+    const connect = () => {
+      source = new EventSource(
+        `${API_BASE_URL}/api/boards/${currentBoardId}/events?access_token=${encodeURIComponent(currentAccessToken || token)}`
+      );
+
+      // Events may have been missed while the connection was down: reload the tasks after a reconnect
+      source.onopen = () => {
+        if (!wasConnected) {
+          wasConnected = true;
+          return;
+        }
+        resyncTasks();
+      };
+
+      // The browser retries dropped connections by itself, but gives up when the stream is refused
+      // (e.g. the access token expired): renew the token and reconnect
+      source.onerror = () => {
+        if (closed || source.readyState !== EventSource.CLOSED) return;
+        reconnectTimeout = setTimeout(() => {
+          refreshAccessToken()
+            .then(() => {
+              if (!closed) connect();
+            })
+            .catch(() => sessionHandlers.onExpired());
+        }, SSE_RECONNECT_DELAY_MS);
+      };
+
+      source.addEventListener('task:created', applyTask);
+      source.addEventListener('task:updated', applyTask);
+      source.addEventListener('task:moved', applyTask);
+      source.addEventListener('task:deleted', removeTask);
+    };
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(resyncTimeout);
+      clearTimeout(reconnectTimeout);
+      source.close();
+    };
+  }, [token, currentBoardId, filters, user]);
+
+  // Check due dates (overdue, due soon) when the tasks change, then periodically
   useEffect(() => {
     if (!token) return;
     
+    checkReminders(tasks, columns, userSettings);
     const interval = setInterval(() => {
-      checkReminders(tasks);
+      checkReminders(tasks, columns, userSettings);
     }, 60000); // Check every minute
 
     return () => clearInterval(interval);
-  }, [tasks, token]);
+  }, [tasks, columns, token, userSettings]);
+
+  // Reminders come from the server, which remembers per user those already shown in the app
+  // (the scheduler marks a reminder as sent as soon as it went out by email or push)
+  useEffect(() => {
+    if (!token || !userSettings.channel_in_app || !userSettings.notify_reminders) return;
+
+    const checkInAppReminders = async () => {
+      // Reminders stay pending on the server and are shown once quiet hours are over
+      if (isInQuietHours(userSettings)) return;
+      try {
+        const dueReminders = await apiCall(`${API_BASE_URL}/api/tasks/in-app-reminders`, 'GET', null, token);
+        const newNotifications = [];
+        for (const task of dueReminders) {
+          const key = `${task.id}-reminder-${task.reminder_date}`;
+          if (notifiedKeysRef.current.has(key)) continue;
+          notifiedKeysRef.current.add(key);
+          newNotifications.push({ key, id: task.id, message: `Rappel: ${task.title}`, type: 'reminder' });
+          apiCall(`${API_BASE_URL}/api/tasks/${task.id}/in-app-reminder-seen`, 'POST', null, token)
+            .catch(err => console.error('Failed to mark the reminder as seen:', err));
+        }
+        if (newNotifications.length > 0) {
+          setNotifications(prev => [...prev, ...newNotifications]);
+        }
+      } catch (err) {
+        console.error('Failed to load reminders:', err);
+      }
+    };
+
+    checkInAppReminders();
+    const interval = setInterval(checkInAppReminders, 60000); // Check every minute
+    return () => clearInterval(interval);
+  }, [token, userSettings]);
 
   // --- Handlers ---
-  const checkReminders = (currentTasks) => {
-    const now = new Date();
+  const checkReminders = (currentTasks, currentColumns, settings) => {
+    // Nothing is marked as notified during quiet hours: the next check after they end notifies
+    if (!settings.channel_in_app || isInQuietHours(settings)) return;
     const newNotifications = [];
+    const doneColumnIds = new Set(currentColumns.filter(c => c.is_done).map(c => c.id));
+
+    // One notification per task, type and date: changing the date notifies again
+    const notify = (task, type, date, message) => {
+      const key = `${task.id}-${type}-${date}`;
+      if (notifiedKeysRef.current.has(key)) return;
+      notifiedKeysRef.current.add(key);
+      newNotifications.push({ key, id: task.id, message, type });
+    };
 
     currentTasks.forEach(task => {
-      if (task.reminder_date && !task.is_reminder_sent && task.status !== 'done') {
-        const reminderTime = new Date(task.reminder_date);
-        if (reminderTime <= now) {
-          newNotifications.push({
-            id: task.id,
-            message: `Rappel: ${task.title}`,
-            type: 'reminder'
-          });
-        }
-      }
+      const isDone = doneColumnIds.has(task.column_id);
 
-      if (task.due_date && task.status !== 'done') {
+      if (task.due_date && !isDone) {
         if (isOverdue(task.due_date)) {
-          newNotifications.push({
-            id: task.id,
-            message: `En retard: ${task.title}`,
-            type: 'overdue'
-          });
-        } else if (isDueSoon(task.due_date)) {
-          newNotifications.push({
-            id: task.id,
-            message: `Échéance proche: ${task.title}`,
-            type: 'due-soon'
-          });
+          if (settings.notify_overdue) notify(task, 'overdue', task.due_date, `En retard: ${task.title}`);
+        } else if (settings.notify_due_soon && isDueSoon(task.due_date, settings.due_soon_hours)) {
+          notify(task, 'due-soon', task.due_date, `Échéance proche: ${task.title}`);
         }
       }
     });
@@ -217,201 +678,664 @@ function App() {
     }
   };
 
+  const switchAuthView = (view) => {
+    setAuthView(view);
+    setAuthError('');
+    setAuthMessage('');
+    setUnverifiedEmail(null);
+    setPassword('');
+    setPasswordConfirm('');
+    setTwoFactorCode('');
+  };
+
   const handleAuthSubmit = async (e) => {
     e.preventDefault();
     setAuthError('');
+    setAuthMessage('');
+    setUnverifiedEmail(null);
+    if (authView === 'reset' && password !== passwordConfirm) {
+      setAuthError('Les mots de passe ne correspondent pas.');
+      return;
+    }
     setAuthLoading(true);
-    const url = isLoginView ? `${API_BASE_URL}/api/auth/login` : `${API_BASE_URL}/api/auth/register`;
-    
+
     try {
-      const data = await apiCall(url, 'POST', { email, password });
-      
-      if (isLoginView) {
-        localStorage.setItem('token', data.token);
+      if (authView === 'login' || authView === 'two_factor') {
+        const data = authView === 'login'
+          ? await apiCall(`${API_BASE_URL}/api/auth/login`, 'POST', { email, password })
+          : await apiCall(`${API_BASE_URL}/api/auth/login/2fa`, 'POST', { challenge: loginChallenge, code: twoFactorCode });
+        if (data.two_factor_required) {
+          switchAuthView('two_factor');
+          setLoginChallenge(data.challenge);
+          return;
+        }
+        setAccessToken(data.token);
         setToken(data.token);
+        setLoginChallenge(null);
+        setEmail('');
+        setPassword('');
+        setTwoFactorCode('');
+      } else if (authView === 'register') {
+        await apiCall(`${API_BASE_URL}/api/auth/register`, 'POST', { email, password });
+        switchAuthView('login');
+        setAuthMessage(`Inscription réussie ! Confirmez votre adresse avec le lien envoyé à ${email}, puis connectez-vous.`);
+      } else if (authView === 'forgot') {
+        const data = await apiCall(`${API_BASE_URL}/api/auth/forgot-password`, 'POST', { email });
+        switchAuthView('login');
+        setAuthMessage(data.msg);
       } else {
-        alert('Inscription réussie ! Veuillez vous connecter.');
-        setIsLoginView(true);
+        const data = await apiCall(`${API_BASE_URL}/api/auth/reset-password`, 'POST', { token: resetToken, password });
+        setResetToken(null);
+        switchAuthView('login');
+        setAuthMessage(data.msg);
       }
-      setEmail('');
-      setPassword('');
     } catch (err) {
+      if (err.data?.code === 'email_not_verified') {
+        setUnverifiedEmail(email);
+      }
+      if (err.data?.code === 'challenge_expired') {
+        switchAuthView('login');
+        setLoginChallenge(null);
+      }
       setAuthError(err.message || 'Une erreur est survenue.');
     } finally {
       setAuthLoading(false);
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('token');
+  const handleResendVerification = async () => {
+    setAuthLoading(true);
+    try {
+      const data = await apiCall(`${API_BASE_URL}/api/auth/resend-verification`, 'POST', { email: unverifiedEmail });
+      setAuthError('');
+      setUnverifiedEmail(null);
+      setAuthMessage(data.msg);
+    } catch (err) {
+      setAuthError(err.message || 'Une erreur est survenue.');
+    } finally {
+      setAuthLoading(false);
+    }
+  };
+
+  const clearSession = () => {
+    setAccessToken(null);
     setToken(null);
     setUser(null);
+    setShowProfilePanel(false);
+    setShowApiTokensPanel(false);
+    setNotifications([]);
+    notifiedKeysRef.current.clear();
+    setUserSettings(DEFAULT_USER_SETTINGS);
+  };
+
+  const handleLogout = () => {
+    // Revoke the session on the server; the local session is cleared either way
+    apiCall(`${API_BASE_URL}/api/auth/logout`, 'POST')
+      .catch(err => console.error('Failed to revoke the session:', err));
+    clearSession();
+  };
+
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm('Se déconnecter de tous les appareils, y compris celui-ci ?')) return;
+    try {
+      await apiCall(`${API_BASE_URL}/api/auth/logout-all`, 'POST', null, token);
+      clearSession();
+    } catch (err) {
+      setError(`Erreur de déconnexion: ${err.message}`);
+    }
   };
 
+  // A session that can't be renewed ends like a logout
+  useEffect(() => {
+    sessionHandlers.onExpired = clearSession;
+  });
+
   const handleTaskSubmit = async (e) => {
     e.preventDefault();
     if (!taskForm.title.trim()) return;
 
+    if (editingTask) {
+      await saveEditedTask(editingTask);
+      return;
+    }
+
     try {
-      const taskData = {
-        ...taskForm,
-        due_date: taskForm.due_date || null,
-        reminder_date: taskForm.reminder_date || null
-      };
+      const result = await apiCall(
+        `${API_BASE_URL}/api/tasks`,
+        'POST',
+        {
+          ...taskForm,
+          due_date: taskForm.due_date || null,
+          reminder_date: taskForm.reminder_date || null,
+          recurrence_rule: taskForm.recurrence_rule || null,
+          board_id: currentBoardId
+        },
+        token
+      );
+      setTasks(prevTasks => upsertTask(prevTasks, result));
+      resetTaskForm();
+    } catch (err) {
+      setError(`Erreur lors de la sauvegarde: ${err.message}`);
+    }
+  };
 
-      let result;
-      if (editingTask) {
-        result = await apiCall(
-          `${API_BASE_URL}/api/tasks/${editingTask.id}`,
-          'PUT',
-          { ...editingTask, ...taskData },
-          token
-        );
-        setTasks(tasks.map(t => (t.id === editingTask.id ? result : t)));
-      } else {
-        result = await apiCall(
-          `${API_BASE_URL}/api/tasks`,
-          'POST',
-          taskData,
-          token
-        );
-        setTasks(prevTasks => [...prevTasks, result]);
-      }
-      
+  // Sends only the fields changed relative to baseTask; the update is rejected
+  // with a 409 if the task changed on the server since baseTask.version
+  const saveEditedTask = async (baseTask) => {
+    const changes = diffTaskForm(baseTask, taskForm);
+    if (Object.keys(changes).length === 0) {
+      resetTaskForm();
+      return;
+    }
+
+    try {
+      const result = await apiCall(
+        `${API_BASE_URL}/api/tasks/${baseTask.id}`,
+        'PATCH',
+        { ...changes, version: baseTask.version },
+        token
+      );
+      setTasks(prevTasks => prevTasks.map(t => (t.id === result.id ? result : t)));
       resetTaskForm();
     } catch (err) {
+      if (err.status === 409 && err.data?.current) {
+        const current = err.data.current;
+        setTasks(prevTasks => prevTasks.map(t => (t.id === current.id ? current : t)));
+        setTaskConflict(current);
+        return;
+      }
       setError(`Erreur lors de la sauvegarde: ${err.message}`);
     }
   };
 
+  // Conflict dialog: either re-apply the form on top of the server copy, or drop the local edits
+  const handleResolveConflict = async (keepMine) => {
+    const current = taskConflict;
+    setTaskConflict(null);
+    setEditingTask(current);
+    if (keepMine) {
+      await saveEditedTask(current);
+    } else {
+      setTaskForm(taskToForm(current));
+    }
+  };
+
   const resetTaskForm = () => {
     setTaskForm({
       title: '',
       description: '',
       due_date: '',
       reminder_date: '',
-      priority: 'medium'
+      priority: 'medium',
+      assignee_ids: [],
+      label_ids: [],
+      recurrence_rule: ''
     });
     setEditingTask(null);
+    setTaskConflict(null);
     setShowTaskModal(false);
   };
 
   const handleEditTask = (task) => {
     setEditingTask(task);
-    setTaskForm({
-      title: task.title,
-      description: task.description || '',
-      due_date: task.due_date ? task.due_date.split('T')[0] : '',
-      reminder_date: task.reminder_date ? task.reminder_date.slice(0, 16) : '',
-      priority: task.priority || 'medium'
-    });
+    setTaskForm(taskToForm(task));
     setShowTaskModal(true);
   };
 
+  // Deleted tasks go to the trash: no confirmation, an "undo" toast is shown instead
   const handleDeleteTask = async (taskId) => {
-    if (window.confirm("Êtes-vous sûr de vouloir supprimer cette tâche ?")) {
-      try {
-        await apiCall(`${API_BASE_URL}/api/tasks/${taskId}`, 'DELETE', null, token);
-        setTasks(tasks.filter(t => t.id !== taskId));
-      } catch (err) {
-        setError(`Erreur de suppression: ${err.message}`);
-      }
+    const deletedTask = tasks.find(t => t.id === taskId);
+    try {
+      await apiCall(`${API_BASE_URL}/api/tasks/${taskId}`, 'DELETE', null, token);
+      setTasks(prevTasks => prevTasks.filter(t => t.id !== taskId));
+      setUndoDeleteTask(deletedTask);
+    } catch (err) {
+      setError(`Erreur de suppression: ${err.message}`);
+    }
+  };
+
+  const handleRestoreTask = async (taskId) => {
+    try {
+      const restoredTask = await apiCall(`${API_BASE_URL}/api/tasks/${taskId}/restore`, 'POST', null, token);
+      setTasks(prevTasks => upsertTask(prevTasks, restoredTask));
+    } catch (err) {
+      setError(`Erreur de restauration: ${err.message}`);
+    }
+  };
+
+  const handleArchiveTask = async (taskId) => {
+    try {
+      await apiCall(`${API_BASE_URL}/api/tasks/${taskId}/archive`, 'POST', null, token);
+      setTasks(prevTasks => prevTasks.filter(t => t.id !== taskId));
+    } catch (err) {
+      setError(`Erreur d'archivage: ${err.message}`);
+    }
+  };
+
+  // Archives every task of the board's done columns
+  const handleArchiveDone = async () => {
+    if (!window.confirm("Archiver toutes les tâches des colonnes terminées ?")) return;
+    const doneColumnIds = columns.filter(c => c.is_done).map(c => c.id);
+    try {
+      await apiCall(`${API_BASE_URL}/api/boards/${currentBoardId}/archive-done`, 'POST', null, token);
+      setTasks(prevTasks => prevTasks.filter(t => !doneColumnIds.includes(t.column_id)));
+    } catch (err) {
+      setError(`Erreur d'archivage: ${err.message}`);
     }
   };
 
+  const handleUndoDelete = () => {
+    setUndoDeleteTask(null);
+    handleRestoreTask(undoDeleteTask.id);
+  };
+
+  useEffect(() => {
+    if (!undoDeleteTask) return;
+    const timeout = setTimeout(() => setUndoDeleteTask(null), UNDO_DELETE_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [undoDeleteTask]);
+
+  // Keeps the card's checklist progress in sync with edits made in the task modal
+  const handleChecklistChange = (taskId, items) => {
+    setTasks(prevTasks => prevTasks.map(t => (
+      t.id === taskId
+        ? { ...t, checklist_total: items.length, checklist_done: items.filter(i => i.is_done).length }
+        : t
+    )));
+  };
+
+  const handleCommentCountChange = (taskId, count) => {
+    setTasks(prevTasks => prevTasks.map(t => (t.id === taskId ? { ...t, comment_count: count } : t)));
+  };
+
   // --- Drag and Drop handlers ---
   const handleDragStart = (e, task) => {
     setDraggedTask(task);
     e.dataTransfer.effectAllowed = 'move';
   };
 
-  const handleDragOver = (e, columnStatus) => {
+  const handleDragOver = (e, columnId) => {
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
-    setDragOverColumn(columnStatus);
+    setDragOverColumn(columnId);
+    // Entering a column outside of any card drops at the end of it
+    if (dropTarget && dropTarget.columnId !== columnId) {
+      setDropTarget(null);
+    }
+  };
+
+  const handleCardDragOver = (e, task) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverColumn(task.column_id);
+
+    if (!draggedTask || draggedTask.id === task.id) {
+      setDropTarget(null);
+      return;
+    }
+    // Upper half of the card inserts before it, lower half after it
+    const rect = e.currentTarget.getBoundingClientRect();
+    const before = e.clientY < rect.top + rect.height / 2;
+    if (!dropTarget || dropTarget.taskId !== task.id || dropTarget.before !== before) {
+      setDropTarget({ columnId: task.column_id, taskId: task.id, before });
+    }
   };
 
   const handleDragLeave = () => {
     setDragOverColumn(null);
   };
 
-  const handleDrop = async (e, newStatus) => {
+  const handleDragEnd = () => {
+    setDraggedTask(null);
+    setDragOverColumn(null);
+    setDropTarget(null);
+  };
+
+  const handleDrop = async (e, newColumnId) => {
     e.preventDefault();
     setDragOverColumn(null);
+    const target = dropTarget && dropTarget.columnId === newColumnId ? dropTarget : null;
+    setDropTarget(null);
 
-    if (!draggedTask || draggedTask.status === newStatus) {
-      setDraggedTask(null);
-      return;
+    if (!draggedTask) return;
+
+    // Work out the cards that will surround the dropped card
+    const columnTasks = tasks
+      .filter(t => t.column_id === newColumnId && t.id !== draggedTask.id)
+      .sort(compareTaskPosition);
+    let insertIndex = columnTasks.length;
+    if (target) {
+      const targetIndex = columnTasks.findIndex(t => t.id === target.taskId);
+      if (targetIndex !== -1) {
+        insertIndex = target.before ? targetIndex : targetIndex + 1;
+      }
+    }
+    const prevTask = columnTasks[insertIndex - 1] || null;
+    const nextTask = columnTasks[insertIndex] || null;
+
+    // Dropped back where it already was
+    if (draggedTask.column_id === newColumnId) {
+      const currentTasks = tasks.filter(t => t.column_id === newColumnId).sort(compareTaskPosition);
+      const currentIndex = currentTasks.findIndex(t => t.id === draggedTask.id);
+      if (currentIndex === insertIndex) {
+        setDraggedTask(null);
+        return;
+      }
     }
 
     try {
-      const updatedTask = await apiCall(
-        `${API_BASE_URL}/api/tasks/${draggedTask.id}`,
-        'PUT',
-        { ...draggedTask, status: newStatus },
+      const movedTask = await apiCall(
+        `${API_BASE_URL}/api/tasks/${draggedTask.id}/move`,
+        'POST',
+        {
+          column_id: newColumnId,
+          prev_id: prevTask ? prevTask.id : null,
+          next_id: nextTask ? nextTask.id : null,
+          version: draggedTask.version
+        },
         token
       );
-      setTasks(tasks.map(t => (t.id === draggedTask.id ? updatedTask : t)));
+      setTasks(prevTasks => prevTasks.map(t => (t.id === movedTask.id ? movedTask : t)));
     } catch (err) {
-      setError(`Erreur de mise à jour: ${err.message}`);
+      // The card changed on the server since it was loaded: show its current state instead
+      if (err.status === 409 && err.data?.current) {
+        const current = err.data.current;
+        setTasks(prevTasks => prevTasks.map(t => (t.id === current.id ? current : t)));
+        setError("La carte a été modifiée entre-temps par quelqu'un d'autre : le déplacement a été annulé.");
+        return;
+      }
+      setError(`Erreur de déplacement: ${err.message}`);
     } finally {
       setDraggedTask(null);
     }
   };
 
-  const dismissNotification = (notificationId) => {
-    setNotifications(prev => prev.filter(n => n.id !== notificationId));
+  // --- Board handlers ---
+  // Card filters refer to the current board's members and labels, so they are cleared on switch
+  const switchBoard = (boardId) => {
+    setFilters(EMPTY_TASK_FILTERS);
+    setUndoDeleteTask(null);
+    setCurrentBoardId(boardId);
   };
 
-  // --- Render Auth Form ---
-  if (!token) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
-        <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md transform transition-all duration-300 hover:scale-105">
-          <div className="text-center mb-8">
-            <div className="bg-gradient-to-r from-blue-500 to-indigo-600 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
-              <span className="text-white text-2xl font-bold">K</span>
-            </div>
-            <h1 className="text-3xl font-bold text-gray-900 mb-2">
-              {isLoginView ? 'Connexion' : 'Inscription'}
-            </h1>
-            <p className="text-gray-600">
-              {isLoginView ? 'Connectez-vous à votre espace Kanban' : 'Créez votre compte Kanban'}
-            </p>
-          </div>
+  const handleBoardSubmit = async (name) => {
+    try {
+      if (boardModal.board) {
+        const updatedBoard = await apiCall(
+          `${API_BASE_URL}/api/boards/${boardModal.board.id}`,
+          'PUT',
+          { name },
+          token
+        );
+        setBoards(prevBoards => prevBoards.map(b => (b.id === updatedBoard.id ? updatedBoard : b)));
+      } else {
+        const newBoard = await apiCall(`${API_BASE_URL}/api/boards`, 'POST', { name }, token);
+        setBoards(prevBoards => [...prevBoards, newBoard]);
+        switchBoard(newBoard.id);
+      }
+      setBoardModal(null);
+    } catch (err) {
+      setError(`Erreur lors de la sauvegarde du tableau: ${err.message}`);
+    }
+  };
 
-          <form onSubmit={handleAuthSubmit} className="space-y-6">
-            <div className="relative">
-              <input
-                type="email"
-                placeholder="Adresse email"
-                value={email}
-                onChange={(e) => setEmail(e.target.value)}
-                required
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 pl-10"
-              />
-              <svg className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207" />
-              </svg>
-            </div>
-            
-            <div className="relative">
-              <input
-                type="password"
-                placeholder="Mot de passe"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-                required
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 pl-10"
-              />
-              <svg className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
-              </svg>
+  const handleToggleArchiveBoard = async (board) => {
+    try {
+      const updatedBoard = await apiCall(
+        `${API_BASE_URL}/api/boards/${board.id}`,
+        'PUT',
+        { is_archived: !board.is_archived },
+        token
+      );
+      setBoards(prevBoards => prevBoards.map(b => (b.id === updatedBoard.id ? updatedBoard : b)));
+    } catch (err) {
+      setError(`Erreur lors de l'archivage du tableau: ${err.message}`);
+    }
+  };
+
+  const handleDeleteBoard = async (board) => {
+    if (!window.confirm(`Supprimer le tableau « ${board.name} » et toutes ses tâches ?`)) return;
+    try {
+      await apiCall(`${API_BASE_URL}/api/boards/${board.id}`, 'DELETE', null, token);
+      const remainingBoards = boards.filter(b => b.id !== board.id);
+      setBoards(remainingBoards);
+      if (board.id === currentBoardId) {
+        const nextBoard = remainingBoards.find(b => !b.is_archived) || remainingBoards[0];
+        setTasks([]);
+        switchBoard(nextBoard ? nextBoard.id : null);
+        if (!nextBoard) localStorage.removeItem('lastBoardId');
+      }
+    } catch (err) {
+      setError(`Erreur de suppression du tableau: ${err.message}`);
+    }
+  };
+
+  // --- Column handlers ---
+  const handleColumnSubmit = async (columnData) => {
+    try {
+      if (columnModal.column) {
+        const updatedColumn = await apiCall(
+          `${API_BASE_URL}/api/boards/${currentBoardId}/columns/${columnModal.column.id}`,
+          'PUT',
+          columnData,
+          token
+        );
+        setColumns(prevColumns => prevColumns.map(c => (c.id === updatedColumn.id ? updatedColumn : c)));
+      } else {
+        const newColumn = await apiCall(
+          `${API_BASE_URL}/api/boards/${currentBoardId}/columns`,
+          'POST',
+          columnData,
+          token
+        );
+        setColumns(prevColumns => [...prevColumns, newColumn]);
+      }
+      setColumnModal(null);
+    } catch (err) {
+      setError(`Erreur lors de la sauvegarde de la colonne: ${err.message}`);
+    }
+  };
+
+  const handleMoveColumn = async (columnId, direction) => {
+    const index = columns.findIndex(c => c.id === columnId);
+    const targetIndex = index + direction;
+    if (index === -1 || targetIndex < 0 || targetIndex >= columns.length) return;
+
+    const reordered = [...columns];
+    [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+
+    try {
+      const updatedColumns = await apiCall(
+        `${API_BASE_URL}/api/boards/${currentBoardId}/columns/order`,
+        'PUT',
+        { column_ids: reordered.map(c => c.id) },
+        token
+      );
+      setColumns(updatedColumns);
+    } catch (err) {
+      setError(`Erreur lors du déplacement de la colonne: ${err.message}`);
+    }
+  };
+
+  const handleDeleteColumn = async (column, moveToColumnId) => {
+    try {
+      await apiCall(
+        `${API_BASE_URL}/api/boards/${currentBoardId}/columns/${column.id}?move_to=${moveToColumnId}`,
+        'DELETE',
+        null,
+        token
+      );
+      setColumns(prevColumns => prevColumns.filter(c => c.id !== column.id));
+      setTasks(prevTasks => prevTasks.map(t => (
+        t.column_id === column.id ? { ...t, column_id: moveToColumnId } : t
+      )));
+      setColumnModal(null);
+    } catch (err) {
+      setError(`Erreur de suppression de la colonne: ${err.message}`);
+    }
+  };
+
+  const handleMemberRemoved = (userId) => {
+    setMembers(prevMembers => prevMembers.filter(m => m.user_id !== userId));
+    setTasks(prevTasks => prevTasks.map(t => ({
+      ...t,
+      assignees: (t.assignees || []).filter(a => a.id !== userId)
+    })));
+  };
+
+  // --- Label handlers ---
+  const handleLabelUpdated = (label) => {
+    setLabels(prevLabels => prevLabels.map(l => (l.id === label.id ? label : l)));
+    setTasks(prevTasks => prevTasks.map(t => ({
+      ...t,
+      labels: (t.labels || []).map(l => (l.id === label.id ? { id: label.id, name: label.name, color: label.color } : l))
+    })));
+  };
+
+  const handleLabelDeleted = (labelId) => {
+    setLabels(prevLabels => prevLabels.filter(l => l.id !== labelId));
+    setFilters(prevFilters => (
+      prevFilters.labels.includes(labelId)
+        ? { ...prevFilters, labels: prevFilters.labels.filter(id => id !== labelId) }
+        : prevFilters
+    ));
+    setTasks(prevTasks => prevTasks.map(t => ({
+      ...t,
+      labels: (t.labels || []).filter(l => l.id !== labelId)
+    })));
+  };
+
+  const toggleLabelFilter = (labelId) => {
+    setFilters(prevFilters => ({
+      ...prevFilters,
+      labels: prevFilters.labels.includes(labelId)
+        ? prevFilters.labels.filter(id => id !== labelId)
+        : [...prevFilters.labels, labelId]
+    }));
+  };
+
+  const handleLeaveBoard = (board) => {
+    const remainingBoards = boards.filter(b => b.id !== board.id);
+    const nextBoard = remainingBoards.find(b => !b.is_archived) || remainingBoards[0];
+    setBoards(remainingBoards);
+    setTasks([]);
+    switchBoard(nextBoard ? nextBoard.id : null);
+    if (!nextBoard) localStorage.removeItem('lastBoardId');
+    setShowMembersPanel(false);
+  };
+
+  const dismissNotification = (notificationKey) => {
+    setNotifications(prev => prev.filter(n => n.key !== notificationKey));
+  };
+
+  // --- Render Auth Form ---
+  if (!token) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-md transform transition-all duration-300 hover:scale-105">
+          <div className="text-center mb-8">
+            <div className="bg-gradient-to-r from-blue-500 to-indigo-600 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
+              <span className="text-white text-2xl font-bold">K</span>
             </div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">
+              {authViews[authView].title}
+            </h1>
+            <p className="text-gray-600">
+              {authViews[authView].subtitle}
+            </p>
+          </div>
+
+          <form onSubmit={handleAuthSubmit} className="space-y-6">
+            {authViews[authView].fields.includes('email') && (
+              <div className="relative">
+                <input
+                  type="email"
+                  placeholder="Adresse email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 pl-10"
+                />
+                <svg className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207" />
+                </svg>
+              </div>
+            )}
+
+            {authViews[authView].fields.includes('password') && (
+              <div className="relative">
+                <input
+                  type="password"
+                  placeholder={authView === 'reset' ? 'Nouveau mot de passe' : 'Mot de passe'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 pl-10"
+                />
+                <svg className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                </svg>
+              </div>
+            )}
+
+            {authViews[authView].fields.includes('passwordConfirm') && (
+              <div className="relative">
+                <input
+                  type="password"
+                  placeholder="Confirmer le mot de passe"
+                  value={passwordConfirm}
+                  onChange={(e) => setPasswordConfirm(e.target.value)}
+                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 pl-10"
+                />
+                <svg className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                </svg>
+              </div>
+            )}
+
+            {(authView === 'register' || authView === 'reset') && (
+              <p className="-mt-4 text-xs text-gray-500">{PASSWORD_POLICY_HINT}</p>
+            )}
+
+            {authViews[authView].fields.includes('code') && (
+              <div>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  placeholder="123456"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  required
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-center text-xl tracking-widest font-mono"
+                />
+                <p className="mt-2 text-xs text-gray-500">
+                  Vous n'avez plus accès à l'application ? Saisissez l'un de vos codes de secours.
+                </p>
+              </div>
+            )}
+
+            {authView === 'login' && (
+              <div className="text-right -mt-4">
+                <button
+                  type="button"
+                  onClick={() => switchAuthView('forgot')}
+                  className="text-sm text-blue-600 hover:text-blue-800 transition-colors duration-200"
+                >
+                  Mot de passe oublié ?
+                </button>
+              </div>
+            )}
 
             <button
               type="submit"
-              disabled={authLoading || !email.trim() || !password.trim()}
+              disabled={authLoading
+                || (authViews[authView].fields.includes('email') && !email.trim())
+                || (authViews[authView].fields.includes('password') && !password.trim())
+                || (authViews[authView].fields.includes('code') && !twoFactorCode.trim())}
               className="w-full bg-gradient-to-r from-blue-500 to-indigo-600 text-white py-3 px-4 rounded-lg font-semibold hover:from-blue-600 hover:to-indigo-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transform transition-all duration-200 hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
             >
               {authLoading ? (
@@ -420,7 +1344,7 @@ function App() {
                   Chargement...
                 </div>
               ) : (
-                isLoginView ? 'Se connecter' : 'S\'inscrire'
+                authViews[authView].submit
               )}
             </button>
           </form>
@@ -434,15 +1358,31 @@ function App() {
             </div>
           )}
 
+          {unverifiedEmail && (
+            <button
+              onClick={handleResendVerification}
+              disabled={authLoading}
+              className="mt-2 w-full text-sm text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200 disabled:opacity-50"
+            >
+              Renvoyer l'email de confirmation
+            </button>
+          )}
+
+          {authMessage && (
+            <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center text-green-700">
+              <svg className="w-5 h-5 mr-2 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+              </svg>
+              {authMessage}
+            </div>
+          )}
+
           <div className="mt-6 text-center">
             <button
-              onClick={() => {
-                setIsLoginView(!isLoginView);
-                setAuthError('');
-              }}
+              onClick={() => switchAuthView(authView === 'login' ? 'register' : 'login')}
               className="text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
             >
-              {isLoginView ? 'Pas de compte ? Créer un compte' : 'Déjà un compte ? Se connecter'}
+              {authView === 'login' ? 'Pas de compte ? Créer un compte' : authView === 'register' ? 'Déjà un compte ? Se connecter' : 'Retour à la connexion'}
             </button>
           </div>
         </div>
@@ -450,10 +1390,10 @@ function App() {
     );
   }
 
-  // Filter tasks
-  const todoTasks = tasks.filter(t => t.status === 'todo');
-  const inProgressTasks = tasks.filter(t => t.status === 'in-progress');
-  const doneTasks = tasks.filter(t => t.status === 'done');
+  const currentBoard = boards.find(b => b.id === currentBoardId) || null;
+  // Viewers get a read-only board; only owners manage the board itself and its members
+  const canEdit = !!currentBoard && currentBoard.role !== 'viewer';
+  const isOwner = !!currentBoard && currentBoard.role === 'owner';
 
   // --- Render Main App ---
   return (
@@ -463,9 +1403,9 @@ function App() {
         <div className="fixed top-4 right-4 z-50 space-y-2">
           {notifications.slice(0, 3).map(notification => (
             <NotificationCard
-              key={`${notification.id}-${notification.type}`}
+              key={notification.key}
               notification={notification}
-              onDismiss={() => dismissNotification(notification.id)}
+              onDismiss={() => dismissNotification(notification.key)}
             />
           ))}
         </div>
@@ -483,9 +1423,28 @@ function App() {
                 <h1 className="text-xl font-semibold text-gray-900">
                   Gestion de tâches
                 </h1>
-                <p className="text-sm text-gray-500">
-                  {user?.email}
-                </p>
+                <button
+                  onClick={() => setShowProfilePanel(true)}
+                  title="Mon profil"
+                  className="flex items-center text-sm text-gray-500 hover:text-gray-700 transition-colors duration-200"
+                >
+                  {user && <UserAvatar person={user} className="mr-2" />}
+                  {getDisplayName(user)}
+                </button>
+              </div>
+              <div className="ml-8">
+                <BoardSwitcher
+                  boards={boards}
+                  currentBoard={currentBoard}
+                  onSelect={switchBoard}
+                  onCreate={() => setBoardModal({ board: null })}
+                  onRename={(board) => setBoardModal({ board })}
+                  onToggleArchive={handleToggleArchiveBoard}
+                  onDelete={handleDeleteBoard}
+                  onShowMembers={() => setShowMembersPanel(true)}
+                  onShowLabels={() => setShowLabelsPanel(true)}
+                  onShowTrash={() => setShowTrashPanel(true)}
+                />
               </div>
             </div>
             
@@ -508,6 +1467,26 @@ function App() {
                 )}
               </div>
               
+              <button
+                onClick={() => setShowNotificationSettings(true)}
+                title="Paramètres des notifications"
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+                </svg>
+              </button>
+
+              <button
+                onClick={() => setShowApiTokensPanel(true)}
+                title="Jetons d'API"
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                </svg>
+              </button>
+
               <button
                 onClick={handleLogout}
                 className="flex items-center px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200"
@@ -517,27 +1496,143 @@ function App() {
                 </svg>
                 Déconnexion
               </button>
+              <button
+                onClick={handleLogoutAllDevices}
+                title="Se déconnecter de tous les appareils"
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L9 20l-1 1h8l-1-1-.75-3M3 13h18M5 17h14a2 2 0 002-2V5a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+                </svg>
+              </button>
             </div>
           </div>
+
+          {/* Task Search */}
+          {currentBoard && (
+            <TaskSearchBar
+              key={currentBoard.id}
+              filters={filters}
+              setFilters={setFilters}
+              resultCount={tasks.length}
+            />
+          )}
         </div>
       </header>
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Archived board banner */}
+        {currentBoard?.is_archived && (
+          <div className="mb-6 p-4 bg-gray-100 border border-gray-300 rounded-lg flex items-center text-gray-700">
+            Ce tableau est archivé.
+            {isOwner && (
+              <button
+                onClick={() => handleToggleArchiveBoard(currentBoard)}
+                className="ml-auto text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
+              >
+                Désarchiver
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Add Task Button */}
-        <div className="mb-8">
+        <div className="mb-8 flex items-center space-x-4">
           <button
             onClick={() => setShowTaskModal(true)}
-            className="flex items-center px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-lg hover:from-blue-600 hover:to-indigo-700 transform transition-all duration-200 hover:scale-105 shadow-lg"
+            disabled={!canEdit}
+            className="flex items-center px-6 py-3 bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-lg hover:from-blue-600 hover:to-indigo-700 transform transition-all duration-200 hover:scale-105 shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
           >
             <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
             </svg>
             Nouvelle tâche
           </button>
+          {currentBoard && (
+            <div className="flex items-center space-x-2 text-sm">
+              {canEdit && (
+                <button
+                  onClick={handleArchiveDone}
+                  disabled={!tasks.some(t => columns.some(c => c.id === t.column_id && c.is_done))}
+                  className="px-3 py-2 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Archiver les terminées
+                </button>
+              )}
+              <button
+                onClick={() => setShowArchivePanel(true)}
+                className="px-3 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+              >
+                Archives
+              </button>
+            </div>
+          )}
+          {currentBoard && !canEdit && (
+            <span className="inline-flex items-center px-3 py-1 text-sm font-medium rounded-full bg-gray-200 text-gray-700">
+              Lecture seule
+            </span>
+          )}
+
+          {/* Card Filters */}
+          {currentBoard && (
+            <div className="ml-auto flex items-center space-x-3">
+              {/* Label Filter: cards carrying any of the selected labels */}
+              {labels.length > 0 && (
+                <div className="flex flex-wrap items-center gap-1">
+                  {labels.map(label => {
+                    const selected = filters.labels.includes(label.id);
+                    return (
+                      <button
+                        key={label.id}
+                        onClick={() => toggleLabelFilter(label.id)}
+                        title={selected ? 'Retirer du filtre' : 'Filtrer par ce libellé'}
+                        className={`rounded-full transition-all duration-200 ${
+                          selected ? 'ring-2 ring-offset-1 ring-blue-500' : 'opacity-60 hover:opacity-100'
+                        }`}
+                      >
+                        <LabelChip label={label} />
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+
+              {/* Assignee Filter */}
+              <select
+                value={filters.assignee}
+                onChange={(e) => setFilters(prevFilters => ({ ...prevFilters, assignee: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              >
+                <option value="">Toutes les cartes</option>
+                <option value="me">Mes cartes</option>
+                {members.filter(m => m.user_id !== user?.id).map(member => (
+                  <option key={member.user_id} value={member.user_id}>
+                    Cartes de {member.email}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
         </div>
 
         {/* Error Display */}
+        {/* Result of an email link opened while logged in */}
+        {(authMessage || authError) && (
+          <div className={`mb-6 p-4 border rounded-lg flex items-center ${authError ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'}`}>
+            {authError || authMessage}
+            <button
+              onClick={() => {
+                setAuthMessage('');
+                setAuthError('');
+              }}
+              className="ml-auto opacity-70 hover:opacity-100 text-xl"
+            >
+              ×
+            </button>
+          </div>
+        )}
+
         {error && (
           <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center text-red-700">
             <svg className="w-5 h-5 mr-2" fill="currentColor" viewBox="0 0 20 20">
@@ -558,56 +1653,62 @@ function App() {
           <div className="flex justify-center items-center py-12">
             <div className="animate-spin rounded-full h-12 w-12 border-4 border-blue-500 border-t-transparent"></div>
           </div>
+        ) : !currentBoard ? (
+          <div className="text-center py-12 text-gray-500">
+            <p className="mb-4">Aucun tableau pour le moment.</p>
+            <button
+              onClick={() => setBoardModal({ board: null })}
+              className="text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
+            >
+              Créer un tableau
+            </button>
+          </div>
         ) : (
           /* Kanban Board */
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-            {/* Todo Column */}
-            <KanbanColumn
-              title="À faire"
-              count={todoTasks.length}
-              tasks={todoTasks}
-              color="blue"
-              status="todo"
-              dragOver={dragOverColumn === 'todo'}
-              onDragOver={(e) => handleDragOver(e, 'todo')}
-              onDragLeave={handleDragLeave}
-              onDrop={(e) => handleDrop(e, 'todo')}
-              onDragStart={handleDragStart}
-              onEdit={handleEditTask}
-              onDelete={handleDeleteTask}
-            />
+          <div className="flex gap-6 overflow-x-auto pb-4 items-start">
+            {columns.map((column, index) => {
+              const columnTasks = tasks
+                .filter(t => t.column_id === column.id)
+                .sort(compareTaskPosition);
+              return (
+                <KanbanColumn
+                  key={column.id}
+                  column={column}
+                  count={columnTasks.length}
+                  tasks={columnTasks}
+                  isFirst={index === 0}
+                  isLast={index === columns.length - 1}
+                  readOnly={!canEdit}
+                  dragOver={dragOverColumn === column.id}
+                  onDragOver={(e) => handleDragOver(e, column.id)}
+                  onDragLeave={handleDragLeave}
+                  onDrop={(e) => handleDrop(e, column.id)}
+                  dropTarget={dropTarget && dropTarget.columnId === column.id ? dropTarget : null}
+                  onCardDragOver={handleCardDragOver}
+                  onDragStart={handleDragStart}
+                  onDragEnd={handleDragEnd}
+                  onEdit={handleEditTask}
+                  onDelete={handleDeleteTask}
+                  onArchive={handleArchiveTask}
+                  dueSoonHours={userSettings.due_soon_hours}
+                  onEditColumn={() => setColumnModal({ column })}
+                  onMoveColumn={(direction) => handleMoveColumn(column.id, direction)}
+                />
+              );
+            })}
 
-            {/* In Progress Column */}
-            <KanbanColumn
-              title="En cours"
-              count={inProgressTasks.length}
-              tasks={inProgressTasks}
-              color="yellow"
-              status="in-progress"
-              dragOver={dragOverColumn === 'in-progress'}
-              onDragOver={(e) => handleDragOver(e, 'in-progress')}
-              onDragLeave={handleDragLeave}
-              onDrop={(e) => handleDrop(e, 'in-progress')}
-              onDragStart={handleDragStart}
-              onEdit={handleEditTask}
-              onDelete={handleDeleteTask}
-            />
-
-            {/* Done Column */}
-            <KanbanColumn
-              title="Terminé"
-              count={doneTasks.length}
-              tasks={doneTasks}
-              color="green"
-              status="done"
-              dragOver={dragOverColumn === 'done'}
-              onDragOver={(e) => handleDragOver(e, 'done')}
-              onDragLeave={handleDragLeave}
-              onDrop={(e) => handleDrop(e, 'done')}
-              onDragStart={handleDragStart}
-              onEdit={handleEditTask}
-              onDelete={handleDeleteTask}
-            />
+            {/* Add Column Button */}
+            {canEdit && (
+              <button
+                onClick={() => setColumnModal({ column: null })}
+                className="w-80 flex-shrink-0 flex items-center justify-center p-4 rounded-xl border-2 border-dashed border-gray-300 text-gray-500 hover:border-blue-400 hover:text-blue-600 transition-colors duration-200"
+              >
+                <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                </svg>
+                Ajouter une colonne
+              </button>
+            )}
           </div>
         )}
       </main>
@@ -618,130 +1719,2981 @@ function App() {
           task={editingTask}
           taskForm={taskForm}
           setTaskForm={setTaskForm}
+          members={members}
+          labels={labels}
+          token={token}
+          currentUser={user}
+          conflict={taskConflict}
+          onResolveConflict={handleResolveConflict}
+          onChecklistChange={handleChecklistChange}
+          onCommentCountChange={handleCommentCountChange}
           onSubmit={handleTaskSubmit}
           onClose={resetTaskForm}
         />
       )}
+
+      {/* Column Modal */}
+      {columnModal && (
+        <ColumnModal
+          column={columnModal.column}
+          columns={columns}
+          taskCount={columnModal.column ? tasks.filter(t => t.column_id === columnModal.column.id).length : 0}
+          onSubmit={handleColumnSubmit}
+          onDelete={handleDeleteColumn}
+          onClose={() => setColumnModal(null)}
+        />
+      )}
+
+      {/* Labels Panel */}
+      {showLabelsPanel && currentBoard && (
+        <LabelsPanel
+          board={currentBoard}
+          token={token}
+          labels={labels}
+          canEdit={canEdit}
+          onLabelCreated={(label) => setLabels(prevLabels => [...prevLabels, label])}
+          onLabelUpdated={handleLabelUpdated}
+          onLabelDeleted={handleLabelDeleted}
+          onClose={() => setShowLabelsPanel(false)}
+        />
+      )}
+
+      {/* Archive Panel */}
+      {showArchivePanel && currentBoard && (
+        <ArchivePanel
+          board={currentBoard}
+          token={token}
+          columns={columns}
+          canEdit={canEdit}
+          onUnarchived={(task) => setTasks(prevTasks => upsertTask(prevTasks, task))}
+          onClose={() => setShowArchivePanel(false)}
+        />
+      )}
+
+      {/* Profile */}
+      {showProfilePanel && (
+        <ProfilePanel
+          token={token}
+          user={user}
+          onProfileChange={setUser}
+          onAccountDeleted={clearSession}
+          onClose={() => setShowProfilePanel(false)}
+        />
+      )}
+
+      {/* Notification Settings */}
+      {showNotificationSettings && (
+        <NotificationSettingsPanel
+          token={token}
+          settings={userSettings}
+          onSettingsChange={setUserSettings}
+          onClose={() => setShowNotificationSettings(false)}
+        />
+      )}
+
+      {/* API Tokens */}
+      {showApiTokensPanel && (
+        <ApiTokensPanel
+          token={token}
+          onClose={() => setShowApiTokensPanel(false)}
+        />
+      )}
+
+      {/* Trash Panel */}
+      {showTrashPanel && currentBoard && (
+        <TrashPanel
+          board={currentBoard}
+          token={token}
+          canEdit={canEdit}
+          onRestored={(task) => setTasks(prevTasks => upsertTask(prevTasks, task))}
+          onClose={() => setShowTrashPanel(false)}
+        />
+      )}
+
+      {/* Members Panel */}
+      {showMembersPanel && currentBoard && (
+        <MembersPanel
+          board={currentBoard}
+          currentUser={user}
+          token={token}
+          members={members}
+          onMembersChange={setMembers}
+          onMemberRemoved={handleMemberRemoved}
+          onLeave={() => handleLeaveBoard(currentBoard)}
+          onClose={() => setShowMembersPanel(false)}
+        />
+      )}
+
+      {/* Board Modal */}
+      {boardModal && (
+        <BoardModal
+          board={boardModal.board}
+          onSubmit={handleBoardSubmit}
+          onClose={() => setBoardModal(null)}
+        />
+      )}
+
+      {/* Undo Delete Toast */}
+      {undoDeleteTask && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center px-4 py-3 bg-gray-900 text-white text-sm rounded-lg shadow-lg">
+          <span className="max-w-xs truncate">
+            « {undoDeleteTask.title} » a été placée dans la corbeille.
+          </span>
+          <button
+            onClick={handleUndoDelete}
+            className="ml-4 font-medium text-blue-300 hover:text-blue-100 transition-colors duration-200"
+          >
+            Annuler
+          </button>
+          <button
+            onClick={() => setUndoDeleteTask(null)}
+            className="ml-3 text-gray-400 hover:text-white transition-colors duration-200"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
-// --- Task Modal Component ---
-const TaskModal = ({ task, taskForm, setTaskForm, onSubmit, onClose }) => {
-  const isEditing = !!task;
+// --- Board Switcher Component ---
+const BoardSwitcher = ({ boards, currentBoard, onSelect, onCreate, onRename, onToggleArchive, onDelete, onShowMembers, onShowLabels, onShowTrash }) => {
+  const isOwner = currentBoard?.role === 'owner';
+  const activeBoards = boards.filter(b => !b.is_archived);
+  const archivedBoards = boards.filter(b => b.is_archived);
 
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg transform transition-all duration-300 scale-100">
-        <div className="p-6 border-b border-gray-200">
-          <div className="flex items-center justify-between">
-            <h2 className="text-xl font-semibold text-gray-900">
-              {isEditing ? 'Modifier la tâche' : 'Nouvelle tâche'}
-            </h2>
-            <button
-              onClick={onClose}
-              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
-            >
-              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-              </svg>
-            </button>
-          </div>
-        </div>
+    <div className="flex items-center space-x-1">
+      <select
+        value={currentBoard?.id || ''}
+        onChange={(e) => onSelect(Number(e.target.value))}
+        className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+      >
+        {!currentBoard && <option value="">Aucun tableau</option>}
+        {activeBoards.map(board => (
+          <option key={board.id} value={board.id}>{board.name}</option>
+        ))}
+        {archivedBoards.length > 0 && (
+          <optgroup label="Archivés">
+            {archivedBoards.map(board => (
+              <option key={board.id} value={board.id}>{board.name}</option>
+            ))}
+          </optgroup>
+        )}
+      </select>
 
-        <form onSubmit={onSubmit} className="p-6 space-y-6">
-          {/* Title */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Titre *
-            </label>
-            <input
-              type="text"
-              value={taskForm.title}
-              onChange={(e) => setTaskForm(prev => ({ ...prev, title: e.target.value }))}
-              required
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-              placeholder="Titre de la tâche"
-            />
-          </div>
+      <button
+        onClick={onCreate}
+        title="Nouveau tableau"
+        className="text-gray-400 hover:text-blue-500 transition-colors duration-200 p-2"
+      >
+        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+        </svg>
+      </button>
 
-          {/* Description */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Description
-            </label>
-            <textarea
-              value={taskForm.description}
-              onChange={(e) => setTaskForm(prev => ({ ...prev, description: e.target.value }))}
-              rows={3}
-              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 resize-none"
-              placeholder="Description optionnelle"
-            />
+      {currentBoard && (
+        <button
+          onClick={onShowMembers}
+          title="Membres du tableau"
+          className="text-gray-400 hover:text-blue-500 transition-colors duration-200 p-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+          </svg>
+        </button>
+      )}
+
+      {currentBoard && (
+        <button
+          onClick={onShowLabels}
+          title="Libellés du tableau"
+          className="text-gray-400 hover:text-blue-500 transition-colors duration-200 p-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+          </svg>
+        </button>
+      )}
+
+      {currentBoard && (
+        <button
+          onClick={onShowTrash}
+          title="Corbeille"
+          className="text-gray-400 hover:text-blue-500 transition-colors duration-200 p-2"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+          </svg>
+        </button>
+      )}
+
+      {isOwner && (
+        <>
+          <button
+            onClick={() => onRename(currentBoard)}
+            title="Renommer le tableau"
+            className="text-gray-400 hover:text-blue-500 transition-colors duration-200 p-2"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+            </svg>
+          </button>
+          <button
+            onClick={() => onToggleArchive(currentBoard)}
+            title={currentBoard.is_archived ? 'Désarchiver le tableau' : 'Archiver le tableau'}
+            className="text-gray-400 hover:text-yellow-600 transition-colors duration-200 p-2"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+            </svg>
+          </button>
+          <button
+            onClick={() => onDelete(currentBoard)}
+            title="Supprimer le tableau"
+            className="text-gray-400 hover:text-red-500 transition-colors duration-200 p-2"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- TaskSearchBar Component ---
+const TaskSearchBar = ({ filters, setFilters, resultCount }) => {
+  const [query, setQuery] = useState(filters.q);
+
+  // Keep the input in sync when the filters are reset from outside ("clear all")
+  useEffect(() => {
+    setQuery(filters.q);
+  }, [filters.q]);
+
+  // Wait for a pause in typing before querying the server
+  useEffect(() => {
+    if (query === filters.q) return;
+    const timeout = setTimeout(() => {
+      setFilters(prevFilters => ({ ...prevFilters, q: query }));
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [query, filters.q, setFilters]);
+
+  const updateFilter = (name, value) => {
+    setFilters(prevFilters => ({ ...prevFilters, [name]: value }));
+  };
+
+  const togglePriority = (priority) => {
+    setFilters(prevFilters => ({
+      ...prevFilters,
+      priorities: prevFilters.priorities.includes(priority)
+        ? prevFilters.priorities.filter(p => p !== priority)
+        : [...prevFilters.priorities, priority]
+    }));
+  };
+
+  const isActive = taskFilterQuery(filters) !== '';
+
+  const chipClasses = (selected) =>
+    `px-3 py-1 text-xs font-medium rounded-full border transition-colors duration-200 ${
+      selected
+        ? 'bg-blue-100 border-blue-300 text-blue-800'
+        : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-100'
+    }`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 pb-3">
+      <div className="relative">
+        <svg className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Rechercher une tâche..."
+          className="pl-9 pr-3 py-1.5 w-64 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+        />
+      </div>
+
+      {Object.entries(priorityLabels).map(([priority, label]) => (
+        <button
+          key={priority}
+          type="button"
+          onClick={() => togglePriority(priority)}
+          className={chipClasses(filters.priorities.includes(priority))}
+        >
+          {label}
+        </button>
+      ))}
+
+      <span className="h-5 border-l border-gray-200" />
+
+      <button
+        type="button"
+        onClick={() => updateFilter('status', filters.status === 'open' ? '' : 'open')}
+        className={chipClasses(filters.status === 'open')}
+      >
+        En cours
+      </button>
+      <button
+        type="button"
+        onClick={() => updateFilter('status', filters.status === 'done' ? '' : 'done')}
+        className={chipClasses(filters.status === 'done')}
+      >
+        Terminées
+      </button>
+      <button
+        type="button"
+        onClick={() => updateFilter('overdue', !filters.overdue)}
+        className={chipClasses(filters.overdue)}
+      >
+        En retard
+      </button>
+
+      <span className="h-5 border-l border-gray-200" />
+
+      <label className="flex items-center text-xs text-gray-600">
+        Échéance du
+        <input
+          type="date"
+          value={filters.due_from}
+          max={filters.due_to || undefined}
+          onChange={(e) => updateFilter('due_from', e.target.value)}
+          className="ml-1 px-2 py-1 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </label>
+      <label className="flex items-center text-xs text-gray-600">
+        au
+        <input
+          type="date"
+          value={filters.due_to}
+          min={filters.due_from || undefined}
+          onChange={(e) => updateFilter('due_to', e.target.value)}
+          className="ml-1 px-2 py-1 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </label>
+
+      {isActive && (
+        <div className="ml-auto flex items-center space-x-3 text-sm">
+          <span className="text-gray-500">
+            {resultCount} résultat{resultCount > 1 ? 's' : ''}
+          </span>
+          <button
+            type="button"
+            onClick={() => setFilters(EMPTY_TASK_FILTERS)}
+            className="text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
+          >
+            Effacer les filtres
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Archive Panel Component ---
+const ArchivePanel = ({ board, token, columns, canEdit, onUnarchived, onClose }) => {
+  const [archivedTasks, setArchivedTasks] = useState([]);
+  const [isLoadingArchive, setIsLoadingArchive] = useState(true);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiCall(`${API_BASE_URL}/api/tasks?board_id=${board.id}&archived=true`, 'GET', null, token)
+      .then(fetchedTasks => {
+        if (cancelled) return;
+        // Most recently archived first
+        setArchivedTasks([...fetchedTasks].sort((a, b) => new Date(b.archived_at) - new Date(a.archived_at)));
+      })
+      .catch(err => {
+        if (!cancelled) setPanelError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingArchive(false);
+      });
+    return () => { cancelled = true; };
+  }, [board.id, token]);
+
+  const handleUnarchive = async (task) => {
+    setPanelError('');
+    try {
+      const unarchivedTask = await apiCall(`${API_BASE_URL}/api/tasks/${task.id}/unarchive`, 'POST', null, token);
+      setArchivedTasks(prev => prev.filter(t => t.id !== task.id));
+      onUnarchived(unarchivedTask);
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  const columnName = (columnId) => columns.find(c => c.id === columnId)?.name;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Archives de « {board.name} »
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {panelError && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+              {panelError}
+            </div>
+          )}
+
+          {isLoadingArchive ? (
+            <p className="text-sm text-gray-500 text-center">Chargement...</p>
+          ) : archivedTasks.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center">Aucune tâche archivée.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {archivedTasks.map(task => (
+                <li key={task.id} className="py-3 flex items-start justify-between">
+                  <div className="min-w-0 mr-4">
+                    <p className="text-sm font-medium text-gray-900 break-words">{task.title}</p>
+                    <p className="text-xs text-gray-500">
+                      Archivée le {formatDateTime(task.archived_at)}
+                      {columnName(task.column_id) && ` · ${columnName(task.column_id)}`}
+                    </p>
+                  </div>
+                  {canEdit && (
+                    <button
+                      onClick={() => handleUnarchive(task)}
+                      className="text-sm text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200 flex-shrink-0"
+                    >
+                      Désarchiver
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Trash Panel Component ---
+const TrashPanel = ({ board, token, canEdit, onRestored, onClose }) => {
+  const [trashedTasks, setTrashedTasks] = useState([]);
+  const [isLoadingTrash, setIsLoadingTrash] = useState(true);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiCall(`${API_BASE_URL}/api/boards/${board.id}/trash`, 'GET', null, token)
+      .then(fetchedTasks => {
+        if (!cancelled) setTrashedTasks(fetchedTasks);
+      })
+      .catch(err => {
+        if (!cancelled) setPanelError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingTrash(false);
+      });
+    return () => { cancelled = true; };
+  }, [board.id, token]);
+
+  const handleRestore = async (task) => {
+    setPanelError('');
+    try {
+      const restoredTask = await apiCall(`${API_BASE_URL}/api/tasks/${task.id}/restore`, 'POST', null, token);
+      setTrashedTasks(prev => prev.filter(t => t.id !== task.id));
+      onRestored(restoredTask);
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  const handleDeletePermanently = async (task) => {
+    if (!window.confirm(`Supprimer définitivement « ${task.title} » ? Cette action est irréversible.`)) return;
+    setPanelError('');
+    try {
+      await apiCall(`${API_BASE_URL}/api/tasks/${task.id}/permanent`, 'DELETE', null, token);
+      setTrashedTasks(prev => prev.filter(t => t.id !== task.id));
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm("Vider la corbeille ? Toutes les tâches qu'elle contient seront définitivement supprimées.")) return;
+    setPanelError('');
+    try {
+      await apiCall(`${API_BASE_URL}/api/boards/${board.id}/trash`, 'DELETE', null, token);
+      setTrashedTasks([]);
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Corbeille de « {board.name} »
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {panelError && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+              {panelError}
+            </div>
+          )}
+
+          {isLoadingTrash ? (
+            <p className="text-sm text-gray-500 text-center">Chargement...</p>
+          ) : trashedTasks.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center">La corbeille est vide.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {trashedTasks.map(task => (
+                <li key={task.id} className="py-3 flex items-start justify-between">
+                  <div className="min-w-0 mr-4">
+                    <p className="text-sm font-medium text-gray-900 break-words">{task.title}</p>
+                    <p className="text-xs text-gray-500">
+                      Supprimée le {formatDateTime(task.deleted_at)}
+                      {task.deleted_by_user && ` par ${task.deleted_by_user.email}`}
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      Suppression définitive le {formatDate(task.purge_at)}
+                    </p>
+                  </div>
+                  {canEdit && (
+                    <div className="flex items-center space-x-2 text-sm flex-shrink-0">
+                      <button
+                        onClick={() => handleRestore(task)}
+                        className="text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
+                      >
+                        Restaurer
+                      </button>
+                      <button
+                        onClick={() => handleDeletePermanently(task)}
+                        title="Supprimer définitivement"
+                        className="text-gray-400 hover:text-red-500 transition-colors duration-200 p-1"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                        </svg>
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {canEdit && trashedTasks.length > 0 && (
+            <div className="flex justify-end pt-4 border-t border-gray-200">
+              <button
+                onClick={handleEmptyTrash}
+                className="px-4 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-200"
+              >
+                Vider la corbeille
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Labels ---
+const labelColors = ['gray', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'indigo', 'purple', 'pink'];
+
+const labelChipClasses = {
+  gray: 'bg-gray-100 text-gray-800',
+  red: 'bg-red-100 text-red-800',
+  orange: 'bg-orange-100 text-orange-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  green: 'bg-green-100 text-green-800',
+  teal: 'bg-teal-100 text-teal-800',
+  blue: 'bg-blue-100 text-blue-800',
+  indigo: 'bg-indigo-100 text-indigo-800',
+  purple: 'bg-purple-100 text-purple-800',
+  pink: 'bg-pink-100 text-pink-800'
+};
+
+const labelSwatchClasses = {
+  gray: 'bg-gray-400',
+  red: 'bg-red-500',
+  orange: 'bg-orange-500',
+  yellow: 'bg-yellow-400',
+  green: 'bg-green-500',
+  teal: 'bg-teal-500',
+  blue: 'bg-blue-500',
+  indigo: 'bg-indigo-500',
+  purple: 'bg-purple-500',
+  pink: 'bg-pink-500'
+};
+
+const LabelChip = ({ label }) => (
+  <span className={`inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full ${labelChipClasses[label.color] || labelChipClasses.gray}`}>
+    {label.name}
+  </span>
+);
+
+// --- Labels Panel Component ---
+const LabelsPanel = ({ board, token, labels, canEdit, onLabelCreated, onLabelUpdated, onLabelDeleted, onClose }) => {
+  const [newLabel, setNewLabel] = useState({ name: '', color: 'blue' });
+  const [editingLabel, setEditingLabel] = useState(null);
+  const [panelError, setPanelError] = useState('');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newLabel.name.trim()) return;
+    setPanelError('');
+    try {
+      const label = await apiCall(
+        `${API_BASE_URL}/api/boards/${board.id}/labels`,
+        'POST',
+        { name: newLabel.name.trim(), color: newLabel.color },
+        token
+      );
+      onLabelCreated(label);
+      setNewLabel(prev => ({ ...prev, name: '' }));
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    if (!editingLabel.name.trim()) return;
+    setPanelError('');
+    try {
+      const label = await apiCall(
+        `${API_BASE_URL}/api/boards/${board.id}/labels/${editingLabel.id}`,
+        'PUT',
+        { name: editingLabel.name.trim(), color: editingLabel.color },
+        token
+      );
+      onLabelUpdated(label);
+      setEditingLabel(null);
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  const handleDelete = async (label) => {
+    if (!window.confirm(`Supprimer le libellé « ${label.name} » ? Il sera retiré de toutes les cartes.`)) return;
+    setPanelError('');
+    try {
+      await apiCall(`${API_BASE_URL}/api/boards/${board.id}/labels/${label.id}`, 'DELETE', null, token);
+      onLabelDeleted(label.id);
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  const colorPicker = (selectedColor, onSelect) => (
+    <div className="flex flex-wrap gap-1">
+      {labelColors.map(color => (
+        <button
+          key={color}
+          type="button"
+          onClick={() => onSelect(color)}
+          title={color}
+          className={`w-6 h-6 rounded-full ${labelSwatchClasses[color]} ${
+            selectedColor === color ? 'ring-2 ring-offset-2 ring-gray-700' : ''
+          }`}
+        />
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Libellés de « {board.name} »
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {panelError && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+              {panelError}
+            </div>
+          )}
+
+          {labels.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center">Aucun libellé sur ce tableau.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {labels.map(label => (
+                <li key={label.id} className="py-3">
+                  {editingLabel?.id === label.id ? (
+                    <form onSubmit={handleUpdate} className="space-y-3">
+                      <input
+                        type="text"
+                        value={editingLabel.name}
+                        onChange={(e) => setEditingLabel(prev => ({ ...prev, name: e.target.value }))}
+                        maxLength={50}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                      />
+                      {colorPicker(editingLabel.color, (color) => setEditingLabel(prev => ({ ...prev, color })))}
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => setEditingLabel(null)}
+                          className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors duration-200"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          type="submit"
+                          disabled={!editingLabel.name.trim()}
+                          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Enregistrer
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <div className="flex items-center justify-between">
+                      <LabelChip label={label} />
+                      {canEdit && (
+                        <div className="flex items-center space-x-1">
+                          <button
+                            onClick={() => setEditingLabel({ id: label.id, name: label.name, color: label.color })}
+                            title="Modifier"
+                            className="text-gray-400 hover:text-blue-500 transition-colors duration-200 p-1"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                            </svg>
+                          </button>
+                          <button
+                            onClick={() => handleDelete(label)}
+                            title="Supprimer"
+                            className="text-gray-400 hover:text-red-500 transition-colors duration-200 p-1"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {canEdit && (
+            <form onSubmit={handleCreate} className="space-y-3 pt-4 border-t border-gray-200">
+              <label className="block text-sm font-medium text-gray-700">
+                Nouveau libellé
+              </label>
+              <input
+                type="text"
+                value={newLabel.name}
+                onChange={(e) => setNewLabel(prev => ({ ...prev, name: e.target.value }))}
+                maxLength={50}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                placeholder="Nom du libellé"
+              />
+              {colorPicker(newLabel.color, (color) => setNewLabel(prev => ({ ...prev, color })))}
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={!newLabel.name.trim()}
+                  className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Créer
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Members Panel Component ---
+const roleLabels = {
+  owner: 'Propriétaire',
+  editor: 'Éditeur',
+  viewer: 'Lecteur'
+};
+
+const MembersPanel = ({ board, currentUser, token, members, onMembersChange, onMemberRemoved, onLeave, onClose }) => {
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [panelError, setPanelError] = useState('');
+  const isOwner = board.role === 'owner';
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmail.trim()) return;
+    setPanelError('');
+    try {
+      const member = await apiCall(
+        `${API_BASE_URL}/api/boards/${board.id}/members`,
+        'POST',
+        { email: inviteEmail.trim(), role: inviteRole },
+        token
+      );
+      onMembersChange(prev => [...prev, member]);
+      setInviteEmail('');
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    setPanelError('');
+    try {
+      const updatedMember = await apiCall(
+        `${API_BASE_URL}/api/boards/${board.id}/members/${member.user_id}`,
+        'PUT',
+        { role },
+        token
+      );
+      onMembersChange(prev => prev.map(m => (m.user_id === updatedMember.user_id ? updatedMember : m)));
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const isSelf = member.user_id === currentUser?.id;
+    const message = isSelf
+      ? `Quitter le tableau « ${board.name} » ?`
+      : `Retirer ${member.email} du tableau ?`;
+    if (!window.confirm(message)) return;
+    setPanelError('');
+    try {
+      await apiCall(`${API_BASE_URL}/api/boards/${board.id}/members/${member.user_id}`, 'DELETE', null, token);
+      if (isSelf) {
+        onLeave();
+        return;
+      }
+      onMemberRemoved(member.user_id);
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Membres de « {board.name} »
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {panelError && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+              {panelError}
+            </div>
+          )}
+
+          <ul className="divide-y divide-gray-200">
+            {members.map(member => {
+              const isSelf = member.user_id === currentUser?.id;
+              return (
+                <li key={member.user_id} className="flex items-center justify-between py-3">
+                  <span className="flex items-center text-gray-900 truncate pr-2">
+                    <UserAvatar person={{ id: member.user_id, email: member.email }} />
+                    <span className="ml-2 truncate">{member.email}</span>
+                    {isSelf && <span className="ml-1 text-gray-500">(vous)</span>}
+                  </span>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    {isOwner ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      >
+                        {Object.entries(roleLabels).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="text-sm text-gray-600">{roleLabels[member.role]}</span>
+                    )}
+                    {(isOwner || isSelf) && (
+                      <button
+                        onClick={() => handleRemove(member)}
+                        title={isSelf ? 'Quitter le tableau' : 'Retirer du tableau'}
+                        className="text-gray-400 hover:text-red-500 transition-colors duration-200 p-1"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+
+          {isOwner && (
+            <form onSubmit={handleInvite} className="flex items-center space-x-2">
+              <input
+                type="email"
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                placeholder="Email d'un compte existant"
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              />
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="px-2 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="editor">{roleLabels.editor}</option>
+                <option value="viewer">{roleLabels.viewer}</option>
+                <option value="owner">{roleLabels.owner}</option>
+              </select>
+              <button
+                type="submit"
+                disabled={!inviteEmail.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Inviter
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Board Modal Component ---
+const BoardModal = ({ board, onSubmit, onClose }) => {
+  const [name, setName] = useState(board?.name || '');
+  const isEditing = !!board;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSubmit(name.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {isEditing ? 'Renommer le tableau' : 'Nouveau tableau'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Nom *
+            </label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              required
+              autoFocus
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              placeholder="Nom du tableau"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors duration-200"
+            >
+              Annuler
+            </button>
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isEditing ? 'Renommer' : 'Créer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// --- Task Modal Component ---
+const TaskModal = ({ task, taskForm, setTaskForm, members, labels, token, currentUser, conflict, onResolveConflict, onChecklistChange, onCommentCountChange, onSubmit, onClose }) => {
+  const isEditing = !!task;
+  const [activeTab, setActiveTab] = useState('details');
+  const [commentCount, setCommentCount] = useState(task?.comment_count || 0);
+
+  const handleCommentCountChange = (taskId, count) => {
+    setCommentCount(count);
+    onCommentCountChange(taskId, count);
+  };
+
+  const toggleAssignee = (userId) => {
+    setTaskForm(prev => ({
+      ...prev,
+      assignee_ids: prev.assignee_ids.includes(userId)
+        ? prev.assignee_ids.filter(id => id !== userId)
+        : [...prev.assignee_ids, userId]
+    }));
+  };
+
+  const toggleLabel = (labelId) => {
+    setTaskForm(prev => ({
+      ...prev,
+      label_ids: prev.label_ids.includes(labelId)
+        ? prev.label_ids.filter(id => id !== labelId)
+        : [...prev.label_ids, labelId]
+    }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {isEditing ? 'Modifier la tâche' : 'Nouvelle tâche'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+
+          {isEditing && (
+            <div className="flex space-x-4 mt-4 -mb-6">
+              {[
+                { id: 'details', label: 'Détails' },
+                { id: 'comments', label: `Commentaires (${commentCount})` },
+                { id: 'history', label: 'Historique' }
+              ].map(tab => (
+                <button
+                  key={tab.id}
+                  type="button"
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`pb-3 text-sm font-medium border-b-2 transition-colors duration-200 ${
+                    activeTab === tab.id
+                      ? 'border-blue-600 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {activeTab === 'comments' && (
+          <TaskComments
+            task={task}
+            token={token}
+            currentUser={currentUser}
+            onCountChange={handleCommentCountChange}
+          />
+        )}
+
+        {activeTab === 'history' && (
+          <TaskActivity task={task} token={token} />
+        )}
+
+        {/* Kept mounted while another tab is shown so unsaved edits survive */}
+        <form onSubmit={onSubmit} className={`p-6 space-y-6 ${activeTab === 'details' ? '' : 'hidden'}`}>
+          {conflict && (
+            <TaskConflictNotice
+              conflict={conflict}
+              taskForm={taskForm}
+              onResolve={onResolveConflict}
+            />
+          )}
+
+          {/* Title */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Titre *
+            </label>
+            <input
+              type="text"
+              value={taskForm.title}
+              onChange={(e) => setTaskForm(prev => ({ ...prev, title: e.target.value }))}
+              required
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              placeholder="Titre de la tâche"
+            />
+          </div>
+
+          {/* Description */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Description
+            </label>
+            <textarea
+              value={taskForm.description}
+              onChange={(e) => setTaskForm(prev => ({ ...prev, description: e.target.value }))}
+              rows={3}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 resize-none"
+              placeholder="Description optionnelle"
+            />
+          </div>
+
+          {/* Priority and Dates Row */}
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {/* Priority */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Priorité
+              </label>
+              <select
+                value={taskForm.priority}
+                onChange={(e) => setTaskForm(prev => ({ ...prev, priority: e.target.value }))}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              >
+                <option value="low">Faible</option>
+                <option value="medium">Moyenne</option>
+                <option value="high">Élevée</option>
+              </select>
+            </div>
+
+            {/* Due Date */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Échéance
+              </label>
+              <input
+                type="date"
+                value={taskForm.due_date}
+                onChange={(e) => setTaskForm(prev => ({ ...prev, due_date: e.target.value }))}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              />
+            </div>
+
+            {/* Reminder Date */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Rappel
+              </label>
+              <input
+                type="datetime-local"
+                value={taskForm.reminder_date}
+                onChange={(e) => setTaskForm(prev => ({ ...prev, reminder_date: e.target.value }))}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              />
+            </div>
+          </div>
+
+          {/* Recurrence */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Récurrence
+            </label>
+            <RecurrenceEditor
+              value={taskForm.recurrence_rule}
+              onChange={(rule) => setTaskForm(prev => ({ ...prev, recurrence_rule: rule }))}
+            />
+          </div>
+
+          {/* Assignees */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Assignés
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {members.map(member => {
+                const selected = taskForm.assignee_ids.includes(member.user_id);
+                return (
+                  <button
+                    key={member.user_id}
+                    type="button"
+                    onClick={() => toggleAssignee(member.user_id)}
+                    className={`flex items-center pl-1 pr-3 py-1 rounded-full border text-sm transition-colors duration-200 ${
+                      selected
+                        ? 'bg-blue-50 border-blue-400 text-blue-700'
+                        : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    <UserAvatar person={{ id: member.user_id, email: member.email }} />
+                    <span className="ml-2">{member.email}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Labels */}
+          {labels.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Libellés
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {labels.map(label => {
+                  const selected = taskForm.label_ids.includes(label.id);
+                  return (
+                    <button
+                      key={label.id}
+                      type="button"
+                      onClick={() => toggleLabel(label.id)}
+                      className={`rounded-full transition-all duration-200 ${
+                        selected ? 'ring-2 ring-offset-1 ring-blue-500' : 'opacity-50 hover:opacity-100'
+                      }`}
+                    >
+                      <LabelChip label={label} />
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Checklist (saved immediately, independently of the form) */}
+          {isEditing && (
+            <TaskChecklist task={task} token={token} onChange={onChecklistChange} />
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex justify-end space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors duration-200"
+            >
+              Annuler
+            </button>
+            <button
+              type="submit"
+              disabled={!taskForm.title.trim() || !!conflict}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isEditing ? 'Modifier' : 'Créer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// --- Task Checklist Component ---
+const TaskChecklist = ({ task, token, onChange }) => {
+  const [items, setItems] = useState([]);
+  const [newItemTitle, setNewItemTitle] = useState('');
+  const [checklistError, setChecklistError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiCall(`${API_BASE_URL}/api/tasks/${task.id}/checklist`, 'GET', null, token)
+      .then(fetchedItems => {
+        if (!cancelled) setItems(fetchedItems);
+      })
+      .catch(err => {
+        if (!cancelled) setChecklistError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [task.id, token]);
+
+  const updateItems = (nextItems) => {
+    setItems(nextItems);
+    onChange(task.id, nextItems);
+  };
+
+  const handleAdd = async () => {
+    if (!newItemTitle.trim()) return;
+    setChecklistError('');
+    try {
+      const item = await apiCall(
+        `${API_BASE_URL}/api/tasks/${task.id}/checklist`,
+        'POST',
+        { title: newItemTitle.trim() },
+        token
+      );
+      updateItems([...items, item]);
+      setNewItemTitle('');
+    } catch (err) {
+      setChecklistError(err.message);
+    }
+  };
+
+  const handleToggle = async (item) => {
+    setChecklistError('');
+    try {
+      const updatedItem = await apiCall(
+        `${API_BASE_URL}/api/tasks/${task.id}/checklist/${item.id}`,
+        'PATCH',
+        { is_done: !item.is_done },
+        token
+      );
+      updateItems(items.map(i => (i.id === updatedItem.id ? updatedItem : i)));
+    } catch (err) {
+      setChecklistError(err.message);
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const targetIndex = index + direction;
+    if (targetIndex < 0 || targetIndex >= items.length) return;
+    const reordered = [...items];
+    [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+    setChecklistError('');
+    try {
+      const savedItems = await apiCall(
+        `${API_BASE_URL}/api/tasks/${task.id}/checklist/order`,
+        'PUT',
+        { item_ids: reordered.map(i => i.id) },
+        token
+      );
+      updateItems(savedItems);
+    } catch (err) {
+      setChecklistError(err.message);
+    }
+  };
+
+  const handleDelete = async (item) => {
+    setChecklistError('');
+    try {
+      await apiCall(`${API_BASE_URL}/api/tasks/${task.id}/checklist/${item.id}`, 'DELETE', null, token);
+      updateItems(items.filter(i => i.id !== item.id));
+    } catch (err) {
+      setChecklistError(err.message);
+    }
+  };
+
+  const doneCount = items.filter(i => i.is_done).length;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Checklist
+        </label>
+        {items.length > 0 && (
+          <span className="text-xs text-gray-500">{doneCount}/{items.length}</span>
+        )}
+      </div>
+
+      {checklistError && (
+        <p className="mb-2 text-sm text-red-600">{checklistError}</p>
+      )}
+
+      <ul className="space-y-1 mb-2">
+        {items.map((item, index) => (
+          <li key={item.id} className="flex items-center group">
+            <input
+              type="checkbox"
+              checked={item.is_done}
+              onChange={() => handleToggle(item)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <span className={`ml-2 flex-1 text-sm ${item.is_done ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+              {item.title}
+            </span>
+            <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+              <button
+                type="button"
+                onClick={() => handleMove(index, -1)}
+                disabled={index === 0}
+                className="text-gray-400 hover:text-gray-600 p-1 disabled:opacity-30"
+                title="Monter"
+              >
+                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                </svg>
+              </button>
+              <button
+                type="button"
+                onClick={() => handleMove(index, 1)}
+                disabled={index === items.length - 1}
+                className="text-gray-400 hover:text-gray-600 p-1 disabled:opacity-30"
+                title="Descendre"
+              >
+                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDelete(item)}
+                className="text-gray-400 hover:text-red-500 p-1"
+                title="Supprimer"
+              >
+                <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={newItemTitle}
+          onChange={(e) => setNewItemTitle(e.target.value)}
+          onKeyDown={(e) => {
+            // The checklist lives inside the task form: Enter adds an item instead of submitting
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+          placeholder="Ajouter un élément"
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={!newItemTitle.trim()}
+          className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Ajouter
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- Task Comments Component ---
+const TaskComments = ({ task, token, currentUser, onCountChange }) => {
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState('');
+  const [editingComment, setEditingComment] = useState(null);
+  const [commentsError, setCommentsError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiCall(`${API_BASE_URL}/api/tasks/${task.id}/comments`, 'GET', null, token)
+      .then(fetchedComments => {
+        if (!cancelled) setComments(fetchedComments);
+      })
+      .catch(err => {
+        if (!cancelled) setCommentsError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [task.id, token]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim()) return;
+    setCommentsError('');
+    try {
+      const comment = await apiCall(
+        `${API_BASE_URL}/api/tasks/${task.id}/comments`,
+        'POST',
+        { body: newComment.trim() },
+        token
+      );
+      setComments(prev => [...prev, comment]);
+      onCountChange(task.id, comments.length + 1);
+      setNewComment('');
+    } catch (err) {
+      setCommentsError(err.message);
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (!editingComment.body.trim()) return;
+    setCommentsError('');
+    try {
+      const updatedComment = await apiCall(
+        `${API_BASE_URL}/api/tasks/${task.id}/comments/${editingComment.id}`,
+        'PATCH',
+        { body: editingComment.body.trim() },
+        token
+      );
+      setComments(prev => prev.map(c => (c.id === updatedComment.id ? updatedComment : c)));
+      setEditingComment(null);
+    } catch (err) {
+      setCommentsError(err.message);
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm("Supprimer ce commentaire ?")) return;
+    setCommentsError('');
+    try {
+      await apiCall(`${API_BASE_URL}/api/tasks/${task.id}/comments/${comment.id}`, 'DELETE', null, token);
+      setComments(prev => prev.filter(c => c.id !== comment.id));
+      onCountChange(task.id, comments.length - 1);
+    } catch (err) {
+      setCommentsError(err.message);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-4">
+      {commentsError && (
+        <p className="text-sm text-red-600">{commentsError}</p>
+      )}
+
+      {comments.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">Aucun commentaire pour le moment.</p>
+      ) : (
+        <ul className="space-y-4">
+          {comments.map(comment => {
+            const isAuthor = comment.author?.id === currentUser?.id;
+            const isEdited = comment.updated_at && comment.updated_at !== comment.created_at;
+            return (
+              <li key={comment.id} className="flex items-start">
+                <UserAvatar person={comment.author || { id: 0, email: '?' }} />
+                <div className="ml-3 flex-1 min-w-0">
+                  <div className="flex items-center justify-between">
+                    <div className="text-xs text-gray-500">
+                      <span className="font-medium text-gray-700">
+                        {comment.author ? comment.author.email : 'Utilisateur supprimé'}
+                      </span>
+                      {' · '}{formatDateTime(comment.created_at)}
+                      {isEdited && ' (modifié)'}
+                    </div>
+                    {isAuthor && editingComment?.id !== comment.id && (
+                      <div className="flex items-center space-x-2 text-xs">
+                        <button
+                          type="button"
+                          onClick={() => setEditingComment({ id: comment.id, body: comment.body })}
+                          className="text-gray-400 hover:text-blue-500 transition-colors duration-200"
+                        >
+                          Modifier
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(comment)}
+                          className="text-gray-400 hover:text-red-500 transition-colors duration-200"
+                        >
+                          Supprimer
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  {editingComment?.id === comment.id ? (
+                    <form onSubmit={handleSaveEdit} className="mt-1 space-y-2">
+                      <textarea
+                        value={editingComment.body}
+                        onChange={(e) => setEditingComment(prev => ({ ...prev, body: e.target.value }))}
+                        rows={2}
+                        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 resize-none"
+                      />
+                      <div className="flex justify-end space-x-2">
+                        <button
+                          type="button"
+                          onClick={() => setEditingComment(null)}
+                          className="px-3 py-1 text-sm text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors duration-200"
+                        >
+                          Annuler
+                        </button>
+                        <button
+                          type="submit"
+                          disabled={!editingComment.body.trim()}
+                          className="px-3 py-1 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Enregistrer
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <p className="mt-1 text-sm text-gray-800 whitespace-pre-wrap break-words">{comment.body}</p>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="space-y-2 pt-2 border-t border-gray-200">
+        <textarea
+          value={newComment}
+          onChange={(e) => setNewComment(e.target.value)}
+          rows={3}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 resize-none"
+          placeholder="Écrire un commentaire..."
+        />
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={!newComment.trim()}
+            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Commenter
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// --- Task Activity Component ---
+const ACTIVITY_PAGE_SIZE = 30;
+
+const activityFieldLabels = {
+  title: 'Titre',
+  description: 'Description',
+  column: 'Colonne',
+  priority: 'Priorité',
+  due_date: 'Échéance',
+  reminder_date: 'Rappel',
+  recurrence_rule: 'Récurrence',
+  assignees: 'Assignés',
+  labels: 'Libellés'
+};
+
+// Human-readable value of a field recorded in the activity log
+const formatActivityValue = (field, value) => {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return '—';
+  switch (field) {
+    case 'column': return value.name;
+    case 'priority': return priorityLabels[value] || value;
+    case 'due_date': return formatDate(value);
+    case 'reminder_date': return formatDateTime(value);
+    case 'recurrence_rule': return describeRecurrence(value);
+    case 'assignees': return value.map(a => a.email).join(', ');
+    case 'labels': return value.map(l => l.name).join(', ');
+    default: return value;
+  }
+};
+
+const describeActivity = (entry) => {
+  switch (entry.action) {
+    case 'created': return 'a créé la tâche';
+    case 'deleted': return 'a placé la tâche dans la corbeille';
+    case 'restored': return 'a restauré la tâche';
+    case 'purged': return 'a supprimé définitivement la tâche';
+    case 'archived': return 'a archivé la tâche';
+    case 'unarchived': return 'a désarchivé la tâche';
+    case 'moved': {
+      const { from, to } = entry.changes.column;
+      return `a déplacé la tâche de « ${from?.name ?? '—'} » vers « ${to?.name ?? '—'} »`;
+    }
+    default: return 'a modifié la tâche';
+  }
+};
+
+const TaskActivity = ({ task, token }) => {
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [activityError, setActivityError] = useState('');
+
+  const fetchPage = (before) => {
+    const cursor = before ? `&before=${before}` : '';
+    return apiCall(`${API_BASE_URL}/api/tasks/${task.id}/activity?limit=${ACTIVITY_PAGE_SIZE}${cursor}`, 'GET', null, token);
+  };
+
+  // Reloaded whenever the task changes so the latest edit shows up
+  useEffect(() => {
+    let cancelled = false;
+    apiCall(`${API_BASE_URL}/api/tasks/${task.id}/activity?limit=${ACTIVITY_PAGE_SIZE}`, 'GET', null, token)
+      .then(fetchedEntries => {
+        if (cancelled) return;
+        setEntries(fetchedEntries);
+        setHasMore(fetchedEntries.length === ACTIVITY_PAGE_SIZE);
+      })
+      .catch(err => {
+        if (!cancelled) setActivityError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [task.id, task.version, token]);
+
+  const handleLoadMore = async () => {
+    setActivityError('');
+    try {
+      const olderEntries = await fetchPage(entries[entries.length - 1].id);
+      setEntries(prev => [...prev, ...olderEntries]);
+      setHasMore(olderEntries.length === ACTIVITY_PAGE_SIZE);
+    } catch (err) {
+      setActivityError(err.message);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-4">
+      {activityError && (
+        <p className="text-sm text-red-600">{activityError}</p>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">Aucun historique pour le moment.</p>
+      ) : (
+        <ul className="space-y-4">
+          {entries.map(entry => (
+            <li key={entry.id} className="flex items-start">
+              <UserAvatar person={entry.actor || { id: 0, email: '?' }} />
+              <div className="ml-3 flex-1 min-w-0">
+                {!entry.actor && entry.action === 'archived' ? (
+                  <p className="text-sm text-gray-800">Tâche archivée automatiquement</p>
+                ) : (
+                  <p className="text-sm text-gray-800">
+                    <span className="font-medium">
+                      {entry.actor ? entry.actor.email : 'Utilisateur supprimé'}
+                    </span>
+                    {' '}{describeActivity(entry)}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500">{formatDateTime(entry.created_at)}</p>
+                {entry.action === 'updated' && (
+                  <ul className="mt-1 space-y-0.5 text-xs text-gray-600">
+                    {Object.entries(entry.changes).map(([field, { from, to }]) => (
+                      <li key={field} className="break-words">
+                        <span className="font-medium text-gray-700">{activityFieldLabels[field] || field}</span>
+                        {field === 'description'
+                          ? ' modifiée'
+                          : <> : {formatActivityValue(field, from)} → {formatActivityValue(field, to)}</>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasMore && (
+        <div className="text-center">
+          <button
+            type="button"
+            onClick={handleLoadMore}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
+          >
+            Voir plus
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Recurrence Editor Component ---
+const RecurrenceEditor = ({ value, onChange }) => {
+  const recurrence = parseRecurrence(value);
+  const update = (changes) => onChange(buildRecurrence({ ...recurrence, ...changes }));
+
+  const toggleDay = (code) => {
+    update({
+      byDay: recurrence.byDay.includes(code)
+        ? recurrence.byDay.filter(day => day !== code)
+        : [...recurrence.byDay, code]
+    });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-4">
+        <select
+          value={recurrence.freq}
+          onChange={(e) => update({ freq: e.target.value, byDay: [] })}
+          className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+        >
+          <option value="">Aucune</option>
+          {Object.entries(recurrenceFrequencies).map(([freq, { every }]) => (
+            <option key={freq} value={freq}>{every}</option>
+          ))}
+        </select>
+        {recurrence.freq && (
+          <label className="flex items-center text-sm text-gray-600">
+            Tous les
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={recurrence.interval}
+              onChange={(e) => update({ interval: Math.min(365, Math.max(1, Number(e.target.value) || 1)) })}
+              className="mx-2 w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            {recurrenceFrequencies[recurrence.freq].unit}
+          </label>
+        )}
+      </div>
+
+      {recurrence.freq === 'WEEKLY' && (
+        <div className="flex items-center space-x-1">
+          {recurrenceWeekdays.map(day => (
+            <button
+              key={day.code}
+              type="button"
+              title={day.label}
+              onClick={() => toggleDay(day.code)}
+              className={`w-8 h-8 text-xs font-medium rounded-full transition-colors duration-200 ${
+                recurrence.byDay.includes(day.code)
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {day.initial}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {recurrence.freq && (
+        <>
+          <label className="flex items-center text-sm text-gray-600">
+            Jusqu'au
+            <input
+              type="date"
+              value={recurrence.until}
+              onChange={(e) => update({ until: e.target.value })}
+              className="ml-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </label>
+          <p className="text-xs text-gray-500">
+            Quand la tâche est terminée, la prochaine occurrence est créée avec des dates décalées.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+// --- Task Conflict Notice Component ---
+// Shown in the task modal when the task was changed by someone else while it was being edited
+const TaskConflictNotice = ({ conflict, taskForm, onResolve }) => {
+  const current = taskToForm(conflict);
+
+  const fields = [
+    { key: 'title', label: 'Titre', display: current.title },
+    { key: 'description', label: 'Description', display: current.description || '—' },
+    { key: 'priority', label: 'Priorité', display: priorityLabels[current.priority] },
+    { key: 'due_date', label: 'Échéance', display: formatDate(conflict.due_date) || '—' },
+    { key: 'reminder_date', label: 'Rappel', display: formatDateTime(conflict.reminder_date) || '—' },
+    { key: 'recurrence_rule', label: 'Récurrence', display: describeRecurrence(conflict.recurrence_rule) || '—' },
+    {
+      key: 'assignee_ids',
+      label: 'Assignés',
+      display: (conflict.assignees || []).map(a => a.email).join(', ') || '—',
+      differs: !sameIds(current.assignee_ids, taskForm.assignee_ids)
+    },
+    {
+      key: 'label_ids',
+      label: 'Libellés',
+      display: (conflict.labels || []).map(l => l.name).join(', ') || '—',
+      differs: !sameIds(current.label_ids, taskForm.label_ids)
+    }
+  ];
+  const changedFields = fields.filter(field =>
+    field.differs !== undefined ? field.differs : current[field.key] !== taskForm[field.key]
+  );
+
+  return (
+    <div className="p-4 bg-amber-50 border border-amber-300 rounded-lg text-sm text-amber-900">
+      <p className="font-medium">
+        Cette tâche a été modifiée par quelqu'un d'autre pendant que vous l'éditiez.
+      </p>
+      {changedFields.length > 0 ? (
+        <ul className="mt-2 space-y-1">
+          {changedFields.map(field => (
+            <li key={field.key}>
+              <span className="font-medium">{field.label} :</span> {field.display}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-2">Les champs que vous modifiez n'ont pas changé.</p>
+      )}
+      <div className="flex flex-wrap gap-2 mt-4">
+        <button
+          type="button"
+          onClick={() => onResolve(true)}
+          className="px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 transition-colors duration-200"
+        >
+          Conserver mes modifications
+        </button>
+        <button
+          type="button"
+          onClick={() => onResolve(false)}
+          className="px-4 py-2 bg-white text-amber-900 border border-amber-300 rounded-lg hover:bg-amber-100 transition-colors duration-200"
+        >
+          Reprendre la version actuelle
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- Push notifications ---
+const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// The VAPID public key is base64url encoded; PushManager.subscribe() expects the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+const notificationTypeOptions = [
+  { key: 'notify_reminders', label: 'Rappels' },
+  { key: 'notify_overdue', label: 'Tâches en retard' },
+  { key: 'notify_due_soon', label: 'Échéances proches (dans l\'application)' }
+];
+
+const notificationChannelOptions = [
+  { key: 'channel_in_app', label: "Dans l'application" },
+  { key: 'channel_email', label: 'Par email (rappels)' },
+  { key: 'channel_push', label: 'Notifications push (rappels et retards)' }
+];
+
+const dueSoonWindowOptions = [6, 12, 24, 48, 72, 168];
+
+const apiTokenScopeOptions = [
+  { value: 'read', label: 'Lecture seule' },
+  { value: 'write', label: 'Lecture et écriture' }
+];
+
+// Validity of a new API token in days; null never expires
+const apiTokenExpiryOptions = [
+  { value: 30, label: '30 jours' },
+  { value: 90, label: '90 jours' },
+  { value: 365, label: '1 an' },
+  { value: null, label: "Pas d'expiration" }
+];
+
+const formatDueSoonWindow = (hours) => (
+  hours < 24 ? `${hours} heures` : `${hours / 24} jour${hours > 24 ? 's' : ''}`
+);
+
+// --- ProfilePanel Component ---
+const ProfilePanel = ({ token, user, onProfileChange, onAccountDeleted, onClose }) => {
+  const [profileForm, setProfileForm] = useState({
+    display_name: user?.display_name || '',
+    avatar_url: user?.avatar_url || ''
+  });
+  const [emailForm, setEmailForm] = useState({ email: '', current_password: '' });
+  const [passwordForm, setPasswordForm] = useState({ current_password: '', new_password: '', confirm: '' });
+  const [deletePassword, setDeletePassword] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [panelError, setPanelError] = useState('');
+  const [panelMessage, setPanelMessage] = useState('');
+
+  // Runs an account request; the panel shows its outcome
+  const submitAccountChange = async (request, successMessage) => {
+    setPanelError('');
+    setPanelMessage('');
+    setIsBusy(true);
+    try {
+      await request();
+      if (successMessage) setPanelMessage(successMessage);
+      return true;
+    } catch (err) {
+      setPanelError(err.message);
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleProfileSubmit = (e) => {
+    e.preventDefault();
+    submitAccountChange(async () => {
+      const profile = await apiCall(`${API_BASE_URL}/api/me`, 'PATCH', profileForm, token);
+      onProfileChange(profile);
+    }, 'Profil enregistré.');
+  };
+
+  const handleEmailSubmit = async (e) => {
+    e.preventDefault();
+    const requested = await submitAccountChange(async () => {
+      const profile = await apiCall(`${API_BASE_URL}/api/me/email`, 'PUT', emailForm, token);
+      onProfileChange(profile);
+    }, `Un lien de confirmation a été envoyé à ${emailForm.email.trim()}.`);
+    if (requested) setEmailForm({ email: '', current_password: '' });
+  };
+
+  const handleCancelEmailChange = () => {
+    submitAccountChange(async () => {
+      const profile = await apiCall(`${API_BASE_URL}/api/me/email`, 'DELETE', null, token);
+      onProfileChange(profile);
+    });
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    if (passwordForm.new_password !== passwordForm.confirm) {
+      setPanelMessage('');
+      setPanelError('Les nouveaux mots de passe ne correspondent pas.');
+      return;
+    }
+    const changed = await submitAccountChange(
+      () => apiCall(`${API_BASE_URL}/api/me/password`, 'PUT', {
+        current_password: passwordForm.current_password,
+        new_password: passwordForm.new_password
+      }, token),
+      'Mot de passe modifié. Les autres appareils ont été déconnectés.'
+    );
+    if (changed) setPasswordForm({ current_password: '', new_password: '', confirm: '' });
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Supprimer définitivement votre compte ? Les tableaux dont vous êtes le seul propriétaire seront supprimés avec toutes leurs tâches.')) return;
+    const deleted = await submitAccountChange(
+      () => apiCall(`${API_BASE_URL}/api/me`, 'DELETE', { current_password: deletePassword }, token)
+    );
+    if (deleted) onAccountDeleted();
+  };
+
+  const inputClassName = "w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const submitClassName = "px-4 py-2 text-sm bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-lg hover:from-blue-600 hover:to-indigo-700 disabled:opacity-50 transition-all duration-200";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Mon profil
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {panelError && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+              {panelError}
+            </div>
+          )}
+          {panelMessage && (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">
+              {panelMessage}
+            </div>
+          )}
+
+          <form onSubmit={handleProfileSubmit}>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Profil</h3>
+            <div className="flex items-start space-x-4">
+              {profileForm.avatar_url.trim() ? (
+                <img
+                  src={profileForm.avatar_url.trim()}
+                  alt=""
+                  className="w-12 h-12 rounded-full object-cover flex-shrink-0 bg-gray-100"
+                />
+              ) : (
+                <span className={`inline-flex items-center justify-center w-12 h-12 rounded-full text-white font-semibold flex-shrink-0 ${getAvatarColor(user)}`}>
+                  {getInitials({ ...user, display_name: profileForm.display_name.trim() })}
+                </span>
+              )}
+              <div className="flex-1 space-y-2">
+                <input
+                  type="text"
+                  placeholder="Nom affiché"
+                  value={profileForm.display_name}
+                  onChange={(e) => setProfileForm({ ...profileForm, display_name: e.target.value })}
+                  maxLength={100}
+                  className={inputClassName}
+                />
+                <input
+                  type="url"
+                  placeholder="Adresse de l'image d'avatar (https://...)"
+                  value={profileForm.avatar_url}
+                  onChange={(e) => setProfileForm({ ...profileForm, avatar_url: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+            </div>
+            <div className="mt-3 flex justify-end">
+              <button type="submit" disabled={isBusy} className={submitClassName}>
+                Enregistrer
+              </button>
+            </div>
+          </form>
+
+          <form onSubmit={handleEmailSubmit}>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Adresse email</h3>
+            <p className="text-sm text-gray-900">{user?.email}</p>
+            {user?.pending_email && (
+              <div className="mt-2 flex items-center justify-between text-sm text-orange-700">
+                <span className="mr-4">En attente de confirmation : {user.pending_email}</span>
+                <button
+                  type="button"
+                  onClick={handleCancelEmailChange}
+                  disabled={isBusy}
+                  className="text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50 transition-colors duration-200 flex-shrink-0"
+                >
+                  Annuler
+                </button>
+              </div>
+            )}
+            <div className="mt-3 space-y-2">
+              <input
+                type="email"
+                placeholder="Nouvelle adresse email"
+                value={emailForm.email}
+                onChange={(e) => setEmailForm({ ...emailForm, email: e.target.value })}
+                required
+                className={inputClassName}
+              />
+              <input
+                type="password"
+                placeholder="Mot de passe actuel"
+                value={emailForm.current_password}
+                onChange={(e) => setEmailForm({ ...emailForm, current_password: e.target.value })}
+                required
+                className={inputClassName}
+              />
+            </div>
+            <div className="mt-3 flex items-center justify-between">
+              <p className="text-xs text-gray-500 mr-4">
+                L'adresse actuelle reste utilisée jusqu'à la confirmation de la nouvelle.
+              </p>
+              <button type="submit" disabled={isBusy} className={`${submitClassName} flex-shrink-0`}>
+                Changer
+              </button>
+            </div>
+          </form>
+
+          <form onSubmit={handlePasswordSubmit}>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Mot de passe</h3>
+            <div className="space-y-2">
+              <input
+                type="password"
+                placeholder="Mot de passe actuel"
+                value={passwordForm.current_password}
+                onChange={(e) => setPasswordForm({ ...passwordForm, current_password: e.target.value })}
+                required
+                className={inputClassName}
+              />
+              <input
+                type="password"
+                placeholder="Nouveau mot de passe"
+                value={passwordForm.new_password}
+                onChange={(e) => setPasswordForm({ ...passwordForm, new_password: e.target.value })}
+                required
+                className={inputClassName}
+              />
+              <input
+                type="password"
+                placeholder="Confirmer le nouveau mot de passe"
+                value={passwordForm.confirm}
+                onChange={(e) => setPasswordForm({ ...passwordForm, confirm: e.target.value })}
+                required
+                className={inputClassName}
+              />
+              <p className="text-xs text-gray-500">{PASSWORD_POLICY_HINT}</p>
+            </div>
+            <div className="mt-3 flex justify-end">
+              <button type="submit" disabled={isBusy} className={submitClassName}>
+                Modifier le mot de passe
+              </button>
+            </div>
+          </form>
+
+          <TwoFactorSettings token={token} />
+
+          <form onSubmit={handleDeleteAccount} className="p-4 border border-red-200 rounded-lg">
+            <h3 className="text-sm font-medium text-red-700 mb-2">Supprimer le compte</h3>
+            <p className="text-xs text-gray-600 mb-3">
+              Les tableaux dont vous êtes le seul propriétaire sont supprimés avec toutes leurs tâches.
+              Les tableaux partagés restent à leurs autres propriétaires.
+            </p>
+            <div className="flex items-center space-x-2">
+              <input
+                type="password"
+                placeholder="Mot de passe actuel"
+                value={deletePassword}
+                onChange={(e) => setDeletePassword(e.target.value)}
+                required
+                className={inputClassName}
+              />
+              <button
+                type="submit"
+                disabled={isBusy}
+                className="px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors duration-200 flex-shrink-0"
+              >
+                Supprimer
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- TwoFactorSettings Component ---
+const TwoFactorSettings = ({ token }) => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [setupPassword, setSetupPassword] = useState('');
+  const [enableCode, setEnableCode] = useState('');
+  // Shown once, right after they are generated
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [reauthForm, setReauthForm] = useState({ current_password: '', code: '' });
+  const [isBusy, setIsBusy] = useState(false);
+  const [sectionError, setSectionError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiCall(`${API_BASE_URL}/api/me/2fa`, 'GET', null, token)
+      .then(fetchedStatus => {
+        if (!cancelled) setStatus(fetchedStatus);
+      })
+      .catch(err => {
+        if (!cancelled) setSectionError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const runRequest = async (request) => {
+    setSectionError('');
+    setIsBusy(true);
+    try {
+      await request();
+    } catch (err) {
+      setSectionError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleStartSetup = (e) => {
+    e.preventDefault();
+    runRequest(async () => {
+      const newSetup = await apiCall(`${API_BASE_URL}/api/me/2fa/setup`, 'POST', { current_password: setupPassword }, token);
+      setSetup(newSetup);
+      setSetupPassword('');
+    });
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runRequest(async () => {
+      const { recovery_codes } = await apiCall(`${API_BASE_URL}/api/me/2fa/enable`, 'POST', { code: enableCode }, token);
+      setRecoveryCodes(recovery_codes);
+      setStatus({ enabled: true, enabled_at: new Date().toISOString(), recovery_codes_remaining: recovery_codes.length });
+      setSetup(null);
+      setEnableCode('');
+    });
+  };
+
+  const handleRegenerateCodes = () => {
+    runRequest(async () => {
+      const { recovery_codes } = await apiCall(`${API_BASE_URL}/api/me/2fa/recovery-codes`, 'POST', reauthForm, token);
+      setRecoveryCodes(recovery_codes);
+      setStatus(prev => ({ ...prev, recovery_codes_remaining: recovery_codes.length }));
+      setReauthForm({ current_password: '', code: '' });
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Désactiver la double authentification ? Le mot de passe suffira de nouveau pour vous connecter.')) return;
+    runRequest(async () => {
+      await apiCall(`${API_BASE_URL}/api/me/2fa`, 'DELETE', reauthForm, token);
+      setStatus({ enabled: false, enabled_at: null, recovery_codes_remaining: 0 });
+      setRecoveryCodes(null);
+      setReauthForm({ current_password: '', code: '' });
+    });
+  };
+
+  const inputClassName = "w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const submitClassName = "px-4 py-2 text-sm bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-lg hover:from-blue-600 hover:to-indigo-700 disabled:opacity-50 transition-all duration-200 flex-shrink-0";
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-gray-700 mb-2">Double authentification</h3>
+      {sectionError && (
+        <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {sectionError}
+        </div>
+      )}
+
+      {recoveryCodes && (
+        <div className="mb-3 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm text-yellow-800 mb-2">
+            Conservez ces codes de secours en lieu sûr : chacun permet une connexion sans l'application d'authentification.
+            Ils ne seront plus affichés.
+          </p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900 mb-3">
+            {recoveryCodes.map(code => <li key={code}>{code}</li>)}
+          </ul>
+          <button
+            onClick={() => setRecoveryCodes(null)}
+            className="text-sm text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
+          >
+            J'ai conservé mes codes
+          </button>
+        </div>
+      )}
+
+      {!status ? (
+        !sectionError && <p className="text-sm text-gray-500">Chargement...</p>
+      ) : status.enabled ? (
+        <form onSubmit={handleDisable}>
+          <p className="text-sm text-green-700">
+            Activée depuis le {formatDate(status.enabled_at)} · {status.recovery_codes_remaining} code{status.recovery_codes_remaining > 1 ? 's' : ''} de secours restant{status.recovery_codes_remaining > 1 ? 's' : ''}
+          </p>
+          <div className="mt-3 space-y-2">
+            <input
+              type="password"
+              placeholder="Mot de passe actuel"
+              value={reauthForm.current_password}
+              onChange={(e) => setReauthForm({ ...reauthForm, current_password: e.target.value })}
+              required
+              className={inputClassName}
+            />
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="Code de l'application ou code de secours"
+              value={reauthForm.code}
+              onChange={(e) => setReauthForm({ ...reauthForm, code: e.target.value })}
+              required
+              className={inputClassName}
+            />
+          </div>
+          <div className="mt-3 flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={handleRegenerateCodes}
+              disabled={isBusy || !reauthForm.current_password || !reauthForm.code.trim()}
+              className="px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors duration-200"
+            >
+              Nouveaux codes de secours
+            </button>
+            <button
+              type="submit"
+              disabled={isBusy}
+              className="px-4 py-2 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors duration-200"
+            >
+              Désactiver
+            </button>
+          </div>
+        </form>
+      ) : setup ? (
+        <form onSubmit={handleEnable}>
+          <p className="text-sm text-gray-600 mb-3">
+            Scannez ce QR code avec votre application d'authentification, ou saisissez la clé, puis entrez le code affiché.
+          </p>
+          <div className="flex items-center space-x-4">
+            <img src={setup.qr_code} alt="QR code de la double authentification" className="w-36 h-36 flex-shrink-0" />
+            <div className="min-w-0 space-y-2">
+              <p className="text-xs text-gray-500">Clé</p>
+              <p className="font-mono text-sm text-gray-900 break-all">{setup.secret}</p>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                value={enableCode}
+                onChange={(e) => setEnableCode(e.target.value)}
+                required
+                className={`${inputClassName} font-mono tracking-widest`}
+              />
+            </div>
+          </div>
+          <div className="mt-3 flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setSetup(null)}
+              className="px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+            >
+              Annuler
+            </button>
+            <button type="submit" disabled={isBusy} className={submitClassName}>
+              Activer
+            </button>
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={handleStartSetup}>
+          <p className="text-sm text-gray-600 mb-3">
+            Protégez votre compte avec un code à usage unique, demandé après le mot de passe à chaque connexion.
+          </p>
+          <div className="flex items-center space-x-2">
+            <input
+              type="password"
+              placeholder="Mot de passe actuel"
+              value={setupPassword}
+              onChange={(e) => setSetupPassword(e.target.value)}
+              required
+              className={inputClassName}
+            />
+            <button type="submit" disabled={isBusy} className={submitClassName}>
+              Configurer
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+// --- NotificationSettingsPanel Component ---
+const NotificationSettingsPanel = ({ token, settings, onSettingsChange, onClose }) => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [publicKey, setPublicKey] = useState(null);
+  const [currentEndpoint, setCurrentEndpoint] = useState(null);
+  const [isLoadingPush, setIsLoadingPush] = useState(true);
+  const [permission, setPermission] = useState(isPushSupported() ? Notification.permission : 'unsupported');
+  const [isBusy, setIsBusy] = useState(false);
+  const [panelError, setPanelError] = useState('');
+  const [panelMessage, setPanelMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadPushSettings = async () => {
+      try {
+        const [pushConfig, fetchedSubscriptions] = await Promise.all([
+          apiCall(`${API_BASE_URL}/api/push/public-key`, 'GET', null, token),
+          apiCall(`${API_BASE_URL}/api/push/subscriptions`, 'GET', null, token)
+        ]);
+        // This browser's subscription, if it already subscribed
+        let browserSubscription = null;
+        if (isPushSupported()) {
+          const registration = await navigator.serviceWorker.getRegistration();
+          browserSubscription = registration ? await registration.pushManager.getSubscription() : null;
+        }
+        if (cancelled) return;
+        setPublicKey(pushConfig.enabled ? pushConfig.publicKey : null);
+        setSubscriptions(fetchedSubscriptions);
+        setCurrentEndpoint(browserSubscription?.endpoint || null);
+      } catch (err) {
+        if (!cancelled) setPanelError(err.message);
+      } finally {
+        if (!cancelled) setIsLoadingPush(false);
+      }
+    };
+    loadPushSettings();
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const isSubscribed = Boolean(currentEndpoint) && subscriptions.some(s => s.endpoint === currentEndpoint);
+  const hasQuietHours = Boolean(settings.quiet_hours_start && settings.quiet_hours_end);
+
+  // Changes are shown at once and reverted if the server refuses them
+  const updateSettings = async (changes) => {
+    setPanelError('');
+    const previousSettings = settings;
+    onSettingsChange({ ...settings, ...changes });
+    try {
+      const updatedSettings = await apiCall(`${API_BASE_URL}/api/settings`, 'PUT', changes, token);
+      onSettingsChange(updatedSettings);
+    } catch (err) {
+      onSettingsChange(previousSettings);
+      setPanelError(err.message);
+    }
+  };
+
+  // Quiet hours are checked by the server in the browser's time zone
+  const updateQuietHours = (start, end) => updateSettings({
+    quiet_hours_start: start,
+    quiet_hours_end: end,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+  });
+
+  const handleEnablePush = async () => {
+    setPanelError('');
+    setPanelMessage('');
+    setIsBusy(true);
+    try {
+      const result = await Notification.requestPermission();
+      setPermission(result);
+      if (result !== 'granted') {
+        setPanelError("Les notifications sont bloquées pour ce site. Autorisez-les dans les réglages du navigateur.");
+        return;
+      }
+      const registration = await navigator.serviceWorker.register('/service-worker.js');
+      await navigator.serviceWorker.ready;
+      const browserSubscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey)
+      });
+      const subscription = await apiCall(`${API_BASE_URL}/api/push/subscriptions`, 'POST', browserSubscription.toJSON(), token);
+      setSubscriptions(prev => [...prev.filter(s => s.id !== subscription.id), subscription]);
+      setCurrentEndpoint(subscription.endpoint);
+    } catch (err) {
+      setPanelError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemoveSubscription = async (subscription) => {
+    setPanelError('');
+    setPanelMessage('');
+    setIsBusy(true);
+    try {
+      await apiCall(`${API_BASE_URL}/api/push/subscriptions/${subscription.id}`, 'DELETE', null, token);
+      setSubscriptions(prev => prev.filter(s => s.id !== subscription.id));
+      if (subscription.endpoint === currentEndpoint) {
+        const registration = await navigator.serviceWorker.getRegistration();
+        const browserSubscription = registration && await registration.pushManager.getSubscription();
+        if (browserSubscription) await browserSubscription.unsubscribe();
+        setCurrentEndpoint(null);
+      }
+    } catch (err) {
+      setPanelError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSendTest = async () => {
+    setPanelError('');
+    setPanelMessage('');
+    try {
+      const { delivered } = await apiCall(`${API_BASE_URL}/api/push/test`, 'POST', null, token);
+      setPanelMessage(`Notification de test envoyée à ${delivered} appareil${delivered > 1 ? 's' : ''}.`);
+    } catch (err) {
+      setPanelError(err.message);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Notifications
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {panelError && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+              {panelError}
+            </div>
+          )}
+          {panelMessage && (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">
+              {panelMessage}
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Me notifier pour</h3>
+            <div className="space-y-2">
+              {notificationTypeOptions.map(option => (
+                <label key={option.key} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={settings[option.key]}
+                    onChange={() => updateSettings({ [option.key]: !settings[option.key] })}
+                    className="mr-2 rounded border-gray-300"
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            <label className="mt-3 flex items-center text-sm text-gray-700">
+              Échéance proche :
+              <select
+                value={settings.due_soon_hours}
+                onChange={(e) => updateSettings({ due_soon_hours: Number(e.target.value) })}
+                className="ml-2 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {/* Keep a window chosen elsewhere (e.g. through the API) selectable */}
+                {[...new Set([...dueSoonWindowOptions, settings.due_soon_hours])].sort((a, b) => a - b).map(hours => (
+                  <option key={hours} value={hours}>moins de {formatDueSoonWindow(hours)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Canaux</h3>
+            <div className="space-y-2">
+              {notificationChannelOptions.map(option => (
+                <label key={option.key} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={settings[option.key]}
+                    onChange={() => updateSettings({ [option.key]: !settings[option.key] })}
+                    className="mr-2 rounded border-gray-300"
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Heures calmes</h3>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={hasQuietHours}
+                onChange={() => (hasQuietHours ? updateQuietHours(null, null) : updateQuietHours('22:00', '07:00'))}
+                className="mr-2 rounded border-gray-300"
+              />
+              Ne pas envoyer d'email ni de notification push
+            </label>
+            {hasQuietHours && (
+              <div className="mt-2 flex items-center space-x-2 text-sm text-gray-700">
+                <span>de</span>
+                <input
+                  type="time"
+                  value={settings.quiet_hours_start}
+                  onChange={(e) => e.target.value && updateQuietHours(e.target.value, settings.quiet_hours_end)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <span>à</span>
+                <input
+                  type="time"
+                  value={settings.quiet_hours_end}
+                  onChange={(e) => e.target.value && updateQuietHours(settings.quiet_hours_start, e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <span className="text-xs text-gray-500">({settings.timezone})</span>
+              </div>
+            )}
+            <p className="mt-2 text-xs text-gray-500">
+              Les notifications reportées sont envoyées à la fin des heures calmes.
+            </p>
+          </div>
+
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Cet appareil</h3>
+            {isLoadingPush ? (
+              <p className="text-sm text-gray-500">Chargement...</p>
+            ) : !publicKey ? (
+              <p className="text-sm text-gray-500">Les notifications push ne sont pas disponibles sur ce serveur.</p>
+            ) : permission === 'unsupported' ? (
+              <p className="text-sm text-gray-500">Ce navigateur ne prend pas en charge les notifications push.</p>
+            ) : isSubscribed ? (
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-green-700">Notifications push activées sur ce navigateur.</p>
+                <button
+                  onClick={handleSendTest}
+                  className="text-sm text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
+                >
+                  Envoyer un test
+                </button>
+              </div>
+            ) : (
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-gray-500 mr-4">
+                  {permission === 'denied'
+                    ? 'Les notifications sont bloquées pour ce site dans le navigateur.'
+                    : "Recevez les rappels et les tâches en retard même lorsque l'application est fermée."}
+                </p>
+                <button
+                  onClick={handleEnablePush}
+                  disabled={isBusy || permission === 'denied'}
+                  className="px-4 py-2 text-sm bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-lg hover:from-blue-600 hover:to-indigo-700 disabled:opacity-50 transition-all duration-200 flex-shrink-0"
+                >
+                  Activer
+                </button>
+              </div>
+            )}
+          </div>
+
+          {subscriptions.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">Appareils abonnés</h3>
+              <ul className="divide-y divide-gray-200">
+                {subscriptions.map(subscription => (
+                  <li key={subscription.id} className="py-2 flex items-center justify-between">
+                    <div className="min-w-0 mr-4">
+                      <p className="text-sm text-gray-900 truncate">
+                        {subscription.user_agent || 'Navigateur inconnu'}
+                        {subscription.endpoint === currentEndpoint && ' (cet appareil)'}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Abonné le {formatDateTime(subscription.created_at)}
+                        {subscription.last_used_at && ` · dernière notification le ${formatDateTime(subscription.last_used_at)}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleRemoveSubscription(subscription)}
+                      disabled={isBusy}
+                      className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50 transition-colors duration-200 flex-shrink-0"
+                    >
+                      Désactiver
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Les notifications concernent les tâches qui vous sont assignées, ou que vous avez créées si personne n'y est assigné.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- ApiTokensPanel Component ---
+const ApiTokensPanel = ({ token, onClose }) => {
+  const [apiTokens, setApiTokens] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [newToken, setNewToken] = useState({ name: '', scope: 'read', expires_in_days: 90 });
+  // Only returned by the server when the token is created
+  const [createdToken, setCreatedToken] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    apiCall(`${API_BASE_URL}/api/me/tokens`, 'GET', null, token)
+      .then(fetchedTokens => {
+        if (!cancelled) setApiTokens(fetchedTokens);
+      })
+      .catch(err => {
+        if (!cancelled) setPanelError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setPanelError('');
+    setIsBusy(true);
+    try {
+      const { token: value, ...created } = await apiCall(`${API_BASE_URL}/api/me/tokens`, 'POST', newToken, token);
+      setApiTokens(prev => [created, ...prev]);
+      setCreatedToken({ name: created.name, value });
+      setNewToken(prev => ({ ...prev, name: '' }));
+    } catch (err) {
+      setPanelError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRevoke = async (apiToken) => {
+    if (!window.confirm(`Révoquer le jeton "${apiToken.name}" ? Les scripts qui l'utilisent ne pourront plus accéder à l'API.`)) return;
+    setPanelError('');
+    setIsBusy(true);
+    try {
+      await apiCall(`${API_BASE_URL}/api/me/tokens/${apiToken.id}`, 'DELETE', null, token);
+      setApiTokens(prev => prev.filter(t => t.id !== apiToken.id));
+    } catch (err) {
+      setPanelError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const inputClassName = "px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              Jetons d'API
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
           </div>
+        </div>
 
-          {/* Priority and Dates Row */}
-          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-            {/* Priority */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Priorité
-              </label>
-              <select
-                value={taskForm.priority}
-                onChange={(e) => setTaskForm(prev => ({ ...prev, priority: e.target.value }))}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-              >
-                <option value="low">Faible</option>
-                <option value="medium">Moyenne</option>
-                <option value="high">Élevée</option>
-              </select>
+        <div className="p-6 space-y-6">
+          {panelError && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">
+              {panelError}
             </div>
+          )}
 
-            {/* Due Date */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Échéance
-              </label>
+          <p className="text-sm text-gray-500">
+            Les jetons d'API permettent à vos scripts et intégrations d'accéder à vos tableaux, avec l'en-tête
+            <code className="mx-1 px-1 bg-gray-100 rounded text-xs">Authorization: Bearer &lt;jeton&gt;</code>.
+            Ils ne donnent accès qu'aux tableaux et aux tâches, pas à votre compte ni à vos réglages, et ne
+            permettent ni de modifier ou supprimer un tableau, ni de gérer ses membres.
+          </p>
+
+          {createdToken && (
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-sm text-yellow-800 mb-2">
+                Copiez le jeton « {createdToken.name} » maintenant : il ne sera plus affiché.
+              </p>
               <input
-                type="date"
-                value={taskForm.due_date}
-                onChange={(e) => setTaskForm(prev => ({ ...prev, due_date: e.target.value }))}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+                type="text"
+                readOnly
+                value={createdToken.value}
+                onFocus={(e) => e.target.select()}
+                className={`w-full font-mono ${inputClassName} mb-3`}
               />
+              <button
+                onClick={() => setCreatedToken(null)}
+                className="text-sm text-blue-600 hover:text-blue-800 font-medium transition-colors duration-200"
+              >
+                J'ai copié le jeton
+              </button>
             </div>
+          )}
 
-            {/* Reminder Date */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Rappel
-              </label>
-              <input
-                type="datetime-local"
-                value={taskForm.reminder_date}
-                onChange={(e) => setTaskForm(prev => ({ ...prev, reminder_date: e.target.value }))}
-                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
-              />
+          <form onSubmit={handleCreate}>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Nouveau jeton</h3>
+            <input
+              type="text"
+              value={newToken.name}
+              onChange={(e) => setNewToken(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Nom (ex. : script de sauvegarde)"
+              maxLength={100}
+              className={`w-full ${inputClassName} mb-2`}
+            />
+            <div className="flex items-center space-x-2">
+              <select
+                value={newToken.scope}
+                onChange={(e) => setNewToken(prev => ({ ...prev, scope: e.target.value }))}
+                className={`flex-1 ${inputClassName}`}
+              >
+                {apiTokenScopeOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <select
+                value={newToken.expires_in_days ?? ''}
+                onChange={(e) => setNewToken(prev => ({ ...prev, expires_in_days: e.target.value ? Number(e.target.value) : null }))}
+                className={`flex-1 ${inputClassName}`}
+              >
+                {apiTokenExpiryOptions.map(option => (
+                  <option key={option.label} value={option.value ?? ''}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={isBusy || !newToken.name.trim()}
+                className="px-4 py-2 text-sm bg-gradient-to-r from-blue-500 to-indigo-600 text-white rounded-lg hover:from-blue-600 hover:to-indigo-700 disabled:opacity-50 transition-all duration-200 flex-shrink-0"
+              >
+                Créer
+              </button>
             </div>
-          </div>
+          </form>
 
-          {/* Action Buttons */}
-          <div className="flex justify-end space-x-4 pt-4">
-            <button
-              type="button"
-              onClick={onClose}
-              className="px-6 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors duration-200"
-            >
-              Annuler
-            </button>
-            <button
-              type="submit"
-              disabled={!taskForm.title.trim()}
-              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {isEditing ? 'Modifier' : 'Créer'}
-            </button>
+          <div>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Vos jetons</h3>
+            {isLoading ? (
+              <p className="text-sm text-gray-500">Chargement...</p>
+            ) : apiTokens.length === 0 ? (
+              <p className="text-sm text-gray-500">Aucun jeton d'API.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {apiTokens.map(apiToken => (
+                  <li key={apiToken.id} className="py-2 flex items-center justify-between">
+                    <div className="min-w-0 mr-4">
+                      <p className="text-sm text-gray-900 truncate">
+                        {apiToken.name}
+                        <span className="ml-2 font-mono text-xs text-gray-500">{apiToken.token_hint}</span>
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {apiTokenScopeOptions.find(option => option.value === apiToken.scope)?.label}
+                        {` · créé le ${formatDateTime(apiToken.created_at)}`}
+                        {apiToken.last_used_at ? ` · utilisé le ${formatDateTime(apiToken.last_used_at)}` : ' · jamais utilisé'}
+                        {apiToken.expires_at && ` · ${new Date(apiToken.expires_at) < new Date() ? 'expiré' : 'expire'} le ${formatDate(apiToken.expires_at)}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleRevoke(apiToken)}
+                      disabled={isBusy}
+                      className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50 transition-colors duration-200 flex-shrink-0"
+                    >
+                      Révoquer
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
-        </form>
+        </div>
       </div>
     </div>
   );
@@ -793,77 +4745,138 @@ const NotificationCard = ({ notification, onDismiss }) => {
   );
 };
 
+// --- Column colors ---
+const COLUMN_COLORS = ['blue', 'yellow', 'green', 'red', 'purple', 'pink', 'indigo', 'gray'];
+
+const columnColorClasses = {
+  blue: 'border-blue-200 bg-blue-50 text-blue-700',
+  yellow: 'border-yellow-200 bg-yellow-50 text-yellow-700',
+  green: 'border-green-200 bg-green-50 text-green-700',
+  red: 'border-red-200 bg-red-50 text-red-700',
+  purple: 'border-purple-200 bg-purple-50 text-purple-700',
+  pink: 'border-pink-200 bg-pink-50 text-pink-700',
+  indigo: 'border-indigo-200 bg-indigo-50 text-indigo-700',
+  gray: 'border-gray-200 bg-gray-50 text-gray-700'
+};
+
+const columnDragOverClasses = {
+  blue: 'bg-blue-100 border-blue-300',
+  yellow: 'bg-yellow-100 border-yellow-300',
+  green: 'bg-green-100 border-green-300',
+  red: 'bg-red-100 border-red-300',
+  purple: 'bg-purple-100 border-purple-300',
+  pink: 'bg-pink-100 border-pink-300',
+  indigo: 'bg-indigo-100 border-indigo-300',
+  gray: 'bg-gray-100 border-gray-300'
+};
+
+const columnSwatchClasses = {
+  blue: 'bg-blue-500',
+  yellow: 'bg-yellow-400',
+  green: 'bg-green-500',
+  red: 'bg-red-500',
+  purple: 'bg-purple-500',
+  pink: 'bg-pink-500',
+  indigo: 'bg-indigo-500',
+  gray: 'bg-gray-500'
+};
+
 // --- Kanban Column Component ---
 const KanbanColumn = ({ 
-  title, 
+  column,
   count, 
   tasks, 
-  color, 
-  status, 
+  isFirst,
+  isLast,
+  readOnly,
   dragOver, 
   onDragOver, 
   onDragLeave, 
   onDrop, 
+  dropTarget,
+  onCardDragOver,
   onDragStart, 
+  onDragEnd,
   onEdit, 
-  onDelete 
+  onDelete,
+  onArchive,
+  dueSoonHours,
+  onEditColumn,
+  onMoveColumn
 }) => {
-  const colorClasses = {
-    blue: 'border-blue-200 bg-blue-50 text-blue-700',
-    yellow: 'border-yellow-200 bg-yellow-50 text-yellow-700',
-    green: 'border-green-200 bg-green-50 text-green-700'
-  };
+  const color = columnColorClasses[column.color] ? column.color : 'blue';
 
-  const dragOverClasses = {
-    blue: 'bg-blue-100 border-blue-300',
-    yellow: 'bg-yellow-100 border-yellow-300',
-    green: 'bg-green-100 border-green-300'
-  };
-
-  const icons = {
-    blue: (
-      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-      </svg>
-    ),
-    yellow: (
-      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.828 14.828a4 4 0 01-5.656 0M9 10h1m4 0h1m-7 4h12a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v5a2 2 0 002 2z" />
-      </svg>
-    ),
-    green: (
-      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-      </svg>
-    )
-  };
+  const icon = column.is_done ? (
+    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+    </svg>
+  ) : (
+    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+    </svg>
+  );
 
   return (
     <div 
-      className={`rounded-xl p-4 transition-all duration-200 ${
+      className={`w-80 flex-shrink-0 rounded-xl p-4 transition-all duration-200 ${
         dragOver 
-          ? `bg-gray-200 border-2 ${dragOverClasses[color]}` 
+          ? `bg-gray-200 border-2 ${columnDragOverClasses[color]}` 
           : 'bg-gray-100'
       }`}
       onDragOver={onDragOver}
       onDragLeave={onDragLeave}
       onDrop={onDrop}
     >
-      <div className={`flex items-center justify-between p-3 rounded-lg border-2 ${colorClasses[color]} mb-4`}>
-        <div className="flex items-center space-x-2">
-          {icons[color]}
-          <h3 className="font-semibold">{title}</h3>
-        </div>
-        <span className="text-sm font-medium px-2 py-1 bg-white rounded-full">
-          {count}
-        </span>
+      <div className={`flex items-center justify-between p-3 rounded-lg border-2 ${columnColorClasses[color]} mb-4`}>
+        <div className="flex items-center space-x-2 min-w-0">
+          {icon}
+          <h3 className="font-semibold truncate">{column.name}</h3>
+        </div>
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          {!readOnly && (
+            <>
+              <button
+                onClick={() => onMoveColumn(-1)}
+                disabled={isFirst}
+                title="Déplacer à gauche"
+                className="opacity-60 hover:opacity-100 transition-opacity duration-200 disabled:opacity-20 disabled:cursor-not-allowed"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => onMoveColumn(1)}
+                disabled={isLast}
+                title="Déplacer à droite"
+                className="opacity-60 hover:opacity-100 transition-opacity duration-200 disabled:opacity-20 disabled:cursor-not-allowed"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+              </button>
+              <button
+                onClick={onEditColumn}
+                title="Modifier la colonne"
+                className="opacity-60 hover:opacity-100 transition-opacity duration-200"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                </svg>
+              </button>
+            </>
+          )}
+          <span className="text-sm font-medium px-2 py-1 bg-white rounded-full">
+            {count}
+          </span>
+        </div>
       </div>
       
       <div className="space-y-3">
         {tasks.length === 0 ? (
           <div className="text-center py-8 text-gray-500">
             <div className="w-16 h-16 mx-auto mb-3 opacity-20 flex items-center justify-center">
-              {icons[color]}
+              {icon}
             </div>
             <p>Aucune tâche</p>
           </div>
@@ -872,9 +4885,15 @@ const KanbanColumn = ({
             <TaskCard
               key={task.id}
               task={task}
+              readOnly={readOnly}
+              dropIndicator={dropTarget && dropTarget.taskId === task.id ? (dropTarget.before ? 'before' : 'after') : null}
+              onDragOver={onCardDragOver}
               onDragStart={onDragStart}
+              onDragEnd={onDragEnd}
               onEdit={onEdit}
               onDelete={onDelete}
+              onArchive={column.is_done ? onArchive : null}
+              dueSoonHours={dueSoonHours}
             />
           ))
         )}
@@ -883,9 +4902,152 @@ const KanbanColumn = ({
   );
 };
 
+// --- Column Modal Component ---
+const ColumnModal = ({ column, columns, taskCount, onSubmit, onDelete, onClose }) => {
+  const [form, setForm] = useState({
+    name: column?.name || '',
+    color: column?.color || 'blue',
+    is_done: column?.is_done || false
+  });
+  const otherColumns = columns.filter(c => c.id !== column?.id);
+  const [moveToColumnId, setMoveToColumnId] = useState(otherColumns[0]?.id || '');
+  const isEditing = !!column;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    onSubmit({ ...form, name: form.name.trim() });
+  };
+
+  const handleDelete = () => {
+    const message = taskCount > 0
+      ? `Supprimer la colonne « ${column.name} » ? Ses ${taskCount} tâche(s) seront déplacées.`
+      : `Supprimer la colonne « ${column.name} » ?`;
+    if (window.confirm(message)) {
+      onDelete(column, Number(moveToColumnId));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md transform transition-all duration-300 scale-100">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {isEditing ? 'Modifier la colonne' : 'Nouvelle colonne'}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          {/* Name */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Nom *
+            </label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              required
+              autoFocus
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200"
+              placeholder="Nom de la colonne"
+            />
+          </div>
+
+          {/* Color */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Couleur
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {COLUMN_COLORS.map(color => (
+                <button
+                  key={color}
+                  type="button"
+                  title={color}
+                  onClick={() => setForm(prev => ({ ...prev, color }))}
+                  className={`w-8 h-8 rounded-full ${columnSwatchClasses[color]} transition-transform duration-200 ${
+                    form.color === color ? 'ring-2 ring-offset-2 ring-gray-700 scale-110' : 'hover:scale-110'
+                  }`}
+                />
+              ))}
+            </div>
+          </div>
+
+          {/* Done semantics */}
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.is_done}
+              onChange={(e) => setForm(prev => ({ ...prev, is_done: e.target.checked }))}
+              className="mr-2 rounded border-gray-300"
+            />
+            Les tâches de cette colonne sont terminées
+          </label>
+
+          {/* Delete */}
+          {isEditing && otherColumns.length > 0 && (
+            <div className="p-4 bg-red-50 border border-red-200 rounded-lg space-y-3">
+              {taskCount > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-red-700 mb-2">
+                    Déplacer les tâches vers
+                  </label>
+                  <select
+                    value={moveToColumnId}
+                    onChange={(e) => setMoveToColumnId(e.target.value)}
+                    className="w-full px-4 py-2 border border-red-200 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-transparent transition-all duration-200"
+                  >
+                    {otherColumns.map(c => (
+                      <option key={c.id} value={c.id}>{c.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="text-red-600 hover:text-red-800 font-medium transition-colors duration-200"
+              >
+                Supprimer la colonne
+              </button>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-4 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-2 text-gray-700 bg-gray-200 rounded-lg hover:bg-gray-300 transition-colors duration-200"
+            >
+              Annuler
+            </button>
+            <button
+              type="submit"
+              disabled={!form.name.trim()}
+              className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isEditing ? 'Modifier' : 'Créer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
 // --- Task Card Component ---
-const TaskCard = ({ task, onDragStart, onEdit, onDelete }) => {
- 
+const TaskCard = ({ task, readOnly, dropIndicator, onDragOver, onDragStart, onDragEnd, onEdit, onDelete, onArchive, dueSoonHours }) => {
 
   const priorityColors = {
     low: 'bg-gray-100 text-gray-800',
@@ -893,40 +5055,66 @@ const TaskCard = ({ task, onDragStart, onEdit, onDelete }) => {
     high: 'bg-red-100 text-red-800'
   };
 
-  const priorityLabels = {
-    low: 'Faible',
-    medium: 'Moyenne',
-    high: 'Élevée'
-  };
-
   return (
     <div 
-      className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 hover:shadow-md transition-all duration-200 transform hover:scale-105 cursor-move"
-      draggable
+      className={`relative bg-white rounded-lg shadow-sm border border-gray-200 p-4 hover:shadow-md transition-all duration-200 transform hover:scale-105 ${
+        readOnly ? '' : 'cursor-move'
+      }`}
+      draggable={!readOnly}
       onDragStart={(e) => onDragStart(e, task)}
+      onDragOver={(e) => onDragOver(e, task)}
+      onDragEnd={onDragEnd}
     >
+      {/* Drop position indicator */}
+      {dropIndicator && (
+        <div className={`absolute left-0 right-0 h-1 bg-blue-500 rounded-full ${
+          dropIndicator === 'before' ? '-top-2' : '-bottom-2'
+        }`} />
+      )}
+
+      {task.labels?.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {task.labels.map(label => (
+            <LabelChip key={label.id} label={label} />
+          ))}
+        </div>
+      )}
+
       <div className="flex items-start justify-between mb-3">
         <h4 className="font-medium text-gray-900 leading-tight pr-2">
           {task.title}
         </h4>
-        <div className="flex items-center space-x-1 flex-shrink-0">
-          <button
-            onClick={() => onEdit(task)}
-            className="text-gray-400 hover:text-blue-500 transition-colors duration-200 p-1"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-            </svg>
-          </button>
-          <button
-            onClick={() => onDelete(task.id)}
-            className="text-gray-400 hover:text-red-500 transition-colors duration-200 p-1"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-            </svg>
-          </button>
-        </div>
+        {!readOnly && (
+          <div className="flex items-center space-x-1 flex-shrink-0">
+            <button
+              onClick={() => onEdit(task)}
+              className="text-gray-400 hover:text-blue-500 transition-colors duration-200 p-1"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+              </svg>
+            </button>
+            {onArchive && (
+              <button
+                onClick={() => onArchive(task.id)}
+                title="Archiver"
+                className="text-gray-400 hover:text-yellow-600 transition-colors duration-200 p-1"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4" />
+                </svg>
+              </button>
+            )}
+            <button
+              onClick={() => onDelete(task.id)}
+              className="text-gray-400 hover:text-red-500 transition-colors duration-200 p-1"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+            </button>
+          </div>
+        )}
       </div>
       
       {task.description && (
@@ -935,6 +5123,31 @@ const TaskCard = ({ task, onDragStart, onEdit, onDelete }) => {
         </p>
       )}
 
+      {/* Checklist progress */}
+      {task.checklist_total > 0 && (
+        <div className="mb-4">
+          <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+            <div className="flex items-center">
+              <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              Checklist
+            </div>
+            <span className={task.checklist_done === task.checklist_total ? 'text-green-600 font-medium' : ''}>
+              {task.checklist_done}/{task.checklist_total}
+            </span>
+          </div>
+          <div className="h-1.5 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full transition-all duration-300 ${
+                task.checklist_done === task.checklist_total ? 'bg-green-500' : 'bg-blue-500'
+              }`}
+              style={{ width: `${(task.checklist_done / task.checklist_total) * 100}%` }}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Priority and dates */}
       <div className="space-y-2 mb-4">
         {task.priority && (
@@ -947,7 +5160,7 @@ const TaskCard = ({ task, onDragStart, onEdit, onDelete }) => {
           <div className={`flex items-center text-xs ${
             isOverdue(task.due_date) 
               ? 'text-red-600' 
-              : isDueSoon(task.due_date) 
+              : isDueSoon(task.due_date, dueSoonHours) 
                 ? 'text-orange-600' 
                 : 'text-gray-500'
           }`}>
@@ -956,7 +5169,7 @@ const TaskCard = ({ task, onDragStart, onEdit, onDelete }) => {
             </svg>
             Échéance: {formatDate(task.due_date)}
             {isOverdue(task.due_date) && ' (En retard)'}
-            {isDueSoon(task.due_date) && ' (Bientôt)'}
+            {isDueSoon(task.due_date, dueSoonHours) && ' (Bientôt)'}
           </div>
         )}
         
@@ -968,6 +5181,15 @@ const TaskCard = ({ task, onDragStart, onEdit, onDelete }) => {
             Rappel: {formatDateTime(task.reminder_date)}
           </div>
         )}
+
+        {task.recurrence_rule && (
+          <div className="flex items-center text-xs text-purple-600">
+            <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+            </svg>
+            {describeRecurrence(task.recurrence_rule)}
+          </div>
+        )}
       </div>
 
       <div className="flex items-center justify-between text-xs text-gray-500">
@@ -976,10 +5198,44 @@ const TaskCard = ({ task, onDragStart, onEdit, onDelete }) => {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
           </svg>
           {formatDate(task.created_at || Date.now())}
+          {task.comment_count > 0 && (
+            <span className="flex items-center ml-3" title="Commentaires">
+              <svg className="w-3 h-3 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+              </svg>
+              {task.comment_count}
+            </span>
+          )}
         </div>
+        {task.assignees?.length > 0 && (
+          <div className="flex -space-x-2">
+            {task.assignees.map(assignee => (
+              <UserAvatar key={assignee.id} person={assignee} className="ring-2 ring-white" />
+            ))}
+          </div>
+        )}
       </div>
     </div>
   );
 };
 
+// --- User Avatar Component ---
+const UserAvatar = ({ person, className = '' }) => (
+  person.avatar_url ? (
+    <img
+      src={person.avatar_url}
+      alt=""
+      title={person.email}
+      className={`w-6 h-6 rounded-full object-cover flex-shrink-0 ${className}`}
+    />
+  ) : (
+    <span
+      title={person.email}
+      className={`inline-flex items-center justify-center w-6 h-6 rounded-full text-white text-xs font-semibold flex-shrink-0 ${getAvatarColor(person)} ${className}`}
+    >
+      {getInitials(person)}
+    </span>
+  )
+);
+
 export default App;
\ No newline at end of file
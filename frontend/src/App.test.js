@@ -1,8 +1,9 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the login form when signed out', () => {
+  localStorage.removeItem('token');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Connexion' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Se connecter' })).toBeInTheDocument();
 });